@@ -4,19 +4,624 @@
 // =======================
 
 class Question {
-    constructor(id, text, options, correctOptionIndex, subjectKey) {
+    constructor(id, text, options, correctOptionIndex, subjectKey, difficulty = "medium", tags = [], images = {}) {
         this.id = id;
+        this.type = "single";
         this.text = text;
         this.options = options;
         this.correctOptionIndex = correctOptionIndex;
         this.subjectKey = subjectKey;
+        this.points = 1;
+        this.difficulty = difficulty;
+        this.tags = tags;
+        // Named data: URLs referenced from the text as ![alt](name)
+        this.images = images;
+        // Optional versions in other UI languages, e.g. { bn: { text, options } };
+        // anything missing falls back to the default-language fields above
+        this.translations = {};
+        // Teaching notes: the explanation shows in reviews, the hint can be
+        // revealed during a quiz, and the reference points to further reading
+        this.explanation = "";
+        this.hint = "";
+        this.reference = "";
+        this.referenceUrl = "";
+    }
+
+    getText(locale) {
+        return this.translations[locale]?.text || this.text;
+    }
+
+    getExplanation(locale) {
+        return this.translations[locale]?.explanation || this.explanation;
+    }
+
+    getHint(locale) {
+        return this.translations[locale]?.hint || this.hint;
+    }
+
+    getOptions(locale) {
+        return this.translations[locale]?.options || this.options;
     }
 
     isCorrect(userChoiceIndex) {
         return userChoiceIndex === this.correctOptionIndex;
     }
+
+    // Share of the question's points earned when partial credit is allowed
+    getCreditFraction(answer) {
+        return this.isCorrect(answer) ? 1 : 0;
+    }
+
+    validate() {
+        this._validateText();
+        this._validateOptions();
+        this._validateCorrectIndex(this.correctOptionIndex);
+    }
+
+    // Checks shared by every question type
+    _validateText() {
+        if (typeof this.text !== "string" || !this.text.trim()) {
+            throw new Error(t("Question text is required."));
+        }
+        if (typeof this.points !== "number" || !Number.isFinite(this.points) || this.points <= 0) {
+            throw new Error(t("Points must be a positive number."));
+        }
+        if (!QUESTION_DIFFICULTIES.includes(this.difficulty)) {
+            throw new Error(t("Difficulty must be one of: {difficulties}.", { difficulties: QUESTION_DIFFICULTIES.join(", ") }));
+        }
+        if (!Array.isArray(this.tags) || this.tags.some(tag => typeof tag !== "string" || !tag)) {
+            throw new Error(t("Tags must be non-empty words."));
+        }
+        if (["explanation", "hint", "reference", "referenceUrl"].some(field => typeof this[field] !== "string")) {
+            throw new Error(t("Explanation, hint and reference must be text."));
+        }
+        if (this.referenceUrl && !/^https?:\/\/\S+$/i.test(this.referenceUrl)) {
+            throw new Error(t("The reference link must be an http:// or https:// address."));
+        }
+        this._validateTranslations();
+        this._validateImages();
+    }
+
+    _validateTranslations() {
+        if (!this.translations || typeof this.translations !== "object" || Array.isArray(this.translations)) {
+            throw new Error(t("Translations must be a map of language codes to translated text."));
+        }
+        Object.entries(this.translations).forEach(([locale, translation]) => {
+            if (!SUPPORTED_LOCALES[locale] || locale === DEFAULT_LOCALE) {
+                throw new Error(t("Unknown translation language \"{locale}\".", { locale }));
+            }
+            const language = SUPPORTED_LOCALES[locale].label;
+            if (!translation || typeof translation.text !== "string" || !translation.text.trim()) {
+                throw new Error(t("The {language} translation needs the question text.", { language }));
+            }
+            if (translation.options !== undefined) {
+                const hasOwnOptions = this.options.length > 0 && this.type !== "truefalse";
+                if (!hasOwnOptions || !Array.isArray(translation.options) || translation.options.length !== this.options.length ||
+                    translation.options.some(o => typeof o !== "string" || !o.trim())) {
+                    throw new Error(t("The {language} translation must give one option for each of the {count} options, in the same order.", { language, count: this.options.length }));
+                }
+            }
+            if (translation.acceptedAnswers !== undefined &&
+                (this.type !== "short" || !Array.isArray(translation.acceptedAnswers) || translation.acceptedAnswers.some(a => typeof a !== "string" || !a.trim()))) {
+                throw new Error(t("Translated accepted answers are only for short answer questions and cannot be empty."));
+            }
+            if (["explanation", "hint"].some(field => translation[field] !== undefined && typeof translation[field] !== "string")) {
+                throw new Error(t("The {language} translation of the explanation and hint must be text.", { language }));
+            }
+        });
+    }
+
+    // Images live in the bank itself, so only embedded raster data is accepted
+    _validateImages() {
+        if (!this.images || typeof this.images !== "object" || Array.isArray(this.images)) {
+            throw new Error(t("Images must be a map of names to image data."));
+        }
+        Object.entries(this.images).forEach(([name, src]) => {
+            if (!/^[\w.-]+$/.test(name)) {
+                throw new Error(t("Image name \"{name}\" may only contain letters, digits, \".\", \"-\" and \"_\".", { name }));
+            }
+            if (!isEmbeddedImage(src)) {
+                throw new Error(t("Image \"{name}\" must be a PNG, JPEG, GIF or WebP data URL.", { name }));
+            }
+            if (src.length > QUESTION_IMAGE_MAX_LENGTH) {
+                throw new Error(t("Image \"{name}\" is too large (limit {limit} KB once encoded).", { name, limit: Math.round(QUESTION_IMAGE_MAX_LENGTH / 1024) }));
+            }
+        });
+        const translated = Object.values(this.translations).flatMap(tr => [tr.text, ...(tr.options || []), tr.explanation, tr.hint]);
+        [this.text, ...(Array.isArray(this.options) ? this.options : []), this.explanation, this.hint, ...translated].forEach(source => {
+            findRichTextImageRefs(source).forEach(ref => {
+                if (!(ref in this.images) && !isEmbeddedImage(ref)) {
+                    throw new Error(t("Image \"{name}\" is used in the question but not attached.", { name: ref }));
+                }
+            });
+        });
+    }
+
+    _validateOptions() {
+        if (!Array.isArray(this.options) || this.options.length < 2) {
+            throw new Error(t("At least two options are required."));
+        }
+        if (this.options.some(o => typeof o !== "string" || !o.trim())) {
+            throw new Error(t("Options cannot be empty."));
+        }
+    }
+
+    _validateCorrectIndex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.options.length) {
+            throw new Error(t("Correct option must be between 1 and {count}.", { count: this.options.length }));
+        }
+    }
+
+    get shufflesOptions() {
+        return true;
+    }
+
+    clone() {
+        return Question.fromJSON(this.toJSON());
+    }
+
+    // Returns a copy with options rearranged; order[i] is the original index
+    // of the option shown at position i. The bank question is left untouched.
+    withOptionOrder(order) {
+        const copy = this.clone();
+        if (order) {
+            copy.options = order.map(idx => this.options[idx]);
+            Object.values(copy.translations).forEach(translation => {
+                if (translation.options) translation.options = order.map(idx => translation.options[idx]);
+            });
+            copy._remapCorrectAnswer(order);
+        }
+        return copy;
+    }
+
+    _remapCorrectAnswer(order) {
+        this.correctOptionIndex = order.indexOf(this.correctOptionIndex);
+    }
+
+    // A radio group with one tab stop (the chosen option, else the first):
+    // Up and Down move the choice, Space or Enter picks the focused option
+    renderInput(container, savedAnswer, onAnswer) {
+        container.setAttribute("role", "radiogroup");
+        const items = this.getOptions(translator.locale).map(opt => {
+            const li = document.createElement("li");
+            renderInlineRichText(li, opt, this.images);
+            li.classList.add("option-item");
+            li.setAttribute("role", "radio");
+            container.appendChild(li);
+            return li;
+        });
+        const mark = selectedIndex => {
+            const tabStop = selectedIndex === undefined ? 0 : selectedIndex;
+            items.forEach((li, index) => {
+                li.classList.toggle("selected", index === selectedIndex);
+                li.setAttribute("aria-checked", String(index === selectedIndex));
+                li.tabIndex = index === tabStop ? 0 : -1;
+            });
+        };
+        mark(savedAnswer);
+        items.forEach((li, index) => {
+            li.addEventListener("click", () => {
+                mark(index);
+                onAnswer(index);
+            });
+            li.addEventListener("keydown", event => {
+                if (container.classList.contains("locked")) return;
+                let target = null;
+                if (event.key === " " || event.key === "Enter") target = index;
+                else if (event.key === "ArrowDown") target = (index + 1) % items.length;
+                else if (event.key === "ArrowUp") target = (index - 1 + items.length) % items.length;
+                if (target === null) return;
+                event.preventDefault();
+                items[target].click();
+                items[target].focus();
+            });
+        });
+    }
+
+    formatAnswer(answer) {
+        return this.getOptions(translator.locale)[answer];
+    }
+
+    getCorrectAnswerText() {
+        return this.getOptions(translator.locale)[this.correctOptionIndex];
+    }
+
+    // Fields every question type shares; subclasses add their answer key
+    _baseJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            text: this.text,
+            subjectKey: this.subjectKey,
+            points: this.points,
+            difficulty: this.difficulty,
+            tags: [...this.tags],
+            images: { ...this.images },
+            translations: JSON.parse(JSON.stringify(this.translations)),
+            explanation: this.explanation,
+            hint: this.hint,
+            reference: this.reference,
+            referenceUrl: this.referenceUrl
+        };
+    }
+
+    toJSON() {
+        return {
+            ...this._baseJSON(),
+            options: [...this.options],
+            correctOptionIndex: this.correctOptionIndex
+        };
+    }
+
+    static fromJSON(data) {
+        const QuestionClass = QUESTION_TYPES[data.type || "single"];
+        if (!QuestionClass) {
+            throw new Error(t("Unknown question type \"{type}\".", { type: data.type }));
+        }
+        const q = QuestionClass.fromData(data);
+        if (data.points !== undefined) q.points = data.points;
+        if (data.difficulty !== undefined) q.difficulty = String(data.difficulty).trim().toLowerCase();
+        if (Array.isArray(data.tags)) q.tags = normalizeTags(data.tags);
+        if (data.images !== undefined) q.images = data.images && typeof data.images === "object" ? { ...data.images } : data.images;
+        if (data.translations !== undefined) {
+            q.translations = data.translations && typeof data.translations === "object" ? JSON.parse(JSON.stringify(data.translations)) : data.translations;
+        }
+        ["explanation", "hint", "reference", "referenceUrl"].forEach(field => {
+            if (data[field] !== undefined && data[field] !== null) q[field] = typeof data[field] === "string" ? data[field].trim() : data[field];
+        });
+        return q;
+    }
+
+    static fromData(data) {
+        return new Question(data.id, data.text, data.options, data.correctOptionIndex, data.subjectKey);
+    }
+}
+
+class MultiSelectQuestion extends Question {
+    constructor(id, text, options, correctOptionIndexes, subjectKey) {
+        super(id, text, options, null, subjectKey);
+        this.type = "multi";
+        this.correctOptionIndexes = correctOptionIndexes;
+    }
+
+    isCorrect(userChoiceIndexes) {
+        if (!Array.isArray(userChoiceIndexes) || userChoiceIndexes.length !== this.correctOptionIndexes.length) {
+            return false;
+        }
+        return userChoiceIndexes.every(idx => this.correctOptionIndexes.includes(idx));
+    }
+
+    // Each right pick earns a share, each wrong pick cancels one out
+    getCreditFraction(userChoiceIndexes) {
+        if (!Array.isArray(userChoiceIndexes)) return 0;
+        const right = userChoiceIndexes.filter(idx => this.correctOptionIndexes.includes(idx)).length;
+        const wrong = userChoiceIndexes.length - right;
+        return Math.max(0, (right - wrong) / this.correctOptionIndexes.length);
+    }
+
+    validate() {
+        this._validateText();
+        this._validateOptions();
+        if (!Array.isArray(this.correctOptionIndexes) || this.correctOptionIndexes.length === 0) {
+            throw new Error(t("Mark at least one correct option."));
+        }
+        this.correctOptionIndexes.forEach(idx => this._validateCorrectIndex(idx));
+        if (new Set(this.correctOptionIndexes).size !== this.correctOptionIndexes.length) {
+            throw new Error(t("Each correct option can only be marked once."));
+        }
+    }
+
+    _remapCorrectAnswer(order) {
+        this.correctOptionIndexes = this.correctOptionIndexes.map(idx => order.indexOf(idx)).sort((a, b) => a - b);
+    }
+
+    // A group of checkboxes; Space or Enter toggles the focused one
+    renderInput(container, savedAnswer, onAnswer) {
+        container.setAttribute("role", "group");
+        const selected = new Set(savedAnswer || []);
+        const hint = document.createElement("li");
+        hint.textContent = t("Select all that apply.");
+        hint.classList.add("option-hint", "muted");
+        container.appendChild(hint);
+
+        this.getOptions(translator.locale).forEach((opt, index) => {
+            const li = document.createElement("li");
+            renderInlineRichText(li, opt, this.images);
+            li.classList.add("option-item", "multi-option");
+            li.setAttribute("role", "checkbox");
+            li.setAttribute("aria-checked", String(selected.has(index)));
+            li.tabIndex = 0;
+            if (selected.has(index)) {
+                li.classList.add("selected");
+            }
+            li.addEventListener("click", () => {
+                if (selected.has(index)) {
+                    selected.delete(index);
+                    li.classList.remove("selected");
+                } else {
+                    selected.add(index);
+                    li.classList.add("selected");
+                }
+                li.setAttribute("aria-checked", String(selected.has(index)));
+                onAnswer(selected.size ? [...selected].sort((a, b) => a - b) : undefined);
+            });
+            li.addEventListener("keydown", event => {
+                if ((event.key !== " " && event.key !== "Enter") || container.classList.contains("locked")) return;
+                event.preventDefault();
+                li.click();
+            });
+            container.appendChild(li);
+        });
+    }
+
+    formatAnswer(answer) {
+        const options = this.getOptions(translator.locale);
+        return answer.map(idx => options[idx]).join(", ");
+    }
+
+    getCorrectAnswerText() {
+        const options = this.getOptions(translator.locale);
+        return this.correctOptionIndexes.map(idx => options[idx]).join(", ");
+    }
+
+    toJSON() {
+        return {
+            ...this._baseJSON(),
+            options: [...this.options],
+            correctOptionIndexes: [...this.correctOptionIndexes]
+        };
+    }
+
+    static fromData(data) {
+        return new MultiSelectQuestion(data.id, data.text, data.options, data.correctOptionIndexes, data.subjectKey);
+    }
+}
+
+class TrueFalseQuestion extends Question {
+    constructor(id, text, correctValue, subjectKey) {
+        super(id, text, ["True", "False"], correctValue ? 0 : 1, subjectKey);
+        this.type = "truefalse";
+        this.correctValue = correctValue;
+    }
+
+    validate() {
+        super.validate();
+        if (typeof this.correctValue !== "boolean") {
+            throw new Error(t("Choose whether the statement is true or false."));
+        }
+    }
+
+    // True/False keeps its natural order
+    get shufflesOptions() {
+        return false;
+    }
+
+    // The two options come from the UI catalog rather than the question
+    getOptions(locale) {
+        return this.options.map(option => translator.translate(option, {}, locale));
+    }
+
+    toJSON() {
+        return {
+            ...this._baseJSON(),
+            correctValue: this.correctValue
+        };
+    }
+
+    static fromData(data) {
+        return new TrueFalseQuestion(data.id, data.text, data.correctValue, data.subjectKey);
+    }
+}
+
+class NumericQuestion extends Question {
+    constructor(id, text, correctValue, tolerance, subjectKey) {
+        super(id, text, [], null, subjectKey);
+        this.type = "numeric";
+        this.correctValue = correctValue;
+        this.tolerance = tolerance || 0;
+    }
+
+    isCorrect(answer) {
+        // Small epsilon so 0.1 + 0.2 style answers are not rejected
+        return typeof answer === "number" && Math.abs(answer - this.correctValue) <= this.tolerance + 1e-9;
+    }
+
+    validate() {
+        this._validateText();
+        if (typeof this.correctValue !== "number" || !Number.isFinite(this.correctValue)) {
+            throw new Error(t("Correct value must be a number."));
+        }
+        if (typeof this.tolerance !== "number" || !Number.isFinite(this.tolerance) || this.tolerance < 0) {
+            throw new Error(t("Tolerance must be zero or a positive number."));
+        }
+    }
+
+    get shufflesOptions() {
+        return false;
+    }
+
+    renderInput(container, savedAnswer, onAnswer) {
+        container.removeAttribute("role");
+        const li = document.createElement("li");
+        li.classList.add("answer-input-item");
+        const input = document.createElement("input");
+        input.type = "number";
+        input.step = "any";
+        input.placeholder = t("Enter a number");
+        input.classList.add("answer-input");
+        if (savedAnswer !== undefined) {
+            input.value = savedAnswer;
+        }
+        input.addEventListener("input", () => {
+            const value = parseFloat(input.value);
+            onAnswer(isNaN(value) ? undefined : value);
+        });
+        li.appendChild(input);
+        container.appendChild(li);
+    }
+
+    formatAnswer(answer) {
+        return String(answer);
+    }
+
+    getCorrectAnswerText() {
+        return this.tolerance > 0 ? `${this.correctValue} (±${this.tolerance})` : String(this.correctValue);
+    }
+
+    toJSON() {
+        return {
+            ...this._baseJSON(),
+            correctValue: this.correctValue,
+            tolerance: this.tolerance
+        };
+    }
+
+    static fromData(data) {
+        return new NumericQuestion(data.id, data.text, data.correctValue, data.tolerance, data.subjectKey);
+    }
+}
+
+class ShortAnswerQuestion extends Question {
+    constructor(id, text, acceptedAnswers, subjectKey, caseSensitive = false) {
+        super(id, text, [], null, subjectKey);
+        this.type = "short";
+        this.acceptedAnswers = acceptedAnswers;
+        this.caseSensitive = caseSensitive;
+    }
+
+    _normalize(value) {
+        const trimmed = String(value).trim().replace(/\s+/g, " ");
+        return this.caseSensitive ? trimmed : trimmed.toLowerCase();
+    }
+
+    // Answers accepted in any language count, whichever language the quiz is shown in
+    getAllAcceptedAnswers() {
+        return [this.acceptedAnswers, ...Object.values(this.translations).map(tr => tr.acceptedAnswers || [])].flat();
+    }
+
+    isCorrect(answer) {
+        if (typeof answer !== "string" || !answer.trim()) return false;
+        const normalized = this._normalize(answer);
+        return this.getAllAcceptedAnswers().some(a => this._normalize(a) === normalized);
+    }
+
+    validate() {
+        this._validateText();
+        if (!Array.isArray(this.acceptedAnswers) || this.acceptedAnswers.some(a => typeof a !== "string")) {
+            throw new Error(t("Accepted answers must be a list of text."));
+        }
+        if (!this.acceptedAnswers.some(a => a.trim())) {
+            throw new Error(t("Enter at least one accepted answer."));
+        }
+    }
+
+    get shufflesOptions() {
+        return false;
+    }
+
+    renderInput(container, savedAnswer, onAnswer) {
+        container.removeAttribute("role");
+        const li = document.createElement("li");
+        li.classList.add("answer-input-item");
+        const input = document.createElement("input");
+        input.type = "text";
+        input.placeholder = t("Type your answer");
+        input.classList.add("answer-input");
+        if (savedAnswer !== undefined) {
+            input.value = savedAnswer;
+        }
+        input.addEventListener("input", () => {
+            onAnswer(input.value.trim() ? input.value : undefined);
+        });
+        li.appendChild(input);
+        container.appendChild(li);
+    }
+
+    formatAnswer(answer) {
+        return answer.trim();
+    }
+
+    getCorrectAnswerText() {
+        return (this.translations[translator.locale]?.acceptedAnswers || this.acceptedAnswers).join(" / ");
+    }
+
+    toJSON() {
+        return {
+            ...this._baseJSON(),
+            acceptedAnswers: [...this.acceptedAnswers],
+            caseSensitive: this.caseSensitive
+        };
+    }
+
+    static fromData(data) {
+        return new ShortAnswerQuestion(data.id, data.text, data.acceptedAnswers, data.subjectKey, data.caseSensitive);
+    }
+}
+
+// Small deterministic PRNG (mulberry32) so an attempt's question selection and
+// option order can be reproduced from its seed.
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Unbiased Fisher–Yates; returns a new array
+    shuffle(items) {
+        const arr = [...items];
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr;
+    }
+
+    static generateSeed() {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+}
+
+// Random, so ids made on different devices never collide
+function generateId(prefix) {
+    const random = crypto.getRandomValues(new Uint32Array(2));
+    return `${prefix}-${Date.now().toString(36)}-${random[0].toString(36)}${random[1].toString(36)}`;
+}
+
+function generateAttemptId() {
+    return generateId("A");
+}
+
+const QUESTION_DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Tags are compared case-insensitively; "Linked Lists" is stored as "linked-lists"
+function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase().replace(/\s+/g, "-");
+}
+
+function normalizeTags(tags) {
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))];
 }
 
+const QUESTION_TYPES = {
+    single: Question,
+    multi: MultiSelectQuestion,
+    truefalse: TrueFalseQuestion,
+    numeric: NumericQuestion,
+    short: ShortAnswerQuestion
+};
+
 class Quiz {
     constructor(id, subjectKey, subjectLabel, questions) {
         this.id = id;
@@ -27,19 +632,51 @@ class Quiz {
         this.userAnswers = {};
         this.startTime = null;
         this.endTime = null;
+        this.seed = null;
+        this.optionOrders = {};
+        this.timeSpentMs = {};
+        this._viewStartedAt = null;
+        this.scoringPolicy = new ScoringPolicy();
+        this.assessmentId = null;
+        // { enforceFullscreen, maxViolations } for monitored attempts, else null
+        this.integritySettings = null;
+        this.integrityEvents = [];
+        this.flaggedQuestionIds = [];
+        this.hintsUsed = [];
     }
 
     start() {
         this.currentQuestionIndex = 0;
         this.userAnswers = {};
+        this.flaggedQuestionIds = [];
+        this.hintsUsed = [];
         this.startTime = Date.now();
         this.endTime = null;
+        this.timeSpentMs = {};
+        this._viewStartedAt = this.startTime;
     }
 
     finish() {
+        this._recordViewTime();
+        this._viewStartedAt = null;
         this.endTime = Date.now();
     }
 
+    // Adds the time since the current question was shown to its total
+    _recordViewTime() {
+        if (this._viewStartedAt === null) return;
+        const now = Date.now();
+        const q = this.getCurrentQuestion();
+        if (q) {
+            this.timeSpentMs[q.id] = (this.timeSpentMs[q.id] || 0) + (now - this._viewStartedAt);
+        }
+        this._viewStartedAt = now;
+    }
+
+    getTimeSpentSeconds(questionId) {
+        return Math.round((this.timeSpentMs[questionId] || 0) / 100) / 10;
+    }
+
     getTimeUsedSeconds() {
         if (!this.startTime) return 0;
         const end = this.endTime || Date.now();
@@ -60,6 +697,7 @@ class Quiz {
 
     goToNextQuestion() {
         if (this.hasNextQuestion()) {
+            this._recordViewTime();
             this.currentQuestionIndex++;
         }
         return this.getCurrentQuestion();
@@ -67,412 +705,7073 @@ class Quiz {
 
     goToPrevQuestion() {
         if (this.hasPrevQuestion()) {
+            this._recordViewTime();
             this.currentQuestionIndex--;
         }
         return this.getCurrentQuestion();
     }
 
+    canGoToQuestion(index) {
+        return Number.isInteger(index) && index >= 0 && index < this.questions.length;
+    }
+
+    // Jumps straight to a question, e.g. from the navigator; stays put if that is not allowed
+    goToQuestion(index) {
+        if (index !== this.currentQuestionIndex && this.canGoToQuestion(index)) {
+            this._recordViewTime();
+            this.currentQuestionIndex = index;
+        }
+        return this.getCurrentQuestion();
+    }
+
     saveAnswer(questionId, choiceIndex) {
         this.userAnswers[questionId] = choiceIndex;
     }
 
-    getAttemptedCount() {
-        return Object.keys(this.userAnswers).length;
+    clearAnswer(questionId) {
+        delete this.userAnswers[questionId];
     }
-}
 
-class TimedQuiz extends Quiz {
-    constructor(id, subjectKey, subjectLabel, questions, timeLimitInSeconds) {
-        super(id, subjectKey, subjectLabel, questions);
-        this.timeLimitInSeconds = timeLimitInSeconds;
+    isAnswered(questionId) {
+        return this.userAnswers[questionId] !== undefined;
     }
 
-    getRemainingSeconds() {
-        if (!this.startTime) return this.timeLimitInSeconds;
-        const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
-        return Math.max(0, this.timeLimitInSeconds - elapsed);
+    isFlagged(questionId) {
+        return this.flaggedQuestionIds.includes(questionId);
     }
 
-    isTimeOver() {
-        return this.getRemainingSeconds() <= 0;
+    // Returns whether the question is now marked for review
+    toggleFlag(questionId) {
+        if (this.isFlagged(questionId)) {
+            this.flaggedQuestionIds = this.flaggedQuestionIds.filter(id => id !== questionId);
+            return false;
+        }
+        this.flaggedQuestionIds.push(questionId);
+        return true;
     }
-}
 
-class Result {
-    constructor(studentName, studentId, subjectLabel, score, totalQuestions, timeUsedSeconds, timeLimitSeconds, attemptedCount, takenAt) {
-        this.studentName = studentName || "Guest";
-        this.studentId = studentId || "N/A";
-        this.subjectLabel = subjectLabel;
-        this.score = score;
-        this.totalQuestions = totalQuestions;
-        this.timeUsedSeconds = timeUsedSeconds;
-        this.timeLimitSeconds = timeLimitSeconds;
-        this.attemptedCount = attemptedCount;
-        this.takenAt = takenAt;
+    hasUsedHint(questionId) {
+        return this.hintsUsed.includes(questionId);
     }
 
-    getPercentage() {
-        return (this.score * 100) / this.totalQuestions;
+    // Once revealed, a hint stays used for scoring even if the student moves away
+    revealHint(questionId) {
+        if (!this.hasUsedHint(questionId)) this.hintsUsed.push(questionId);
     }
 
-    getGrade() {
-        const p = this.getPercentage();
-        if (p >= 80) return "A+";
-        if (p >= 70) return "A";
-        if (p >= 60) return "B";
-        if (p >= 50) return "C";
-        return "F";
+    // Indexes of the questions a student may want to revisit before submitting
+    getSubmitSummary() {
+        const indexesWhere = test => this.questions.map((q, idx) => (test(q) ? idx : -1)).filter(idx => idx !== -1);
+        return {
+            unanswered: indexesWhere(q => !this.isAnswered(q.id)),
+            flagged: indexesWhere(q => this.isFlagged(q.id))
+        };
     }
 
-    getTimeStatus() {
-        if (this.timeUsedSeconds > this.timeLimitSeconds) return "Time over";
-        return "Completed within time";
+    getAttemptedCount() {
+        return Object.keys(this.userAnswers).length;
     }
-}
 
-class SubjectManager {
-    constructor() {
-        this.subjects = {};
+    // Maps an answer from the shuffled order the student saw back to the
+    // bank's option indexes, so responses from different attempts line up.
+    _toBankAnswer(answer, order) {
+        if (!order) return answer;
+        if (Array.isArray(answer)) return answer.map(idx => order[idx]).sort((a, b) => a - b);
+        return typeof answer === "number" ? order[answer] : answer;
     }
 
-    addSubject(key, label) {
-        if (!key || !label) {
-            throw new Error("Subject key and label are required.");
-        }
-        this.subjects[key] = { label };
+    getResponses() {
+        return this.questions.map(q => {
+            const answer = this.userAnswers[q.id];
+            return {
+                questionId: q.id,
+                type: q.type,
+                answer: answer === undefined ? null : this._toBankAnswer(answer, this.optionOrders[q.id]),
+                correct: answer === undefined ? null : q.isCorrect(answer),
+                points: this.scoringPolicy.scoreQuestion(q, answer, this.hasUsedHint(q.id)),
+                maxPoints: this.scoringPolicy.getQuestionPoints(q),
+                timeSpentSeconds: this.getTimeSpentSeconds(q.id),
+                hintUsed: this.hasUsedHint(q.id)
+            };
+        });
     }
 
-    getSubjectLabel(key) {
-        return this.subjects[key]?.label || key;
+    // Questions are copied as they are now (with their shuffled option order)
+    // so a restored quiz shows exactly what the student was looking at.
+    toSnapshot() {
+        this._recordViewTime();
+        return {
+            id: this.id,
+            subjectKey: this.subjectKey,
+            subjectLabel: this.subjectLabel,
+            questions: this.questions.map(q => q.toJSON()),
+            currentQuestionIndex: this.currentQuestionIndex,
+            userAnswers: { ...this.userAnswers },
+            startTime: this.startTime,
+            seed: this.seed,
+            optionOrders: { ...this.optionOrders },
+            timeSpentMs: { ...this.timeSpentMs },
+            scoringPolicy: this.scoringPolicy.toJSON(),
+            assessmentId: this.assessmentId,
+            integritySettings: this.integritySettings ? { ...this.integritySettings } : null,
+            integrityEvents: this.integrityEvents.map(event => ({ ...event })),
+            flaggedQuestionIds: [...this.flaggedQuestionIds],
+            hintsUsed: [...this.hintsUsed]
+        };
     }
 
-    getAllSubjects() {
-        return Object.entries(this.subjects).map(([key, value]) => ({
-            key,
-            label: value.label
-        }));
+    _restoreProgress(snapshot) {
+        this.seed = snapshot.seed ?? null;
+        this.optionOrders = { ...snapshot.optionOrders };
+        this.currentQuestionIndex = snapshot.currentQuestionIndex;
+        this.userAnswers = { ...snapshot.userAnswers };
+        this.startTime = snapshot.startTime;
+        this.endTime = null;
+        this.timeSpentMs = { ...snapshot.timeSpentMs };
+        this._viewStartedAt = Date.now();
+        this.scoringPolicy = ScoringPolicy.fromJSON(snapshot.scoringPolicy);
+        this.assessmentId = snapshot.assessmentId ?? null;
+        this.integritySettings = snapshot.integritySettings ? { ...snapshot.integritySettings } : null;
+        this.integrityEvents = (snapshot.integrityEvents || []).map(event => ({ ...event }));
+        this.flaggedQuestionIds = [...(snapshot.flaggedQuestionIds || [])];
+        this.hintsUsed = [...(snapshot.hintsUsed || [])];
     }
 }
 
+// Seconds left at which the timer turns amber, then red at the smallest one,
+// and the student is told how long remains
+const TIMER_WARNING_THRESHOLDS = [30, 10];
+
+// Besides the overall limit, a timed quiz can have a per-question limit that
+// moves on automatically when it runs out, and `sections`: consecutive runs
+// of questions with their own budget that close for good once their time is
+// up or the student moves past them. Either way, earlier questions cannot be
+// revisited.
+class TimedQuiz extends Quiz {
+    constructor(id, subjectKey, subjectLabel, questions, timeLimitInSeconds) {
+        super(id, subjectKey, subjectLabel, questions);
+        this.timeLimitInSeconds = timeLimitInSeconds;
+        this.questionTimeLimitInSeconds = null;
+        this.sections = [];
+        this.warningThresholds = [...TIMER_WARNING_THRESHOLDS];
+        this.timedOutQuestionIds = [];
+        this.questionStartedAt = null;
+        this.sectionStartedAt = null;
+    }
+
+    start() {
+        super.start();
+        this.timedOutQuestionIds = [];
+        this.questionStartedAt = this.startTime;
+        this.sectionStartedAt = this.startTime;
+    }
+
+    _secondsLeft(limit, since) {
+        if (since === null) return limit;
+        const elapsed = Math.floor((Date.now() - since) / 1000);
+        return Math.max(0, limit - elapsed);
+    }
+
+    getRemainingSeconds() {
+        return this._secondsLeft(this.timeLimitInSeconds, this.startTime);
+    }
+
+    isTimeOver() {
+        return this.getRemainingSeconds() <= 0;
+    }
+
+    // -1 when the quiz has no sections
+    getSectionIndex(questionIndex = this.currentQuestionIndex) {
+        let end = 0;
+        for (let i = 0; i < this.sections.length; i++) {
+            end += this.sections[i].questionCount;
+            if (questionIndex < end) return i;
+        }
+        return -1;
+    }
+
+    _getSectionStart(sectionIndex) {
+        return this.sections.slice(0, sectionIndex).reduce((sum, section) => sum + section.questionCount, 0);
+    }
+
+    getCurrentSection() {
+        const idx = this.getSectionIndex();
+        return idx === -1 ? null : this.sections[idx];
+    }
+
+    // True on the last question of a section that has another one after it
+    isLastQuestionOfSection() {
+        const idx = this.getSectionIndex();
+        return idx !== -1 && idx < this.sections.length - 1 &&
+            this.currentQuestionIndex === this._getSectionStart(idx + 1) - 1;
+    }
+
+    getQuestionRemainingSeconds() {
+        if (this.questionTimeLimitInSeconds === null) return null;
+        return this._secondsLeft(this.questionTimeLimitInSeconds, this.questionStartedAt);
+    }
+
+    getSectionRemainingSeconds() {
+        const section = this.getCurrentSection();
+        return section ? this._secondsLeft(section.timeLimitInSeconds, this.sectionStartedAt) : null;
+    }
+
+    // Every clock that applies right now: question, section, then the whole quiz
+    getCountdowns() {
+        const countdowns = [];
+        if (this.questionTimeLimitInSeconds !== null) {
+            countdowns.push({ scope: "question", remaining: this.getQuestionRemainingSeconds(), limit: this.questionTimeLimitInSeconds });
+        }
+        const section = this.getCurrentSection();
+        if (section) {
+            countdowns.push({ scope: "section", remaining: this.getSectionRemainingSeconds(), limit: section.timeLimitInSeconds });
+        }
+        countdowns.push({ scope: "quiz", remaining: this.getRemainingSeconds(), limit: this.timeLimitInSeconds });
+        return countdowns;
+    }
+
+    hasPrevQuestion() {
+        if (this.questionTimeLimitInSeconds !== null) return false;
+        const idx = this.getSectionIndex();
+        if (idx !== -1 && this.currentQuestionIndex === this._getSectionStart(idx)) return false;
+        return super.hasPrevQuestion();
+    }
+
+    // Jumps stay inside the current section, and a per-question clock rules them out
+    canGoToQuestion(index) {
+        if (index === this.currentQuestionIndex) return true;
+        if (this.questionTimeLimitInSeconds !== null) return false;
+        return super.canGoToQuestion(index) && this.getSectionIndex(index) === this.getSectionIndex();
+    }
+
+    goToNextQuestion() {
+        const indexBefore = this.currentQuestionIndex;
+        const sectionBefore = this.getSectionIndex();
+        const q = super.goToNextQuestion();
+        if (this.currentQuestionIndex !== indexBefore) {
+            this._startQuestionClock(this.getSectionIndex() !== sectionBefore);
+        }
+        return q;
+    }
+
+    _startQuestionClock(newSection) {
+        const now = Date.now();
+        this.questionStartedAt = now;
+        if (newSection) this.sectionStartedAt = now;
+    }
+
+    // Called when the question or section clock reaches zero. Returns the
+    // question to show next, or null when the quiz should be submitted.
+    advanceAfterTimeout() {
+        if (this.getSectionRemainingSeconds() === 0) {
+            const idx = this.getSectionIndex();
+            if (idx === this.sections.length - 1) return null;
+            this._recordViewTime();
+            this.currentQuestionIndex = this._getSectionStart(idx + 1);
+            this._startQuestionClock(true);
+            return this.getCurrentQuestion();
+        }
+        const q = this.getCurrentQuestion();
+        if (!this.timedOutQuestionIds.includes(q.id)) this.timedOutQuestionIds.push(q.id);
+        const indexBefore = this.currentQuestionIndex;
+        const next = this.goToNextQuestion();
+        return next && this.currentQuestionIndex !== indexBefore ? next : null;
+    }
+
+    toSnapshot() {
+        return {
+            ...super.toSnapshot(),
+            timeLimitInSeconds: this.timeLimitInSeconds,
+            questionTimeLimitInSeconds: this.questionTimeLimitInSeconds,
+            sections: this.sections.map(section => ({ ...section })),
+            warningThresholds: [...this.warningThresholds],
+            timedOutQuestionIds: [...this.timedOutQuestionIds],
+            questionStartedAt: this.questionStartedAt,
+            sectionStartedAt: this.sectionStartedAt
+        };
+    }
+
+    _restoreProgress(snapshot) {
+        super._restoreProgress(snapshot);
+        this.questionTimeLimitInSeconds = snapshot.questionTimeLimitInSeconds ?? null;
+        this.sections = (snapshot.sections || []).map(section => ({ ...section }));
+        this.warningThresholds = snapshot.warningThresholds ? [...snapshot.warningThresholds] : [...TIMER_WARNING_THRESHOLDS];
+        this.timedOutQuestionIds = [...(snapshot.timedOutQuestionIds || [])];
+        // Like the overall timer, these keep counting while the student is away
+        this.questionStartedAt = snapshot.questionStartedAt ?? this.startTime;
+        this.sectionStartedAt = snapshot.sectionStartedAt ?? this.startTime;
+    }
+
+    static fromSnapshot(snapshot) {
+        const questions = snapshot.questions.map(q => Question.fromJSON(q));
+        const quiz = new TimedQuiz(snapshot.id, snapshot.subjectKey, snapshot.subjectLabel, questions, snapshot.timeLimitInSeconds);
+        quiz._restoreProgress(snapshot);
+        return quiz;
+    }
+}
+
+// Rasch (one-parameter IRT) model: chance that a student of ability `theta`
+// answers a question of difficulty `difficulty` correctly. Both are in logits.
+function raschProbability(theta, difficulty) {
+    return 1 / (1 + Math.exp(difficulty - theta));
+}
+
+const ADAPTIVE_MIN_QUESTIONS = 5;
+const ADAPTIVE_TARGET_STANDARD_ERROR = 0.6;
+// The next question is drawn at random from those within this many logits of
+// the best match, so students of similar ability do not get identical sequences
+const ADAPTIVE_CANDIDATE_WINDOW = 0.5;
+// Reported ability score = 500 + 100 × theta
+const ABILITY_SCALE_MEAN = 500;
+const ABILITY_SCALE_SPREAD = 100;
+
+// Computer-adaptive quiz. It starts with one question and, after each answer,
+// re-estimates the student's ability and adds the unused question whose
+// difficulty is closest to it, which is the most informative one under the
+// Rasch model. It ends once the estimate is precise enough or maxQuestions
+// have been asked. Extends TimedQuiz so the timer, snapshots and scoring keep
+// working; `questions` only ever holds the questions asked so far.
+class AdaptiveQuiz extends TimedQuiz {
+    constructor(id, subjectKey, subjectLabel, pool, difficulties, maxQuestions, timeLimitInSeconds) {
+        super(id, subjectKey, subjectLabel, [], timeLimitInSeconds);
+        this.pool = pool;
+        this.difficulties = difficulties;
+        this.maxQuestions = Math.min(maxQuestions, pool.length);
+    }
+
+    start() {
+        super.start();
+        this.questions = [];
+        this._askNextQuestion();
+    }
+
+    // Earlier answers are locked in because later questions were chosen from them
+    hasPrevQuestion() {
+        return false;
+    }
+
+    canGoToQuestion(index) {
+        return index === this.currentQuestionIndex;
+    }
+
+    // Returns null when the quiz has asked enough and should be submitted
+    goToNextQuestion() {
+        if (this.isComplete()) return null;
+        this._recordViewTime();
+        this._askNextQuestion();
+        this.currentQuestionIndex = this.questions.length - 1;
+        this._startQuestionClock(false);
+        return this.getCurrentQuestion();
+    }
+
+    isComplete() {
+        const { standardError, answered } = this.getAbilityEstimate();
+        return answered >= this.maxQuestions ||
+            (answered >= ADAPTIVE_MIN_QUESTIONS && standardError <= ADAPTIVE_TARGET_STANDARD_ERROR);
+    }
+
+    // Maximum a posteriori estimate with a standard normal prior (Newton's
+    // method), so all-correct or all-wrong answers still give a finite value.
+    getAbilityEstimate() {
+        const answered = this.questions.filter(q => this.userAnswers[q.id] !== undefined);
+        let theta = 0;
+        let information = 1;
+        for (let i = 0; i < 30; i++) {
+            let gradient = -theta;
+            information = 1;
+            answered.forEach(q => {
+                const p = raschProbability(theta, this.difficulties[q.id] ?? 0);
+                gradient += (q.isCorrect(this.userAnswers[q.id]) ? 1 : 0) - p;
+                information += p * (1 - p);
+            });
+            const step = gradient / information;
+            theta += step;
+            if (Math.abs(step) < 0.0001) break;
+        }
+        return { theta, standardError: 1 / Math.sqrt(information), answered: answered.length };
+    }
+
+    getAbilityScore() {
+        const { theta, standardError } = this.getAbilityEstimate();
+        return {
+            theta: roundScore(theta),
+            standardError: roundScore(standardError),
+            score: Math.round(ABILITY_SCALE_MEAN + ABILITY_SCALE_SPREAD * theta),
+            margin: Math.round(ABILITY_SCALE_SPREAD * standardError)
+        };
+    }
+
+    _askNextQuestion() {
+        const asked = new Set(this.questions.map(q => q.id));
+        const { theta } = this.getAbilityEstimate();
+        const distance = q => Math.abs((this.difficulties[q.id] ?? 0) - theta);
+        const remaining = this.pool.filter(q => !asked.has(q.id));
+        if (remaining.length === 0) return;
+        const best = Math.min(...remaining.map(distance));
+        const candidates = remaining.filter(q => distance(q) <= best + ADAPTIVE_CANDIDATE_WINDOW);
+        // Seeded by position so a resumed quiz continues the same way
+        const rng = new SeededRandom(this.seed + this.questions.length);
+        this.questions.push(candidates[rng.nextInt(candidates.length)]);
+    }
+
+    toSnapshot() {
+        return {
+            ...super.toSnapshot(),
+            mode: "adaptive",
+            pool: this.pool.map(q => q.toJSON()),
+            difficulties: { ...this.difficulties },
+            maxQuestions: this.maxQuestions
+        };
+    }
+
+    static fromSnapshot(snapshot) {
+        const pool = snapshot.pool.map(q => Question.fromJSON(q));
+        const quiz = new AdaptiveQuiz(snapshot.id, snapshot.subjectKey, snapshot.subjectLabel, pool, snapshot.difficulties, snapshot.maxQuestions, snapshot.timeLimitInSeconds);
+        quiz.questions = snapshot.questions.map(data => pool.find(q => q.id === data.id) || Question.fromJSON(data));
+        quiz._restoreProgress(snapshot);
+        return quiz;
+    }
+}
+
+// Untimed revision session built from a student's spaced-repetition
+// schedule. Each answer is checked as soon as the student asks and is
+// locked afterwards; `checked` maps question IDs to whether they were right.
+class ReviewQuiz extends Quiz {
+    constructor(id, subjectKey, subjectLabel, questions) {
+        super(id, subjectKey, subjectLabel, questions);
+        this.timeLimitInSeconds = null;
+        this.checked = {};
+    }
+
+    getRemainingSeconds() {
+        return Infinity;
+    }
+
+    isTimeOver() {
+        return false;
+    }
+
+    isChecked(questionId) {
+        return questionId in this.checked;
+    }
+
+    checkAnswer(questionId) {
+        const q = this.questions.find(item => item.id === questionId);
+        this.checked[questionId] = q.isCorrect(this.userAnswers[questionId]);
+        return this.checked[questionId];
+    }
+
+    toSnapshot() {
+        return { ...super.toSnapshot(), mode: "review", checked: { ...this.checked } };
+    }
+
+    static fromSnapshot(snapshot) {
+        const questions = snapshot.questions.map(q => Question.fromJSON(q));
+        const quiz = new ReviewQuiz(snapshot.id, snapshot.subjectKey, snapshot.subjectLabel, questions);
+        quiz._restoreProgress(snapshot);
+        quiz.checked = { ...snapshot.checked };
+        return quiz;
+    }
+}
+
+// Snapshot "mode" -> class that can rebuild it; snapshots without a mode are timed quizzes
+const QUIZ_SNAPSHOT_TYPES = {
+    timed: TimedQuiz,
+    adaptive: AdaptiveQuiz,
+    review: ReviewQuiz
+};
+
+const DEFAULT_GRADE_SCALE = [
+    { minPercent: 80, grade: "A+" },
+    { minPercent: 70, grade: "A" },
+    { minPercent: 60, grade: "B" },
+    { minPercent: 50, grade: "C" },
+    { minPercent: 0, grade: "F" }
+];
+
+function roundScore(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// How a subject (or a single quiz) turns answers into marks and grades.
+// pointsPerQuestion = null means each question's own points are used;
+// wrongPenalty is the share of a question's points taken off for a wrong answer,
+// hintPenalty the share taken off what a right answer earns once its hint was shown.
+class ScoringPolicy {
+    constructor(pointsPerQuestion = null, wrongPenalty = 0, partialCredit = false, gradeScale = DEFAULT_GRADE_SCALE, hintPenalty = 0) {
+        this.pointsPerQuestion = pointsPerQuestion;
+        this.wrongPenalty = wrongPenalty;
+        this.partialCredit = partialCredit;
+        this.gradeScale = [...gradeScale].sort((a, b) => b.minPercent - a.minPercent);
+        this.hintPenalty = hintPenalty;
+    }
+
+    validate() {
+        if (this.pointsPerQuestion !== null && !(this.pointsPerQuestion > 0)) {
+            throw new Error(t("Points per question must be a positive number."));
+        }
+        if (!(this.wrongPenalty >= 0 && this.wrongPenalty <= 1)) {
+            throw new Error(t("Wrong-answer penalty must be between 0 and 1."));
+        }
+        if (!(this.hintPenalty >= 0 && this.hintPenalty <= 1)) {
+            throw new Error(t("Hint penalty must be between 0 and 1."));
+        }
+        if (this.gradeScale.length === 0) {
+            throw new Error(t("The grade scale needs at least one grade."));
+        }
+        this.gradeScale.forEach(step => {
+            if (!step.grade || typeof step.minPercent !== "number" || step.minPercent < 0 || step.minPercent > 100) {
+                throw new Error(t("Each grade needs a name and a minimum percentage between 0 and 100."));
+            }
+        });
+    }
+
+    getQuestionPoints(question) {
+        return this.pointsPerQuestion ?? question.points ?? 1;
+    }
+
+    getMaxScore(questions) {
+        return roundScore(questions.reduce((sum, q) => sum + this.getQuestionPoints(q), 0));
+    }
+
+    // Points earned for one answer; negative when a wrong answer is penalised.
+    // The hint penalty only reduces credit, so a hint never makes a wrong answer worse.
+    scoreQuestion(question, answer, usedHint = false) {
+        if (answer === undefined || answer === null) return 0;
+        const points = this.getQuestionPoints(question);
+        const fraction = this.partialCredit ? question.getCreditFraction(answer) : (question.isCorrect(answer) ? 1 : 0);
+        if (fraction > 0) return roundScore(fraction * points * (usedHint ? 1 - this.hintPenalty : 1));
+        return roundScore(-this.wrongPenalty * points);
+    }
+
+    getGrade(percentage) {
+        const step = this.gradeScale.find(s => percentage >= s.minPercent);
+        return step ? step.grade : this.gradeScale[this.gradeScale.length - 1].grade;
+    }
+
+    toJSON() {
+        return {
+            pointsPerQuestion: this.pointsPerQuestion,
+            wrongPenalty: this.wrongPenalty,
+            partialCredit: this.partialCredit,
+            gradeScale: this.gradeScale.map(step => ({ ...step })),
+            hintPenalty: this.hintPenalty
+        };
+    }
+
+    static fromJSON(data) {
+        if (!data) return new ScoringPolicy();
+        return new ScoringPolicy(data.pointsPerQuestion ?? null, data.wrongPenalty || 0, !!data.partialCredit, data.gradeScale || DEFAULT_GRADE_SCALE, data.hintPenalty || 0);
+    }
+
+    // "80=A+" per line, highest first
+    static parseGradeScale(text) {
+        return text.split("\n").map(line => line.trim()).filter(Boolean).map(line => {
+            const match = line.match(/^(\d+(?:\.\d+)?)\s*[=:]\s*(.+)$/);
+            if (!match) {
+                throw new Error(t("Grade scale line \"{line}\" should look like \"80=A+\".", { line }));
+            }
+            return { minPercent: Number(match[1]), grade: match[2].trim() };
+        });
+    }
+
+    static formatGradeScale(gradeScale) {
+        return gradeScale.map(step => `${step.minPercent}=${step.grade}`).join("\n");
+    }
+}
+
+class Result {
+    constructor(studentName, studentId, subjectLabel, score, totalQuestions, timeUsedSeconds, timeLimitSeconds, attemptedCount, takenAt, maxScore = totalQuestions, scoringPolicy = new ScoringPolicy()) {
+        this.studentName = studentName || "Guest";
+        this.studentId = studentId || "N/A";
+        this.subjectLabel = subjectLabel;
+        this.score = score;
+        this.totalQuestions = totalQuestions;
+        this.timeUsedSeconds = timeUsedSeconds;
+        this.timeLimitSeconds = timeLimitSeconds;
+        this.attemptedCount = attemptedCount;
+        this.takenAt = takenAt;
+        this.maxScore = maxScore;
+        this.scoringPolicy = scoringPolicy;
+    }
+
+    getPercentage() {
+        if (!this.maxScore) return 0;
+        return (this.score * 100) / this.maxScore;
+    }
+
+    getGrade() {
+        return this.scoringPolicy.getGrade(this.getPercentage());
+    }
+
+    getTimeStatus() {
+        if (this.timeLimitSeconds === null) return t("Untimed");
+        if (this.timeUsedSeconds > this.timeLimitSeconds) return t("Time over");
+        return t("Completed within time");
+    }
+
+    static fromStored(data) {
+        return new Result(
+            data.studentName,
+            data.studentId,
+            data.subjectLabel,
+            data.score,
+            data.totalQuestions,
+            data.timeUsedSeconds,
+            data.timeLimitSeconds,
+            data.attemptedCount,
+            data.takenAt,
+            data.maxScore ?? data.totalQuestions,
+            ScoringPolicy.fromJSON(data.scoringPolicy)
+        );
+    }
+}
+
+const SUPPORTED_LOCALES = {
+    en: { label: "English", tag: "en-GB" },
+    bn: { label: "বাংলা", tag: "bn-BD" }
+};
+const DEFAULT_LOCALE = "en";
+
+// Message catalogs are keyed by the English text, so a missing translation
+// simply shows the English. Placeholders look like {name}.
+class Translator {
+    constructor(catalogs, storageKey) {
+        this.catalogs = catalogs;
+        this.storageKey = storageKey;
+        const saved = localStorage.getItem(storageKey);
+        this.locale = SUPPORTED_LOCALES[saved] ? saved : DEFAULT_LOCALE;
+    }
+
+    setLocale(locale) {
+        if (!SUPPORTED_LOCALES[locale]) {
+            throw new Error(`Unsupported language "${locale}".`);
+        }
+        this.locale = locale;
+        localStorage.setItem(this.storageKey, locale);
+    }
+
+    getTag(locale = this.locale) {
+        return SUPPORTED_LOCALES[locale].tag;
+    }
+
+    translate(message, params = {}, locale = this.locale) {
+        const text = this.catalogs[locale]?.[message] ?? message;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    formatDateTime(ms) {
+        return new Date(ms).toLocaleString(this.getTag());
+    }
+
+    formatTime(ms) {
+        return new Date(ms).toLocaleTimeString(this.getTag());
+    }
+
+    formatNumber(value, options) {
+        return value.toLocaleString(this.getTag(), options);
+    }
+}
+
+class SubjectManager {
+    constructor() {
+        this.subjects = {};
+    }
+
+    addSubject(key, label, ownerId = null, scoringPolicy = null) {
+        if (!key || !label) {
+            throw new Error(t("Subject key and label are required."));
+        }
+        this.subjects[key] = { label, ownerId, scoringPolicy };
+    }
+
+    hasSubject(key) {
+        return key in this.subjects;
+    }
+
+    getSubjectLabel(key) {
+        return this.subjects[key]?.label || key;
+    }
+
+    setSubjectLabel(key, label) {
+        if (!label) {
+            throw new Error(t("Subject key and label are required."));
+        }
+        if (this.subjects[key]) {
+            this.subjects[key].label = label;
+        }
+    }
+
+    removeSubject(key) {
+        delete this.subjects[key];
+    }
+
+    getSubjectOwner(key) {
+        return this.subjects[key]?.ownerId || null;
+    }
+
+    getScoringPolicy(key) {
+        return this.subjects[key]?.scoringPolicy || null;
+    }
+
+    setScoringPolicy(key, scoringPolicy) {
+        if (this.subjects[key]) {
+            this.subjects[key].scoringPolicy = scoringPolicy;
+        }
+    }
+
+    setSubjectOwner(key, ownerId) {
+        if (this.subjects[key]) {
+            this.subjects[key].ownerId = ownerId;
+        }
+    }
+
+    getAllSubjects() {
+        return Object.entries(this.subjects).map(([key, value]) => ({
+            key,
+            label: value.label,
+            ownerId: value.ownerId,
+            scoringPolicy: value.scoringPolicy
+        }));
+    }
+}
+
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(str) {
+    return Uint8Array.from(atob(str), ch => ch.charCodeAt(0));
+}
+
+const PBKDF2_ITERATIONS = 310000;
+const TEACHER_SESSION_MS = 2 * 60 * 60 * 1000;
+
+// Teacher accounts with salted PBKDF2 password hashes (Web Crypto) and a
+// sliding session that expires after TEACHER_SESSION_MS of inactivity.
+// Accounts stay in this browser even when the bank is shared through a quiz
+// server, so subject ownership is per device: another device only sees a
+// subject's owner id, which is random so it never matches one of its own
+// accounts by chance, and leaves the subject to its administrators.
+class TeacherAuth {
+    constructor(accountsKey, sessionKey, sessionDurationMs = TEACHER_SESSION_MS) {
+        this.accountsKey = accountsKey;
+        this.sessionKey = sessionKey;
+        this.sessionDurationMs = sessionDurationMs;
+    }
+
+    getAccounts() {
+        const raw = localStorage.getItem(this.accountsKey);
+        if (!raw) return [];
+        try {
+            return JSON.parse(raw);
+        } catch {
+            return [];
+        }
+    }
+
+    _saveAccounts(accounts) {
+        localStorage.setItem(this.accountsKey, JSON.stringify(accounts));
+    }
+
+    hasAccounts() {
+        return this.getAccounts().length > 0;
+    }
+
+    getAccount(id) {
+        return this.getAccounts().find(a => a.id === id) || null;
+    }
+
+    async _hash(password, salt, iterations) {
+        const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+        const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+        return bytesToBase64(new Uint8Array(bits));
+    }
+
+    async _createPasswordRecord(password) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        return {
+            passwordHash: await this._hash(password, salt, PBKDF2_ITERATIONS),
+            salt: bytesToBase64(salt),
+            iterations: PBKDF2_ITERATIONS
+        };
+    }
+
+    async _verifyPassword(account, password) {
+        const hash = await this._hash(password, base64ToBytes(account.salt), account.iterations);
+        // Compare every character so timing does not leak how much matched
+        let diff = hash.length ^ account.passwordHash.length;
+        for (let i = 0; i < hash.length; i++) {
+            diff |= hash.charCodeAt(i) ^ account.passwordHash.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    _validateNewAccount(username, displayName, password) {
+        if (!/^[a-zA-Z0-9._-]{3,32}$/.test(username)) {
+            throw new Error(t("Username must be 3–32 letters, digits, dots, dashes or underscores."));
+        }
+        if (!displayName) {
+            throw new Error(t("Display name is required."));
+        }
+        this._validatePassword(password);
+        if (this.getAccounts().some(a => a.username.toLowerCase() === username.toLowerCase())) {
+            throw new Error(t("Username \"{username}\" is already taken.", { username }));
+        }
+    }
+
+    _validatePassword(password) {
+        if (typeof password !== "string" || password.length < 8) {
+            throw new Error(t("Password must be at least 8 characters."));
+        }
+    }
+
+    async _addAccount(username, displayName, password, isAdmin) {
+        this._validateNewAccount(username, displayName, password);
+        const accounts = this.getAccounts();
+        const account = {
+            id: generateId("T"),
+            username,
+            displayName,
+            isAdmin,
+            ...(await this._createPasswordRecord(password)),
+            createdAt: new Date().toISOString()
+        };
+        accounts.push(account);
+        this._saveAccounts(accounts);
+        return account;
+    }
+
+    async setupAdmin(username, displayName, password) {
+        if (this.hasAccounts()) {
+            throw new Error(t("Setup has already been completed."));
+        }
+        return this._addAccount(username, displayName, password, true);
+    }
+
+    async createTeacher(creator, username, displayName, password, isAdmin = false) {
+        if (!creator || !creator.isAdmin) {
+            throw new Error(t("Only an administrator can create teacher accounts."));
+        }
+        return this._addAccount(username, displayName, password, isAdmin);
+    }
+
+    async login(username, password) {
+        const account = this.getAccounts().find(a => a.username.toLowerCase() === username.toLowerCase());
+        // Hash anyway for unknown users so response time does not reveal which usernames exist
+        const valid = account
+            ? await this._verifyPassword(account, password)
+            : (await this._hash(password, new Uint8Array(16), PBKDF2_ITERATIONS), false);
+        if (!valid) {
+            throw new Error(t("Invalid teacher credentials."));
+        }
+        this._startSession(account.id);
+        return account;
+    }
+
+    async changePassword(accountId, currentPassword, newPassword) {
+        const account = this.getAccount(accountId);
+        if (!account || !(await this._verifyPassword(account, currentPassword))) {
+            throw new Error(t("Current password is incorrect."));
+        }
+        this._validatePassword(newPassword);
+        const record = await this._createPasswordRecord(newPassword);
+        const accounts = this.getAccounts().map(a => (a.id === accountId ? { ...a, ...record } : a));
+        this._saveAccounts(accounts);
+    }
+
+    _startSession(accountId) {
+        localStorage.setItem(this.sessionKey, JSON.stringify({ accountId, expiresAt: Date.now() + this.sessionDurationMs }));
+    }
+
+    // The signed-in account, or null when there is no session or it expired
+    getSessionAccount() {
+        const raw = localStorage.getItem(this.sessionKey);
+        if (!raw) return null;
+        let session;
+        try {
+            session = JSON.parse(raw);
+        } catch {
+            session = null;
+        }
+        if (!session || session.expiresAt <= Date.now()) {
+            this.logout();
+            return null;
+        }
+        const account = this.getAccount(session.accountId);
+        if (!account) {
+            this.logout();
+        }
+        return account;
+    }
+
+    touch() {
+        const account = this.getSessionAccount();
+        if (account) this._startSession(account.id);
+    }
+
+    logout() {
+        localStorage.removeItem(this.sessionKey);
+    }
+
+    canEditSubject(account, subjectOwnerId) {
+        return !!account && (account.isAdmin || account.id === subjectOwnerId);
+    }
+}
+
+// Keeps one in-progress quiz per student ID so a reload or closed tab
+// does not lose the attempt.
+class QuizSessionStore {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+    }
+
+    _readAll() {
+        const raw = localStorage.getItem(this.storageKey);
+        if (!raw) return {};
+        try {
+            return JSON.parse(raw);
+        } catch {
+            return {};
+        }
+    }
+
+    _writeAll(sessions) {
+        localStorage.setItem(this.storageKey, JSON.stringify(sessions));
+    }
+
+    save(student, quiz) {
+        const sessions = this._readAll();
+        sessions[student.id] = {
+            student: { name: student.name, id: student.id },
+            quiz: quiz.toSnapshot(),
+            savedAt: Date.now()
+        };
+        this._writeAll(sessions);
+    }
+
+    load(studentId) {
+        const session = this._readAll()[studentId];
+        if (!session) return null;
+        try {
+            const QuizClass = QUIZ_SNAPSHOT_TYPES[session.quiz.mode || "timed"];
+            return { student: session.student, quiz: QuizClass.fromSnapshot(session.quiz) };
+        } catch {
+            // A snapshot we cannot rebuild is useless; drop it
+            this.clear(studentId);
+            return null;
+        }
+    }
+
+    clear(studentId) {
+        const sessions = this._readAll();
+        if (!(studentId in sessions)) return;
+        delete sessions[studentId];
+        this._writeAll(sessions);
+    }
+}
+
+const INTEGRITY_EVENT_LABELS = {
+    "tab-hidden": "Switched to another tab",
+    "tab-visible": "Came back to the quiz tab",
+    "window-blur": "Focused another window",
+    copy: "Tried to copy",
+    cut: "Tried to cut",
+    paste: "Tried to paste",
+    "context-menu": "Opened the right-click menu",
+    "fullscreen-exit": "Left fullscreen",
+    "fullscreen-unavailable": "Fullscreen could not be started",
+    resumed: "Resumed the quiz after leaving it",
+    "auto-submitted": "Submitted automatically after too many violations"
+};
+// Events that count against the student; the rest are context for the teacher
+const INTEGRITY_VIOLATIONS = new Set(["tab-hidden", "window-blur", "copy", "cut", "paste", "context-menu", "fullscreen-exit"]);
+// Switching tabs fires blur just before the tab is hidden; wait this long so
+// the switch is logged once, as a tab change
+const INTEGRITY_BLUR_GRACE_MS = 250;
+
+// Watches the page during a monitored attempt and appends timestamped events
+// to quiz.integrityEvents, so they are saved with the session and the result.
+// Clipboard and right-click are blocked as well as recorded. onEvent(event)
+// runs after each event so the page can save, warn or submit.
+class IntegrityMonitor {
+    constructor(quiz, onEvent) {
+        this.quiz = quiz;
+        this.onEvent = onEvent;
+        this._listeners = [];
+        this._blurTimer = null;
+        this._hiddenAt = null;
+    }
+
+    get settings() {
+        return this.quiz.integritySettings;
+    }
+
+    static countViolations(events) {
+        return (events || []).filter(event => INTEGRITY_VIOLATIONS.has(event.type)).length;
+    }
+
+    getViolationCount() {
+        return IntegrityMonitor.countViolations(this.quiz.integrityEvents);
+    }
+
+    record(type, detail = null) {
+        const event = { type, at: Date.now(), question: this.quiz.currentQuestionIndex + 1 };
+        if (detail !== null) event.detail = detail;
+        this.quiz.integrityEvents.push(event);
+        this.onEvent(event);
+        return event;
+    }
+
+    _listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this._listeners.push([target, type, handler]);
+    }
+
+    start() {
+        this._listen(document, "visibilitychange", () => {
+            if (document.hidden) {
+                clearTimeout(this._blurTimer);
+                this._hiddenAt = Date.now();
+                this.record("tab-hidden");
+            } else if (this._hiddenAt !== null) {
+                this.record("tab-visible", `away ${Math.round((Date.now() - this._hiddenAt) / 1000)}s`);
+                this._hiddenAt = null;
+            }
+        });
+        this._listen(window, "blur", () => {
+            clearTimeout(this._blurTimer);
+            this._blurTimer = setTimeout(() => {
+                if (!document.hidden) this.record("window-blur");
+            }, INTEGRITY_BLUR_GRACE_MS);
+        });
+        ["copy", "cut", "paste"].forEach(type => {
+            this._listen(document, type, e => {
+                e.preventDefault();
+                this.record(type);
+            });
+        });
+        this._listen(document, "contextmenu", e => {
+            e.preventDefault();
+            this.record("context-menu");
+        });
+        this._listen(document, "fullscreenchange", () => {
+            if (this.settings.enforceFullscreen && !document.fullscreenElement) this.record("fullscreen-exit");
+        });
+    }
+
+    isFullscreenMissing() {
+        return this.settings.enforceFullscreen && !document.fullscreenElement;
+    }
+
+    // Browsers only allow this from a click or key press
+    requestFullscreen() {
+        if (!this.isFullscreenMissing()) return Promise.resolve();
+        const root = document.documentElement;
+        if (!root.requestFullscreen) {
+            this.record("fullscreen-unavailable");
+            return Promise.resolve();
+        }
+        return root.requestFullscreen().catch(() => {
+            this.record("fullscreen-unavailable");
+        });
+    }
+
+    stop() {
+        clearTimeout(this._blurTimer);
+        this._listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this._listeners = [];
+        if (this.settings.enforceFullscreen && document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+}
+
+const ASSESSMENT_ATTEMPT_POLICIES = {
+    best: "Highest score",
+    latest: "Latest attempt",
+    first: "First attempt"
+};
+
+// A quiz scheduled by a teacher: a fixed list of questions, a blueprint or a
+// number drawn from the subject, with a locked time limit, an open/close window and
+// a cap on attempts per student ID. opensAt/closesAt are epoch milliseconds
+// (null = no limit) and maxAttempts 0 means unlimited.
+class Assessment {
+    constructor(id, title, subjectKey, ownerId, timeLimitInSeconds, questionIds = [], questionCount = "all", opensAt = null, closesAt = null, maxAttempts = 1, attemptPolicy = "best", studentIds = [], blueprint = null, questionTimeLimitInSeconds = null, sectionPlan = null, warningThresholds = [...TIMER_WARNING_THRESHOLDS], enforceFullscreen = false, maxViolations = 0, scoringPolicy = null) {
+        this.id = id;
+        this.title = title;
+        this.subjectKey = subjectKey;
+        this.ownerId = ownerId;
+        this.timeLimitInSeconds = timeLimitInSeconds;
+        this.questionIds = questionIds;
+        this.questionCount = questionCount;
+        this.opensAt = opensAt;
+        this.closesAt = closesAt;
+        this.maxAttempts = maxAttempts;
+        this.attemptPolicy = attemptPolicy;
+        this.studentIds = studentIds;
+        this.blueprint = blueprint;
+        this.questionTimeLimitInSeconds = questionTimeLimitInSeconds;
+        this.sectionPlan = sectionPlan;
+        this.warningThresholds = warningThresholds;
+        // Attempts are always monitored; maxViolations 0 only records, never submits
+        this.enforceFullscreen = enforceFullscreen;
+        this.maxViolations = maxViolations;
+        // A ScoringPolicy used instead of the subject's, or null
+        this.scoringPolicy = scoringPolicy;
+    }
+
+    get usesFixedQuestions() {
+        return this.questionIds.length > 0;
+    }
+
+    get usesBlueprint() {
+        return this.blueprint !== null;
+    }
+
+    validate() {
+        if (!this.title || !this.title.trim()) {
+            throw new Error(t("Enter a title for the assessment."));
+        }
+        if (!Number.isInteger(this.timeLimitInSeconds) || this.timeLimitInSeconds <= 0) {
+            throw new Error(t("Time limit must be a whole number of seconds greater than 0."));
+        }
+        if (this.usesBlueprint) {
+            this.blueprint.validate();
+        } else if (!this.usesFixedQuestions && this.questionCount !== "all" &&
+            (!Number.isInteger(this.questionCount) || this.questionCount <= 0)) {
+            throw new Error(t("Number of questions must be a whole number greater than 0."));
+        }
+        if (this.opensAt !== null && this.closesAt !== null && this.closesAt <= this.opensAt) {
+            throw new Error(t("The closing time must be after the opening time."));
+        }
+        if (!Number.isInteger(this.maxAttempts) || this.maxAttempts < 0) {
+            throw new Error(t("Max attempts must be 0 (unlimited) or a positive whole number."));
+        }
+        if (!(this.attemptPolicy in ASSESSMENT_ATTEMPT_POLICIES)) {
+            throw new Error(t("Unknown attempt policy \"{policy}\".", { policy: this.attemptPolicy }));
+        }
+        this._validateTiming();
+        if (!Number.isInteger(this.maxViolations) || this.maxViolations < 0) {
+            throw new Error(t("Violations before auto-submit must be 0 (never) or a positive whole number."));
+        }
+        if (this.scoringPolicy) this.scoringPolicy.validate();
+    }
+
+    _validateTiming() {
+        if (this.questionTimeLimitInSeconds !== null &&
+            (!Number.isInteger(this.questionTimeLimitInSeconds) || this.questionTimeLimitInSeconds < 5)) {
+            throw new Error(t("Time per question must be blank or a whole number of at least 5 seconds."));
+        }
+        if (this.sectionPlan) {
+            this.sectionPlan.validate(this.getKnownQuestionCount());
+            if (this.sectionPlan.getTotalSeconds() > this.timeLimitInSeconds) {
+                throw new Error(t("The section time limits add up to {total}s, more than the {limit}s time limit.", { total: this.sectionPlan.getTotalSeconds(), limit: this.timeLimitInSeconds }));
+            }
+        }
+        if (!Array.isArray(this.warningThresholds) || this.warningThresholds.some(t => !Number.isInteger(t) || t <= 0)) {
+            throw new Error(t("Timer warnings must be whole numbers of seconds greater than 0."));
+        }
+    }
+
+    // null for random "all" assessments, whose size depends on the bank at start
+    getKnownQuestionCount() {
+        if (this.usesBlueprint) return this.blueprint.getQuestionCount();
+        if (this.usesFixedQuestions) return this.questionIds.length;
+        return this.questionCount === "all" ? null : this.questionCount;
+    }
+
+    getStatus(now = Date.now()) {
+        if (this.opensAt !== null && now < this.opensAt) return "upcoming";
+        if (this.closesAt !== null && now >= this.closesAt) return "closed";
+        return "open";
+    }
+
+    isAssignedTo(studentId) {
+        return this.studentIds.length === 0 || this.studentIds.includes(studentId);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            title: this.title,
+            subjectKey: this.subjectKey,
+            ownerId: this.ownerId,
+            timeLimitInSeconds: this.timeLimitInSeconds,
+            questionIds: [...this.questionIds],
+            questionCount: this.questionCount,
+            opensAt: this.opensAt,
+            closesAt: this.closesAt,
+            maxAttempts: this.maxAttempts,
+            attemptPolicy: this.attemptPolicy,
+            studentIds: [...this.studentIds],
+            blueprint: this.blueprint ? this.blueprint.toJSON() : null,
+            questionTimeLimitInSeconds: this.questionTimeLimitInSeconds,
+            sectionPlan: this.sectionPlan ? this.sectionPlan.toJSON() : null,
+            warningThresholds: [...this.warningThresholds],
+            enforceFullscreen: this.enforceFullscreen,
+            maxViolations: this.maxViolations,
+            scoringPolicy: this.scoringPolicy ? this.scoringPolicy.toJSON() : null
+        };
+    }
+
+    static fromJSON(data) {
+        return new Assessment(
+            data.id, data.title, data.subjectKey, data.ownerId, data.timeLimitInSeconds,
+            data.questionIds || [], data.questionCount ?? "all", data.opensAt ?? null, data.closesAt ?? null,
+            data.maxAttempts ?? 1, data.attemptPolicy || "best", data.studentIds || [],
+            data.blueprint ? QuizBlueprint.fromJSON(data.blueprint) : null,
+            data.questionTimeLimitInSeconds ?? null,
+            data.sectionPlan ? QuizSectionPlan.fromJSON(data.sectionPlan) : null,
+            data.warningThresholds || [...TIMER_WARNING_THRESHOLDS],
+            data.enforceFullscreen ?? false,
+            data.maxViolations ?? 0,
+            data.scoringPolicy ? ScoringPolicy.fromJSON(data.scoringPolicy) : null
+        );
+    }
+}
+
+// Stores scheduled assessments plus a log of started attempts. Attempts are
+// counted when they start, not when they are submitted, so abandoning a
+// quiz half way does not hand the student a fresh try.
+class AssessmentManager {
+    constructor(storageKey, attemptsKey, storage) {
+        this.storageKey = storageKey;
+        this.attemptsKey = attemptsKey;
+        this.storage = storage;
+    }
+
+    getAll() {
+        return this.storage.readList(this.storageKey).map(a => Assessment.fromJSON(a));
+    }
+
+    get(id) {
+        return this.getAll().find(a => a.id === id) || null;
+    }
+
+    getForStudent(studentId) {
+        return this.getAll().filter(a => a.isAssignedTo(studentId));
+    }
+
+    // Creates the assessment when it has no id yet, otherwise replaces the
+    // stored copy. Only this one record is written, so assessments and
+    // attempts added on other devices are left alone.
+    save(assessment) {
+        assessment.validate();
+        if (!assessment.id) {
+            assessment.id = generateId("AS");
+            this.storage.addToList(this.storageKey, assessment.toJSON());
+        } else if (!this.storage.updateInList(this.storageKey, assessment.id, assessment.toJSON())) {
+            throw new Error(t("Assessment not found."));
+        }
+        return assessment;
+    }
+
+    // The quiz server drops the assessment's attempts itself
+    remove(id) {
+        this.storage.removeFromList(this.storageKey, id);
+        this.storage.pruneList(this.attemptsKey, entry => entry.assessmentId !== id);
+    }
+
+    getAttemptCount(assessmentId, studentId) {
+        return this.storage.readList(this.attemptsKey)
+            .filter(entry => entry.assessmentId === assessmentId && entry.studentId === studentId)
+            .length;
+    }
+
+    // Infinity when the assessment allows unlimited attempts
+    getRemainingAttempts(assessment, studentId) {
+        if (assessment.maxAttempts === 0) return Infinity;
+        return Math.max(0, assessment.maxAttempts - this.getAttemptCount(assessment.id, studentId));
+    }
+
+    checkCanStart(assessment, studentId, now = Date.now()) {
+        if (!assessment.isAssignedTo(studentId)) {
+            throw new Error(t("This assessment is not assigned to you."));
+        }
+        const status = assessment.getStatus(now);
+        if (status === "upcoming") {
+            throw new Error(t("\"{title}\" opens at {time}.", { title: assessment.title, time: translator.formatDateTime(assessment.opensAt) }));
+        }
+        if (status === "closed") {
+            throw new Error(t("\"{title}\" closed at {time}.", { title: assessment.title, time: translator.formatDateTime(assessment.closesAt) }));
+        }
+        if (this.getRemainingAttempts(assessment, studentId) === 0) {
+            throw new Error(t("You have used all {count} attempt(s) for \"{title}\".", { count: assessment.maxAttempts, title: assessment.title }));
+        }
+    }
+
+    recordAttempt(assessmentId, studentId, attemptId) {
+        this.storage.addToList(this.attemptsKey, { assessmentId, studentId, attemptId, startedAt: Date.now() });
+    }
+
+    // Picks the result that counts toward the grade from one student's stored
+    // results for this assessment (oldest first).
+    getCountedResult(assessment, studentResults) {
+        if (studentResults.length === 0) return null;
+        switch (assessment.attemptPolicy) {
+            case "first":
+                return studentResults[0];
+            case "latest":
+                return studentResults[studentResults.length - 1];
+            default:
+                return studentResults.reduce((best, r) => (r.percentage > best.percentage ? r : best));
+        }
+    }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SM2_DEFAULT_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+// A missed card comes back after ten minutes instead of the next day, so a
+// later session on the same day starts with it
+const REVIEW_RELEARN_DELAY_MS = 10 * 60 * 1000;
+const REVIEW_SESSION_SIZE = 10;
+
+// Per-student SM-2 schedule for every question they have practised. A right
+// answer counts as SM-2 quality 4 and a wrong one as quality 1.
+class ReviewScheduler {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+    }
+
+    _readAll() {
+        const raw = localStorage.getItem(this.storageKey);
+        if (!raw) return {};
+        try {
+            return JSON.parse(raw);
+        } catch {
+            return {};
+        }
+    }
+
+    _writeAll(schedules) {
+        localStorage.setItem(this.storageKey, JSON.stringify(schedules));
+    }
+
+    getCards(studentId) {
+        return this._readAll()[studentId] || {};
+    }
+
+    recordReview(studentId, questionId, correct, now = Date.now()) {
+        const schedules = this._readAll();
+        const cards = schedules[studentId] || (schedules[studentId] = {});
+        const card = cards[questionId] || { repetitions: 0, easeFactor: SM2_DEFAULT_EASE, intervalDays: 0, lapses: 0 };
+        const quality = correct ? 4 : 1;
+
+        card.easeFactor = Math.max(SM2_MIN_EASE, card.easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        if (correct) {
+            card.repetitions++;
+            if (card.repetitions === 1) card.intervalDays = 1;
+            else if (card.repetitions === 2) card.intervalDays = 6;
+            else card.intervalDays = Math.round(card.intervalDays * card.easeFactor);
+            card.dueAt = now + card.intervalDays * DAY_MS;
+        } else {
+            card.repetitions = 0;
+            card.intervalDays = 0;
+            card.lapses++;
+            card.dueAt = now + REVIEW_RELEARN_DELAY_MS;
+        }
+        card.lastCorrect = correct;
+        card.lastReviewedAt = now;
+        cards[questionId] = card;
+        this._writeAll(schedules);
+        return card;
+    }
+
+    // "due" = practised before and due again; "fresh" = never practised
+    countDue(studentId, questions, now = Date.now()) {
+        const cards = this.getCards(studentId);
+        return {
+            due: questions.filter(q => cards[q.id] && cards[q.id].dueAt <= now).length,
+            fresh: questions.filter(q => !cards[q.id]).length
+        };
+    }
+
+    getNextDueAt(studentId, questions) {
+        const cards = this.getCards(studentId);
+        const times = questions.filter(q => cards[q.id]).map(q => cards[q.id].dueAt);
+        return times.length ? Math.min(...times) : null;
+    }
+
+    // Due cards first (the ones missed last time ahead of the rest, then the
+    // most overdue), topped up with questions the student has never seen.
+    pickSessionQuestions(studentId, questions, rng, limit = REVIEW_SESSION_SIZE, now = Date.now()) {
+        const cards = this.getCards(studentId);
+        const due = questions
+            .filter(q => cards[q.id] && cards[q.id].dueAt <= now)
+            .sort((a, b) => {
+                const missedFirst = Number(cards[a.id].lastCorrect) - Number(cards[b.id].lastCorrect);
+                return missedFirst || cards[a.id].dueAt - cards[b.id].dueAt;
+            });
+        const fresh = rng.shuffle(questions.filter(q => !cards[q.id]));
+        return [...due, ...fresh].slice(0, limit);
+    }
+}
+
+// Shared data (question bank, assessments, the attempt log and results) goes
+// through a storage adapter so it can live somewhere other than this browser.
+// Lists hold records keyed by attemptId (assessments by their own id).
+// LocalStorageAdapter is the plain single-browser store and the offline
+// fallback for ServerStorageAdapter.
+const LIST_RECORD_ID_FIELDS = { assessments: "id" };
+
+function getRecordId(key, record) {
+    return record[LIST_RECORD_ID_FIELDS[key] || "attemptId"];
+}
+
+class LocalStorageAdapter {
+    constructor() {
+        this.mode = "local";
+    }
+
+    getItem(key) {
+        return localStorage.getItem(key);
+    }
+
+    setItem(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    readList(key) {
+        const raw = localStorage.getItem(key);
+        if (!raw) return [];
+        try {
+            const parsed = JSON.parse(raw);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            return [];
+        }
+    }
+
+    writeList(key, items) {
+        localStorage.setItem(key, JSON.stringify(items));
+    }
+
+    // A record whose id is already stored replaces it, so a submit that runs
+    // twice never counts twice
+    addToList(key, item) {
+        const items = this.readList(key);
+        const id = getRecordId(key, item);
+        const index = id ? items.findIndex(entry => getRecordId(key, entry) === id) : -1;
+        if (index === -1) {
+            items.push(item);
+        } else {
+            items[index] = item;
+        }
+        localStorage.setItem(key, JSON.stringify(items));
+    }
+
+    updateInList(key, id, changes) {
+        const items = this.readList(key);
+        const item = items.find(entry => getRecordId(key, entry) === id);
+        if (!item) return false;
+        Object.assign(item, changes);
+        localStorage.setItem(key, JSON.stringify(items));
+        return true;
+    }
+
+    removeFromList(key, id) {
+        const items = this.readList(key);
+        const remaining = items.filter(entry => getRecordId(key, entry) !== id);
+        if (remaining.length === items.length) return false;
+        localStorage.setItem(key, JSON.stringify(remaining));
+        return true;
+    }
+
+    // Changes this browser's copy only, for records the server removes on its own
+    pruneList(key, keep) {
+        localStorage.setItem(key, JSON.stringify(this.readList(key).filter(keep)));
+    }
+
+    canWrite() {
+        return true;
+    }
+
+    // Resolves to true when newer data was pulled in from elsewhere
+    refresh() {
+        return Promise.resolve(false);
+    }
+
+    getSyncStatus() {
+        return { state: "local", pending: 0 };
+    }
+
+    describeStatus() {
+        return t("Saved in this browser only.");
+    }
+}
+
+// Where each shared localStorage key lives on the quiz server (server/server.js)
+const SERVER_ENDPOINTS = {
+    quizBank: "/api/bank",
+    assessments: "/api/assessments",
+    assessmentAttempts: "/api/assessment-attempts",
+    quizResults: "/api/results"
+};
+const SERVER_LIST_KEYS = new Set(["assessments", "assessmentAttempts", "quizResults"]);
+// The server only hands these out with the teacher token
+const SERVER_TEACHER_READ_KEYS = new Set(["quizResults"]);
+// All a device without the teacher token may do is add records to these
+const SERVER_STUDENT_WRITE_KEYS = new Set(["assessmentAttempts", "quizResults"]);
+// Uploaded whole, so each upload names the server revision it was based on
+// and is refused if another device uploaded since
+const SERVER_REVISIONED_KEYS = new Set(["quizBank"]);
+const SERVER_REQUEST_TIMEOUT_MS = 8000;
+// Failed uploads are retried after 5s, 10s, 20s... up to every 5 minutes, and
+// straight away when the browser reports the connection is back
+const SYNC_RETRY_BASE_MS = 5000;
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Keeps working from the localStorage copy, so the app stays synchronous and
+// usable offline, and mirrors every change to the quiz server. Every change is
+// queued in the sync state before it is sent and only leaves the queue once
+// the server has it, so a result survives going offline or closing the tab.
+// Without the teacher token (printed by the server) a device can read the
+// bank and hand in results, which is all a student device needs; any other
+// change throws instead of staying on this device.
+// onStatusChange() runs whenever the sync status may have changed.
+class ServerStorageAdapter extends LocalStorageAdapter {
+    constructor(baseUrl, syncStateKey, token = null) {
+        super();
+        this.mode = "server";
+        this.baseUrl = baseUrl.replace(/\/+$/, "");
+        this.syncStateKey = syncStateKey;
+        this.token = token || null;
+        this.online = null; // unknown until the first request finishes
+        this.lastError = null;
+        this.syncing = false;
+        this.onStatusChange = null;
+        this._retryTimer = null;
+        this._retryAttempts = 0;
+        // Uploads go one at a time, so a bank upload always names the revision the previous one got
+        this._sending = Promise.resolve();
+        // ETag of the last answer from each path
+        this._etags = {};
+    }
+
+    _notify() {
+        if (this.onStatusChange) this.onStatusChange();
+    }
+
+    _readSyncState() {
+        const raw = localStorage.getItem(this.syncStateKey);
+        let state = null;
+        try {
+            state = raw ? JSON.parse(raw) : null;
+        } catch {
+            state = null;
+        }
+        // Pending changes and the last sync only apply to the server they were meant for
+        if (!state || state.url !== this.baseUrl) return { url: this.baseUrl, lastSyncedAt: null, pending: [], nextSeq: 1, revisions: {} };
+        return { revisions: {}, ...state };
+    }
+
+    _writeSyncState(state) {
+        localStorage.setItem(this.syncStateKey, JSON.stringify(state));
+    }
+
+    get lastSyncedAt() {
+        return this._readSyncState().lastSyncedAt;
+    }
+
+    getPendingCount() {
+        return this._readSyncState().pending.length;
+    }
+
+    // One pending entry per key (or per key + record id for list records,
+    // stored as attemptId, with the method that sends it); the latest local
+    // copy is what gets sent, so repeated edits collapse into one.
+    // Returns the entry's sequence number so a slow request for an older
+    // change cannot clear a newer one.
+    _markPending(key, attemptId = null, method = "PUT") {
+        const state = this._readSyncState();
+        const seq = state.nextSeq || 1;
+        state.nextSeq = seq + 1;
+        state.pending = state.pending.filter(entry => !(entry.key === key && entry.attemptId === attemptId));
+        state.pending.push({ key, attemptId, method, seq });
+        this._writeSyncState(state);
+        return seq;
+    }
+
+    _clearPending(key, attemptId, seq = null) {
+        const state = this._readSyncState();
+        state.pending = state.pending.filter(entry =>
+            !(entry.key === key && entry.attemptId === attemptId && (seq === null || entry.seq === seq)));
+        this._writeSyncState(state);
+    }
+
+    _request(method, path, body = null, headers = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), SERVER_REQUEST_TIMEOUT_MS);
+        const options = { method, signal: controller.signal, headers: { ...headers } };
+        if (this.token) options.headers.Authorization = `Bearer ${this.token}`;
+        if (body !== null) {
+            options.headers["Content-Type"] = "application/json";
+            options.body = body;
+        }
+        return fetch(`${this.baseUrl}${path}`, options)
+            .then(res => res.json().catch(() => null).then(data => {
+                if (!res.ok) {
+                    const err = new Error((data && data.error) || t("Server answered {status}.", { status: res.status }));
+                    err.status = res.status;
+                    throw err;
+                }
+                if (res.headers.has("ETag")) this._etags[path] = res.headers.get("ETag");
+                this.online = true;
+                this.lastError = null;
+                this._retryAttempts = 0;
+                return data;
+            }))
+            .catch(err => {
+                if (err.status === undefined) {
+                    this.online = false;
+                    this.lastError = t("The quiz server could not be reached.");
+                } else {
+                    this.lastError = err.message;
+                }
+                throw err;
+            })
+            .finally(() => clearTimeout(timer));
+    }
+
+    // Network failures and server errors stay queued for a retry, and so do
+    // changes the server refused for want of a valid teacher token, until one
+    // is set. Any other rejected request (4xx) would only fail again, so it is
+    // dropped; the error stays in the sync status either way.
+    _send(method, path, body, key, attemptId = null) {
+        const seq = this._markPending(key, attemptId, method);
+        if (navigator.onLine === false) {
+            this.online = false;
+            this._scheduleRetry();
+            this._notify();
+            return Promise.resolve();
+        }
+        const sent = this._sending
+            .then(() => this._request(method, path, body, this._revisionHeaders(key, attemptId)))
+            .then(() => {
+                if (attemptId === null && SERVER_REVISIONED_KEYS.has(key)) this._saveRevision(key);
+                this._clearPending(key, attemptId, seq);
+            })
+            .catch(err => {
+                if (err.status === 401 || err.status === 403) return;
+                if (err.status === 409 && SERVER_REVISIONED_KEYS.has(key)) {
+                    // Another device got there first: set this copy aside and take theirs on the next sync
+                    localStorage.setItem(`${key}.localBackup`, localStorage.getItem(key));
+                    this._clearPending(key, attemptId, seq);
+                    this.lastError = t("The question bank was changed on another device, so this change was not shared. This browser's version was kept as a backup; sync to load the shared bank.");
+                } else if (err.status !== undefined && err.status < 500) {
+                    this._clearPending(key, attemptId, seq);
+                } else {
+                    this._scheduleRetry();
+                }
+            })
+            .finally(() => this._notify());
+        this._sending = sent;
+        return sent;
+    }
+
+    // Read when the request goes out, after the uploads queued before it
+    _revisionHeaders(key, attemptId) {
+        if (attemptId !== null || !SERVER_REVISIONED_KEYS.has(key)) return {};
+        return { "If-Match": this._readSyncState().revisions[key] || "\"0\"" };
+    }
+
+    _saveRevision(key) {
+        const etag = this._etags[SERVER_ENDPOINTS[key]];
+        if (!etag) return;
+        const state = this._readSyncState();
+        state.revisions[key] = etag;
+        this._writeSyncState(state);
+    }
+
+    canWrite(key) {
+        return this.token !== null || SERVER_STUDENT_WRITE_KEYS.has(key);
+    }
+
+    // Thrown before anything is saved, so a teacher change made without the
+    // token never sits on this device as if it had been shared
+    _requireToken(key) {
+        if (SERVER_ENDPOINTS[key] && this.token === null) {
+            throw new Error(t("Enter the teacher token of the quiz server under Shared Storage before changing shared data on this device."));
+        }
+    }
+
+    _scheduleRetry() {
+        if (this._retryTimer || this.getPendingCount() === 0) return;
+        const delay = Math.min(SYNC_RETRY_BASE_MS * 2 ** this._retryAttempts, SYNC_RETRY_MAX_MS);
+        this._retryAttempts++;
+        this._retryTimer = setTimeout(() => {
+            this._retryTimer = null;
+            this.syncPending();
+        }, delay);
+    }
+
+    // Sends the queued changes without pulling anything back
+    syncPending() {
+        if (this.getPendingCount() === 0 || this.syncing) return Promise.resolve();
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        this.syncing = true;
+        this._notify();
+        return this.checkConnection()
+            .then(() => this._flushPending())
+            .catch(() => {})
+            .then(() => {
+                this.syncing = false;
+                this._scheduleRetry();
+                this._notify();
+            });
+    }
+
+    _recordPath(key, attemptId) {
+        return `${SERVER_ENDPOINTS[key]}/${encodeURIComponent(attemptId)}`;
+    }
+
+    setItem(key, value) {
+        this._requireToken(key);
+        super.setItem(key, value);
+        if (SERVER_ENDPOINTS[key]) this._send("PUT", SERVER_ENDPOINTS[key], value, key);
+    }
+
+    writeList(key, items) {
+        this._requireToken(key);
+        super.writeList(key, items);
+        if (SERVER_ENDPOINTS[key]) this._send("PUT", SERVER_ENDPOINTS[key], JSON.stringify(items), key);
+    }
+
+    // POST only adds; the server refuses a different record under an id it already has
+    addToList(key, item) {
+        if (!SERVER_STUDENT_WRITE_KEYS.has(key)) this._requireToken(key);
+        super.addToList(key, item);
+        if (SERVER_ENDPOINTS[key]) this._send("POST", SERVER_ENDPOINTS[key], JSON.stringify(item), key, getRecordId(key, item));
+    }
+
+    // The whole record is PUT to its own path, so an edit also uploads a
+    // record whose first upload is still queued
+    updateInList(key, id, changes) {
+        this._requireToken(key);
+        const found = super.updateInList(key, id, changes);
+        if (found && SERVER_ENDPOINTS[key]) {
+            const record = this.readList(key).find(item => getRecordId(key, item) === id);
+            this._send("PUT", this._recordPath(key, id), JSON.stringify(record), key, id);
+        }
+        return found;
+    }
+
+    removeFromList(key, id) {
+        this._requireToken(key);
+        const found = super.removeFromList(key, id);
+        if (found && SERVER_ENDPOINTS[key]) {
+            this._send("DELETE", this._recordPath(key, id), null, key, id);
+        }
+        return found;
+    }
+
+    // Sends what is still pending, one request at a time and in order
+    _flushPending() {
+        return this._readSyncState().pending.reduce((chain, entry) => chain.then(() => {
+            const { key, attemptId, method } = entry;
+            if (attemptId === null) {
+                const value = localStorage.getItem(key);
+                return value === null ? this._clearPending(key, null) : this._send("PUT", SERVER_ENDPOINTS[key], value, key);
+            }
+            if (method === "DELETE") return this._send("DELETE", this._recordPath(key, attemptId), null, key, attemptId);
+            const record = this.readList(key).find(item => getRecordId(key, item) === attemptId);
+            if (!record) return this._clearPending(key, attemptId);
+            const path = method === "PUT" ? this._recordPath(key, attemptId) : SERVER_ENDPOINTS[key];
+            return this._send(method, path, JSON.stringify(record), key, attemptId);
+        }), Promise.resolve());
+    }
+
+    // The first sync with a server merges instead of replacing: records only
+    // this browser has are uploaded, and a local bank or assessment list that
+    // differs from the server's is kept as a backup copy.
+    _mergeFirstSync(key, serverData) {
+        const localRaw = localStorage.getItem(key);
+        if (localRaw === null) return Promise.resolve(serverData);
+        if (serverData === null) {
+            if (!this.canWrite(key)) return Promise.resolve(JSON.parse(localRaw));
+            return this._send("PUT", SERVER_ENDPOINTS[key], localRaw, key).then(() => JSON.parse(localRaw));
+        }
+        if (!SERVER_LIST_KEYS.has(key)) {
+            if (Array.isArray(serverData) && serverData.length === 0 && this.canWrite(key)) {
+                return this._send("PUT", SERVER_ENDPOINTS[key], localRaw, key).then(() => JSON.parse(localRaw));
+            }
+            if (localRaw !== JSON.stringify(serverData)) localStorage.setItem(`${key}.localBackup`, localRaw);
+            return Promise.resolve(serverData);
+        }
+        const known = new Set(serverData.map(item => getRecordId(key, item)));
+        const localOnly = this.readList(key).filter(item => getRecordId(key, item) && !known.has(getRecordId(key, item)));
+        return localOnly
+            .reduce((chain, item) => chain.then(() => this._send("POST", SERVER_ENDPOINTS[key], JSON.stringify(item), key, getRecordId(key, item))), Promise.resolve())
+            .then(() => [...serverData, ...localOnly]);
+    }
+
+    _canRead(key) {
+        return this.token !== null || !SERVER_TEACHER_READ_KEYS.has(key);
+    }
+
+    // Resolves to the server's health report (which says whether it took the
+    // token) when it answers as a quiz server, rejects otherwise
+    checkConnection() {
+        return this._request("GET", "/api/health").then(data => {
+            if (!data || data.ok !== true) throw new Error(t("{url} is not a quiz server.", { url: this.baseUrl }));
+            return data;
+        });
+    }
+
+    // Rejects when the server cannot be reached or refuses the sync; the
+    // error also stays in the sync status
+    refresh() {
+        const keys = Object.keys(SERVER_ENDPOINTS);
+        const firstSync = this.lastSyncedAt === null;
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        this.syncing = true;
+        this._notify();
+        return this.checkConnection()
+            .then(() => this._flushPending())
+            .then(() => Promise.all(keys.map(key => (this._canRead(key) ? this._request("GET", SERVER_ENDPOINTS[key]) : null))))
+            // Unreadable lists merge as if the server had none, so this device's records are still sent
+            .then(responses => Promise.all(keys.map((key, i) => (firstSync ? this._mergeFirstSync(key, this._canRead(key) ? responses[i] : []) : responses[i]))))
+            .then(responses => {
+                // Whatever is still pending failed again; keep the local copy of it
+                const state = this._readSyncState();
+                const pending = state.pending;
+                let changed = false;
+                keys.forEach((key, i) => {
+                    let data = responses[i];
+                    if (!this._canRead(key) || data === null || pending.some(entry => entry.key === key && entry.attemptId === null)) return;
+                    if (SERVER_LIST_KEYS.has(key)) {
+                        const local = this.readList(key);
+                        const kept = pending
+                            .filter(entry => entry.key === key && entry.attemptId !== null)
+                            .map(entry => entry.method === "DELETE" ? null : local.find(item => getRecordId(key, item) === entry.attemptId))
+                            .filter(Boolean);
+                        const keptIds = new Set(pending.filter(entry => entry.key === key).map(entry => entry.attemptId));
+                        data = [...data.filter(item => !keptIds.has(getRecordId(key, item))), ...kept];
+                    }
+                    const raw = JSON.stringify(data);
+                    if (raw !== localStorage.getItem(key)) {
+                        localStorage.setItem(key, raw);
+                        changed = true;
+                    }
+                    // Later uploads build on the copy just taken
+                    if (SERVER_REVISIONED_KEYS.has(key) && this._etags[SERVER_ENDPOINTS[key]]) {
+                        state.revisions[key] = this._etags[SERVER_ENDPOINTS[key]];
+                    }
+                });
+                state.lastSyncedAt = Date.now();
+                this._writeSyncState(state);
+                return changed;
+            })
+            .finally(() => {
+                this.syncing = false;
+                this._scheduleRetry();
+                this._notify();
+            });
+    }
+
+    getSyncStatus() {
+        const pending = this.getPendingCount();
+        if (this.syncing) return { state: "syncing", pending };
+        if (this.online === false) return { state: "offline", pending };
+        if (this.lastError) return { state: "error", pending };
+        return { state: pending ? "pending" : "synced", pending };
+    }
+
+    describeStatus() {
+        const pending = this.getPendingCount();
+        const pendingText = pending ? ` ${t("{count} change(s) waiting to be sent.", { count: pending })}` : "";
+        const url = this.baseUrl;
+        if (this.online === false) {
+            return t("Quiz server at {url} is unreachable; working from this browser's copy.", { url }) + pendingText;
+        }
+        if (this.lastError) return t("Quiz server at {url}: {error}", { url, error: this.lastError }) + pendingText;
+        const synced = this.lastSyncedAt ? ` ${t("Last synced {time}.", { time: translator.formatDateTime(this.lastSyncedAt) })}` : "";
+        const readOnly = this.token === null ? ` ${t("Without the teacher token this device can only hand in results.")}` : "";
+        return t("Shared through the quiz server at {url}.", { url }) + synced + readOnly + pendingText;
+    }
+}
+
+// Bumped whenever the saved bank shape changes. Each entry in BANK_MIGRATIONS
+// upgrades data saved at that version to the next one.
+const BANK_SCHEMA_VERSION = 9;
+const BANK_MIGRATIONS = {
+    // v2: questions carry a type; everything saved before was single choice
+    1: data => ({
+        ...data,
+        questions: data.questions.map(q => ({ ...q, type: q.type || "single" }))
+    }),
+    // v3: subjects belong to a teacher account (null until an admin claims them)
+    2: data => ({
+        ...data,
+        subjects: data.subjects.map(sub => ({ ...sub, ownerId: sub.ownerId || null }))
+    }),
+    // v4: question points and per-subject scoring policies
+    3: data => ({
+        ...data,
+        subjects: data.subjects.map(sub => ({ ...sub, scoringPolicy: sub.scoringPolicy || null })),
+        questions: data.questions.map(q => ({ ...q, points: q.points ?? 1 }))
+    }),
+    // v5: topic tags and a difficulty level for blueprints
+    4: data => ({
+        ...data,
+        questions: data.questions.map(q => ({ ...q, tags: q.tags || [], difficulty: q.difficulty || "medium" }))
+    }),
+    // v6: images embedded in question text
+    5: data => ({
+        ...data,
+        questions: data.questions.map(q => ({ ...q, images: q.images || {} }))
+    }),
+    // v7: optional per-language translations of each question
+    6: data => ({
+        ...data,
+        questions: data.questions.map(q => ({ ...q, translations: q.translations || {} }))
+    }),
+    // v8: explanation, hint and reference notes on each question
+    7: data => ({
+        ...data,
+        questions: data.questions.map(q => ({ ...q, explanation: q.explanation || "", hint: q.hint || "", reference: q.reference || "", referenceUrl: q.referenceUrl || "" }))
+    }),
+    // v9: earlier versions of edited and deleted questions, by question ID
+    8: data => ({ ...data, revisions: data.revisions || {} })
+};
+
+// Browsers disagree on the name and code of a full localStorage
+function isQuotaExceededError(err) {
+    return err instanceof DOMException &&
+        (err.name === "QuotaExceededError" || err.name === "NS_ERROR_DOM_QUOTA_REACHED" || err.code === 22 || err.code === 1014);
+}
+
+class BankStorage {
+    constructor(storageKey, storage) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+    }
+
+    load() {
+        const raw = this.storage.getItem(this.storageKey);
+        if (!raw) return null;
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch {
+            // Keep the unreadable copy around instead of overwriting it on next save
+            localStorage.setItem(`${this.storageKey}.corrupt`, raw);
+            return null;
+        }
+        data = BankStorage.migrate(data);
+        const questionsDb = {};
+        data.subjects.forEach(sub => {
+            questionsDb[sub.key] = [];
+        });
+        data.questions.forEach(q => {
+            if (!questionsDb[q.subjectKey]) questionsDb[q.subjectKey] = [];
+            questionsDb[q.subjectKey].push(Question.fromJSON(q));
+        });
+        return { subjects: data.subjects, questionsDb, revisions: data.revisions };
+    }
+
+    save(subjectManager, questionsDb, revisions = {}) {
+        const data = {
+            version: BANK_SCHEMA_VERSION,
+            subjects: subjectManager.getAllSubjects(),
+            questions: Object.values(questionsDb).flat().map(q => q.toJSON()),
+            revisions
+        };
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (err) {
+            if (!isQuotaExceededError(err)) throw err;
+            throw new Error(t("The question bank could not be saved because the browser's storage is full. Remove unused images or questions, or export and delete old subjects, then try again."));
+        }
+    }
+
+    // Also used for imported JSON exports, which carry the same version number
+    static migrate(data) {
+        let version = data.version || 1;
+        if (version > BANK_SCHEMA_VERSION) {
+            throw new Error(t("Saved question bank (v{version}) is newer than this app supports (v{supported}).", { version, supported: BANK_SCHEMA_VERSION }));
+        }
+        while (version < BANK_SCHEMA_VERSION) {
+            const migrate = BANK_MIGRATIONS[version];
+            if (!migrate) {
+                throw new Error(t("No migration for question bank v{version}.", { version }));
+            }
+            data = migrate(data);
+            version++;
+        }
+        data.version = version;
+        return data;
+    }
+}
+
+// A recipe for a quiz such as "2 easy pointers, 2 medium loops, 1 hard arrays".
+// Each rule asks for `count` questions, optionally limited to one difficulty
+// and/or one tag (null = any).
+class QuizBlueprint {
+    constructor(rules = []) {
+        this.rules = rules;
+    }
+
+    getQuestionCount() {
+        return this.rules.reduce((sum, rule) => sum + rule.count, 0);
+    }
+
+    validate() {
+        if (this.rules.length === 0) {
+            throw new Error(t("A blueprint needs at least one rule."));
+        }
+        this.rules.forEach(rule => {
+            if (!Number.isInteger(rule.count) || rule.count <= 0) {
+                throw new Error(t("\"{rule}\": the count must be a whole number greater than 0.", { rule: QuizBlueprint.describeRule(rule) }));
+            }
+            if (rule.difficulty !== null && !QUESTION_DIFFICULTIES.includes(rule.difficulty)) {
+                throw new Error(t("Unknown difficulty \"{difficulty}\".", { difficulty: rule.difficulty }));
+            }
+        });
+    }
+
+    toString() {
+        return this.rules.map(rule => QuizBlueprint.describeRule(rule)).join(", ");
+    }
+
+    toJSON() {
+        return this.rules.map(rule => ({ ...rule }));
+    }
+
+    static matches(rule, question) {
+        return (rule.difficulty === null || question.difficulty === rule.difficulty) &&
+            (rule.tag === null || question.tags.includes(rule.tag));
+    }
+
+    static describeRule(rule) {
+        const parts = [rule.count];
+        if (rule.difficulty) parts.push(rule.difficulty);
+        parts.push(rule.tag || (rule.count === 1 ? "question" : "questions"));
+        return parts.join(" ");
+    }
+
+    static fromJSON(data) {
+        return new QuizBlueprint(data.map(rule => ({ count: rule.count, difficulty: rule.difficulty ?? null, tag: rule.tag ?? null })));
+    }
+
+    // One rule per comma or line: "<count> [easy|medium|hard|any] [tag]".
+    // A missing tag (or "any") matches every question.
+    static parse(text) {
+        const rules = text.split(/[,\n]/).map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(\d+)\s*(.*)$/);
+            if (!match) {
+                throw new Error(t("Blueprint rule \"{rule}\" must start with a number of questions.", { rule: part }));
+            }
+            const words = match[2].toLowerCase().split(/\s+/).filter(Boolean);
+            let difficulty = null;
+            if (QUESTION_DIFFICULTIES.includes(words[0])) {
+                difficulty = words.shift();
+            } else if (words[0] === "any") {
+                words.shift();
+            }
+            const tagText = words.join(" ");
+            const tag = tagText === "" || tagText === "any" || /^questions?$/.test(tagText) ? null : normalizeTag(tagText);
+            return { count: parseInt(match[1], 10), difficulty, tag };
+        });
+        const blueprint = new QuizBlueprint(rules);
+        blueprint.validate();
+        return blueprint;
+    }
+}
+
+// Splits a timed quiz into consecutive sections such as
+// "Warm-up: 5 questions in 120s", each with its own time budget.
+class QuizSectionPlan {
+    constructor(sections = []) {
+        this.sections = sections;
+    }
+
+    getQuestionCount() {
+        return this.sections.reduce((sum, section) => sum + section.questionCount, 0);
+    }
+
+    getTotalSeconds() {
+        return this.sections.reduce((sum, section) => sum + section.timeLimitInSeconds, 0);
+    }
+
+    // questionCount is checked when known; random "all" quizzes only know it at start
+    validate(questionCount = null) {
+        if (this.sections.length === 0) {
+            throw new Error(t("A section plan needs at least one section."));
+        }
+        this.sections.forEach(section => {
+            if (!Number.isInteger(section.questionCount) || section.questionCount <= 0) {
+                throw new Error(t("Section \"{title}\": the number of questions must be a whole number greater than 0.", { title: section.title }));
+            }
+            if (!Number.isInteger(section.timeLimitInSeconds) || section.timeLimitInSeconds < 5) {
+                throw new Error(t("Section \"{title}\": the time limit must be at least 5 seconds.", { title: section.title }));
+            }
+        });
+        if (questionCount !== null && this.getQuestionCount() !== questionCount) {
+            throw new Error(t("The sections cover {count} question(s) but the quiz has {total}.", { count: this.getQuestionCount(), total: questionCount }));
+        }
+    }
+
+    toString() {
+        return this.sections.map(section => QuizSectionPlan.describeSection(section)).join(", ");
+    }
+
+    toJSON() {
+        return this.sections.map(section => ({ ...section }));
+    }
+
+    static describeSection(section) {
+        return `${section.title}: ${section.questionCount} question${section.questionCount === 1 ? "" : "s"} in ${section.timeLimitInSeconds}s`;
+    }
+
+    static fromJSON(data) {
+        return new QuizSectionPlan(data.map(section => ({
+            title: section.title,
+            questionCount: section.questionCount,
+            timeLimitInSeconds: section.timeLimitInSeconds
+        })));
+    }
+
+    // One section per line: "[title:] <count> [questions] [in] <seconds>[s]"
+    static parse(text) {
+        const sections = text.split("\n").map(line => line.trim()).filter(Boolean).map((line, idx) => {
+            const match = line.match(/^(?:(.+?)\s*:\s*)?(\d+)\s*(?:questions?)?\s*(?:in\s+)?(\d+)\s*(?:s|sec|seconds?)?$/i);
+            if (!match) {
+                throw new Error(t("Section \"{line}\" must look like \"Warm-up: 5 questions in 120s\".", { line }));
+            }
+            return {
+                title: match[1] || `Section ${idx + 1}`,
+                questionCount: parseInt(match[2], 10),
+                timeLimitInSeconds: parseInt(match[3], 10)
+            };
+        });
+        const plan = new QuizSectionPlan(sections);
+        plan.validate();
+        return plan;
+    }
+}
+
+// Stands in for image data in an archived revision whose next version has the same image
+const SAME_IMAGE_AS_NEXT_REVISION = "@next";
+
 class QuizService {
-    constructor(questionsDb, subjectManager) {
+    // `revisions` holds the replaced versions of each question, oldest first:
+    // { [questionId]: [{ revision, replacedAt, question }] }. The version in
+    // the bank is revision (archived count + 1); deleted questions keep their
+    // history so older results can still be shown.
+    constructor(questionsDb, subjectManager, storage = null, revisions = {}) {
         this.questionsDb = questionsDb;
         this.subjectManager = subjectManager;
+        this.storage = storage;
+        this.revisions = revisions;
+        this.nextQuestionId = this._getMaxExistingId() + 1;
+    }
+
+    // Swaps in a bank loaded from storage, e.g. after another device changed it
+    replaceBank(bank) {
+        this.subjectManager.subjects = {};
+        bank.subjects.forEach(sub => this.subjectManager.addSubject(sub.key, sub.label, sub.ownerId, sub.scoringPolicy));
+        this.questionsDb = bank.questionsDb;
+        this.revisions = bank.revisions || {};
         this.nextQuestionId = this._getMaxExistingId() + 1;
     }
 
-    _getMaxExistingId() {
-        let maxId = 0;
-        Object.values(this.questionsDb).forEach(arr => {
-            arr.forEach(q => {
-                if (q.id > maxId) maxId = q.id;
-            });
-        });
-        return maxId;
+    persist() {
+        if (this.storage) {
+            this.storage.save(this.subjectManager, this.questionsDb, this.revisions);
+        }
+    }
+
+    // Applies a change and saves the bank. If either fails (usually because
+    // browser storage is full) the bank is put back as it was before the
+    // error is passed on, so nothing shows up that was not kept.
+    _change(apply) {
+        const before = {
+            subjects: JSON.parse(JSON.stringify(this.subjectManager.subjects)),
+            questionsDb: Object.fromEntries(Object.entries(this.questionsDb).map(([key, list]) => [key, [...list]])),
+            revisions: Object.fromEntries(Object.entries(this.revisions).map(([id, list]) => [id, [...list]])),
+            nextQuestionId: this.nextQuestionId
+        };
+        try {
+            const result = apply();
+            this.persist();
+            return result;
+        } catch (err) {
+            this.subjectManager.subjects = before.subjects;
+            this.questionsDb = before.questionsDb;
+            this.revisions = before.revisions;
+            this.nextQuestionId = before.nextQuestionId;
+            throw err;
+        }
+    }
+
+    // Deleted questions count too, so their IDs are never handed out again
+    _getMaxExistingId() {
+        let maxId = 0;
+        Object.values(this.questionsDb).forEach(arr => {
+            arr.forEach(q => {
+                if (q.id > maxId) maxId = q.id;
+            });
+        });
+        Object.keys(this.revisions).forEach(id => {
+            if (Number(id) > maxId) maxId = Number(id);
+        });
+        return maxId;
+    }
+
+    // Every attempt gets its own copies of the questions, so shuffling never
+    // touches the bank. The same seed over the same bank gives the same quiz.
+    // Practice quizzes asking for more questions than the subject has get them all
+    loadQuiz(subjectKey, questionCount, timeLimitInSeconds, seed = SeededRandom.generateSeed(), scoringPolicy = this.getScoringPolicy(subjectKey)) {
+        this._checkQuestionCount(subjectKey, "all");
+        const rng = new SeededRandom(seed);
+        const shuffled = rng.shuffle(this.questionsDb[subjectKey]);
+        const selected = questionCount === "all" ? shuffled : shuffled.slice(0, questionCount);
+        return this._buildAttempt(subjectKey, selected, rng, seed, timeLimitInSeconds, scoringPolicy);
+    }
+
+    _checkQuestionCount(subjectKey, questionCount, questionsDb = this.questionsDb) {
+        const available = (questionsDb[subjectKey] || []).length;
+        if (available === 0) {
+            throw new Error(t("No questions available for this subject."));
+        }
+        if (questionCount !== "all" && questionCount > available) {
+            throw new Error(t("{subject} has only {available} question(s), fewer than the {count} asked for.", { subject: this.subjectManager.getSubjectLabel(subjectKey), available, count: questionCount }));
+        }
+    }
+
+    // Same as loadQuiz but with a teacher-chosen question list; only the
+    // order of questions and options is shuffled.
+    loadFixedQuiz(subjectKey, questionIds, timeLimitInSeconds, seed = SeededRandom.generateSeed(), scoringPolicy = this.getScoringPolicy(subjectKey)) {
+        const questions = questionIds.map(id => this.findQuestion(id)).filter(Boolean);
+        if (questions.length === 0) {
+            throw new Error(t("None of the questions in this assessment exist any more."));
+        }
+        const rng = new SeededRandom(seed);
+        return this._buildAttempt(subjectKey, rng.shuffle(questions), rng, seed, timeLimitInSeconds, scoringPolicy);
+    }
+
+    loadBlueprintQuiz(subjectKey, blueprint, timeLimitInSeconds, seed = SeededRandom.generateSeed(), scoringPolicy = this.getScoringPolicy(subjectKey)) {
+        const rng = new SeededRandom(seed);
+        const selected = this._resolveBlueprint(subjectKey, blueprint, rng);
+        return this._buildAttempt(subjectKey, selected, rng, seed, timeLimitInSeconds, scoringPolicy);
+    }
+
+    // Throws the same error loadBlueprintQuiz would if the pool is too small
+    checkBlueprint(subjectKey, blueprint, questionsDb = this.questionsDb) {
+        blueprint.validate();
+        this._resolveBlueprint(subjectKey, blueprint, new SeededRandom(1), questionsDb);
+    }
+
+    // Fills one slot per requested question without using a question twice.
+    // A question that fits several rules is moved to another slot when a later
+    // rule needs it (augmenting paths, as in bipartite matching), so the
+    // blueprint only fails when no assignment exists at all. Questions come
+    // back in rule order.
+    _resolveBlueprint(subjectKey, blueprint, rng, questionsDb = this.questionsDb) {
+        const pool = rng.shuffle(questionsDb[subjectKey] || []);
+        const candidates = blueprint.rules.map(rule => pool.filter(q => QuizBlueprint.matches(rule, q)));
+        const slots = blueprint.rules.flatMap((rule, ruleIdx) => Array(rule.count).fill(ruleIdx));
+        const slotOf = new Map();
+
+        const assign = (slot, visited) => {
+            for (const q of candidates[slots[slot]]) {
+                if (visited.has(q.id)) continue;
+                visited.add(q.id);
+                if (!slotOf.has(q.id) || assign(slotOf.get(q.id), visited)) {
+                    slotOf.set(q.id, slot);
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        const shortfall = blueprint.rules.map(() => 0);
+        slots.forEach((ruleIdx, slot) => {
+            if (!assign(slot, new Set())) shortfall[ruleIdx]++;
+        });
+        if (shortfall.some(n => n > 0)) {
+            const details = blueprint.rules
+                .map((rule, idx) => ({ rule, missing: shortfall[idx], matching: candidates[idx].length }))
+                .filter(item => item.missing > 0)
+                .map(item => t("{rule} (short by {missing}; {matching} matching in the pool)", { rule: QuizBlueprint.describeRule(item.rule), missing: item.missing, matching: item.matching }));
+            throw new Error(t("The {subject} question pool cannot fill this blueprint: {details}.", { subject: this.subjectManager.getSubjectLabel(subjectKey), details: details.join("; ") }));
+        }
+
+        const bySlot = [];
+        slotOf.forEach((slot, questionId) => {
+            bySlot[slot] = pool.find(q => q.id === questionId);
+        });
+        return bySlot;
+    }
+
+    // Throws when the subject's questions cannot supply the assessment, so a
+    // teacher hears about it when saving instead of students at the start.
+    // Pass a changed questionsDb to check a bank edit before making it.
+    checkAssessment(assessment, questionsDb = this.questionsDb) {
+        if (assessment.usesBlueprint) {
+            this.checkBlueprint(assessment.subjectKey, assessment.blueprint, questionsDb);
+            return;
+        }
+        let count;
+        if (assessment.usesFixedQuestions) {
+            const ids = new Set(Object.values(questionsDb).flat().map(q => q.id));
+            count = assessment.questionIds.filter(id => ids.has(id)).length;
+            if (count === 0) {
+                throw new Error(t("None of the questions in this assessment exist any more."));
+            }
+        } else {
+            this._checkQuestionCount(assessment.subjectKey, assessment.questionCount, questionsDb);
+            count = assessment.questionCount === "all" ? questionsDb[assessment.subjectKey].length : assessment.questionCount;
+        }
+        // Checked against what a quiz would get today, since "all questions"
+        // and fixed sets with deleted questions shrink with the bank
+        if (assessment.sectionPlan) assessment.sectionPlan.validate(count);
+    }
+
+    // Assessments that can still be started but could not be once the
+    // questions matching `removed` leave the bank, each with the reason
+    findAssessmentsBrokenByRemoving(assessments, removed) {
+        const questionsDb = Object.fromEntries(Object.entries(this.questionsDb).map(([key, list]) => [key, list.filter(q => !removed(q))]));
+        return assessments
+            .filter(a => a.getStatus() !== "closed")
+            .flatMap(a => {
+                try {
+                    this.checkAssessment(a);
+                } catch {
+                    return []; // already unable to start, whatever is removed
+                }
+                try {
+                    this.checkAssessment(a, questionsDb);
+                    return [];
+                } catch (err) {
+                    return [{ assessment: a, reason: err.message }];
+                }
+            });
+    }
+
+    loadAssessmentQuiz(assessment) {
+        let quiz;
+        if (assessment.usesBlueprint) {
+            quiz = this.loadBlueprintQuiz(assessment.subjectKey, assessment.blueprint, assessment.timeLimitInSeconds);
+        } else if (assessment.usesFixedQuestions) {
+            quiz = this.loadFixedQuiz(assessment.subjectKey, assessment.questionIds, assessment.timeLimitInSeconds);
+        } else {
+            // Unlike practice, an assessment never quietly gets fewer questions than set
+            this._checkQuestionCount(assessment.subjectKey, assessment.questionCount);
+            quiz = this.loadQuiz(assessment.subjectKey, assessment.questionCount, assessment.timeLimitInSeconds);
+        }
+        if (assessment.sectionPlan) {
+            assessment.sectionPlan.validate(quiz.questions.length);
+            quiz.sections = assessment.sectionPlan.toJSON();
+        }
+        quiz.questionTimeLimitInSeconds = assessment.questionTimeLimitInSeconds;
+        quiz.warningThresholds = [...assessment.warningThresholds];
+        quiz.integritySettings = { enforceFullscreen: assessment.enforceFullscreen, maxViolations: assessment.maxViolations };
+        quiz.assessmentId = assessment.id;
+        // The assessment's own policy wins over the subject's
+        if (assessment.scoringPolicy) quiz.scoringPolicy = assessment.scoringPolicy;
+        return quiz;
+    }
+
+    // Keeps the given order (the scheduler's priority); only options are shuffled
+    loadReviewQuiz(subjectKey, questions, seed = SeededRandom.generateSeed()) {
+        if (questions.length === 0) {
+            throw new Error(t("Nothing is due for review in this subject right now."));
+        }
+        const rng = new SeededRandom(seed);
+        const { questions: attemptQuestions, optionOrders } = this._shuffleOptions(questions, rng);
+        const quiz = new ReviewQuiz(generateAttemptId(), subjectKey, this.subjectManager.getSubjectLabel(subjectKey), attemptQuestions);
+        quiz.seed = seed;
+        quiz.optionOrders = optionOrders;
+        quiz.scoringPolicy = this.getScoringPolicy(subjectKey);
+        quiz.start();
+        return quiz;
+    }
+
+    // `difficulties` maps question IDs to Rasch difficulties (see DifficultyCalibrator)
+    loadAdaptiveQuiz(subjectKey, maxQuestions, timeLimitInSeconds, difficulties, seed = SeededRandom.generateSeed(), scoringPolicy = this.getScoringPolicy(subjectKey)) {
+        const allQuestions = this.questionsDb[subjectKey];
+        if (!allQuestions || allQuestions.length === 0) {
+            throw new Error(t("No questions available for this subject."));
+        }
+        const rng = new SeededRandom(seed);
+        const { questions, optionOrders } = this._shuffleOptions(rng.shuffle(allQuestions), rng);
+        const subjectLabel = this.subjectManager.getSubjectLabel(subjectKey);
+        const limit = maxQuestions === "all" ? questions.length : maxQuestions;
+        const quiz = new AdaptiveQuiz(generateAttemptId(), subjectKey, subjectLabel, questions, difficulties, limit, timeLimitInSeconds);
+        quiz.seed = seed;
+        quiz.optionOrders = optionOrders;
+        quiz.scoringPolicy = scoringPolicy;
+        quiz.start();
+        return quiz;
+    }
+
+    _buildAttempt(subjectKey, selected, rng, seed, timeLimitInSeconds, scoringPolicy) {
+        const { questions, optionOrders } = this._shuffleOptions(selected, rng);
+        const subjectLabel = this.subjectManager.getSubjectLabel(subjectKey);
+        const quiz = new TimedQuiz(generateAttemptId(), subjectKey, subjectLabel, questions, timeLimitInSeconds);
+        quiz.seed = seed;
+        quiz.optionOrders = optionOrders;
+        quiz.scoringPolicy = scoringPolicy;
+        quiz.start();
+        return quiz;
+    }
+
+    // Per-attempt copies of the questions with their options shuffled
+    _shuffleOptions(selected, rng) {
+        const optionOrders = {};
+        const questions = selected.map(q => {
+            const order = q.shufflesOptions ? rng.shuffle(q.options.map((_, idx) => idx)) : null;
+            if (order) optionOrders[q.id] = order;
+            return q.withOptionOrder(order);
+        });
+        return { questions, optionOrders };
+    }
+
+    findQuestion(questionId) {
+        return Object.values(this.questionsDb).flat().find(q => q.id === questionId) || null;
+    }
+
+    // Rebuilds the questions of a stored attempt as the student saw them,
+    // using the recorded question order, revisions and option permutations.
+    // Results saved before revisions were recorded use the version in place
+    // when the attempt was submitted.
+    reconstructAttempt(storedResult) {
+        if (!storedResult.questionIds) return null;
+        return storedResult.questionIds.map(id => {
+            const q = this.getQuestionRevision(id, this.getResultRevision(storedResult, id));
+            return q ? q.withOptionOrder(storedResult.optionOrders[id] || null) : null;
+        });
+    }
+
+    // The revision of a question a stored result answered
+    getResultRevision(storedResult, questionId) {
+        const recorded = storedResult.questionRevisions?.[questionId];
+        if (recorded !== undefined) return recorded;
+        return this.getRevisionAt(questionId, storedResult.takenAtMs ?? Date.parse(storedResult.takenAt));
+    }
+
+    getRevisionNumber(questionId) {
+        return (this.revisions[questionId] || []).length + 1;
+    }
+
+    // The revision that was current at `time` (ms); the bank's own one if it
+    // has not been replaced since
+    getRevisionAt(questionId, time) {
+        const archived = this.revisions[questionId] || [];
+        const replacedLater = archived.find(entry => entry.replacedAt > time);
+        return replacedLater ? replacedLater.revision : archived.length + 1;
+    }
+
+    // null when the revision is unknown, or is the current one of a deleted question
+    getQuestionRevision(questionId, revision) {
+        const archived = this.revisions[questionId] || [];
+        const index = archived.findIndex(entry => entry.revision === revision);
+        if (index !== -1) return this._questionFromArchive(questionId, index);
+        return revision === this.getRevisionNumber(questionId) ? this.findQuestion(questionId) : null;
+    }
+
+    // Every version of a question, newest first; replacedAt is null for the one in the bank
+    getRevisionHistory(questionId) {
+        const history = (this.revisions[questionId] || []).map((entry, index) => ({
+            revision: entry.revision,
+            replacedAt: entry.replacedAt,
+            question: this._questionFromArchive(questionId, index)
+        }));
+        const current = this.findQuestion(questionId);
+        if (current) history.push({ revision: this.getRevisionNumber(questionId), replacedAt: null, question: current });
+        return history.reverse();
+    }
+
+    // Images the replacement still has are not copied: the snapshot points
+    // at the next version's copy, so editing text never duplicates image data
+    _archiveRevision(q, replacement = null) {
+        const snapshot = q.toJSON();
+        Object.keys(snapshot.images).forEach(name => {
+            if (replacement && replacement.images[name] === snapshot.images[name]) snapshot.images[name] = SAME_IMAGE_AS_NEXT_REVISION;
+        });
+        if (!this.revisions[q.id]) this.revisions[q.id] = [];
+        this.revisions[q.id].push({ revision: this.getRevisionNumber(q.id), replacedAt: Date.now(), question: snapshot });
+    }
+
+    // Follows image pointers forward to the revision (or the bank's copy) that holds the data
+    _questionFromArchive(questionId, index) {
+        const archived = this.revisions[questionId];
+        const data = archived[index].question;
+        const images = { ...data.images };
+        Object.keys(images).forEach(name => {
+            for (let next = index + 1; images[name] === SAME_IMAGE_AS_NEXT_REVISION; next++) {
+                const newer = next < archived.length ? archived[next].question : this.findQuestion(questionId);
+                if (!newer || !(name in newer.images)) {
+                    delete images[name];
+                    break;
+                }
+                images[name] = newer.images[name];
+            }
+        });
+        return Question.fromJSON({ ...data, images });
+    }
+
+    // Case-insensitive match on the ID, text (in any language), options and tags
+    searchQuestions(subjectKey, query = "") {
+        const questions = this.questionsDb[subjectKey] || [];
+        const needle = query.trim().toLowerCase();
+        if (!needle) return [...questions];
+        return questions.filter(q => {
+            const translated = Object.values(q.translations).flatMap(tr => [tr.text, ...(tr.options || [])]);
+            const haystack = [`#${q.id}`, q.text, ...q.options, ...q.tags, ...translated].join("\n").toLowerCase();
+            return haystack.includes(needle);
+        });
+    }
+
+    // Penalties can pull individual questions below zero, but never the total
+    calculateScore(quiz) {
+        const total = quiz.questions.reduce((sum, q) => sum + quiz.scoringPolicy.scoreQuestion(q, quiz.userAnswers[q.id], quiz.hasUsedHint(q.id)), 0);
+        return Math.max(0, roundScore(total));
+    }
+
+    getScoringPolicy(subjectKey) {
+        return ScoringPolicy.fromJSON(this.subjectManager.getScoringPolicy(subjectKey));
+    }
+
+    setScoringPolicy(subjectKey, scoringPolicy) {
+        if (scoringPolicy) scoringPolicy.validate();
+        this._change(() => this.subjectManager.setScoringPolicy(subjectKey, scoringPolicy ? scoringPolicy.toJSON() : null));
+    }
+
+    // Merges a QuestionBankTransfer preview. Incoming IDs are never reused:
+    // each question gets the next free ID and the returned map says which.
+    importQuestions(preview, ownerId = null) {
+        return this._change(() => {
+            const idMap = {};
+            let added = 0;
+            preview.entries.filter(entry => !entry.error).forEach(entry => {
+                if (!this.subjectManager.hasSubject(entry.subjectKey)) {
+                    this.subjectManager.addSubject(entry.subjectKey, entry.subjectLabel || entry.subjectKey, ownerId);
+                }
+                if (!this.questionsDb[entry.subjectKey]) {
+                    this.questionsDb[entry.subjectKey] = [];
+                }
+                const q = Question.fromJSON({ ...entry.data, id: this.nextQuestionId++, subjectKey: entry.subjectKey });
+                this.questionsDb[entry.subjectKey].push(q);
+                if (entry.sourceId !== undefined && entry.sourceId !== null) {
+                    idMap[entry.sourceId] = q.id;
+                }
+                added++;
+            });
+            return { added, idMap };
+        });
+    }
+
+    renameSubject(key, label) {
+        this._change(() => this.subjectManager.setSubjectLabel(key, label.trim()));
+    }
+
+    // Its questions go to the revision history, so results taken on them still show
+    deleteSubject(key) {
+        this._change(() => {
+            (this.questionsDb[key] || []).forEach(q => this._archiveRevision(q));
+            delete this.questionsDb[key];
+            this.subjectManager.removeSubject(key);
+        });
+    }
+
+    addSubject(key, label, ownerId = null) {
+        if (this.subjectManager.hasSubject(key)) {
+            throw new Error(t("A subject with key \"{key}\" already exists.", { key }));
+        }
+        this._change(() => {
+            this.subjectManager.addSubject(key, label, ownerId);
+            if (!this.questionsDb[key]) {
+                this.questionsDb[key] = [];
+            }
+        });
+    }
+
+    // Subjects from before accounts existed have no owner; the first admin takes them over
+    assignUnownedSubjects(ownerId) {
+        this._change(() => {
+            this.subjectManager.getAllSubjects()
+                .filter(sub => !sub.ownerId)
+                .forEach(sub => this.subjectManager.setSubjectOwner(sub.key, ownerId));
+        });
+    }
+
+    addQuestion(subjectKey, text, options, correctIndex) {
+        return this.addQuestionOfType(subjectKey, "single", { text, options, correctOptionIndex: correctIndex });
+    }
+
+    addQuestionOfType(subjectKey, type, fields) {
+        const q = Question.fromJSON({ ...fields, type, id: this.nextQuestionId, subjectKey });
+        q.validate();
+        return this._change(() => {
+            this.nextQuestionId++;
+            if (!this.questionsDb[subjectKey]) {
+                this.questionsDb[subjectKey] = [];
+            }
+            this.questionsDb[subjectKey].push(q);
+            return q;
+        });
+    }
+
+    // Saves a new revision in place (moving it if the subject changed); the
+    // replaced version is archived. Unchanged questions are left alone.
+    updateQuestion(questionId, subjectKey, type, fields) {
+        const existing = this.findQuestion(questionId);
+        if (!existing) {
+            throw new Error(t("Question #{id} is no longer in the question bank.", { id: questionId }));
+        }
+        const q = Question.fromJSON({ ...fields, type, id: questionId, subjectKey });
+        q.validate();
+        if (JSON.stringify(q.toJSON()) === JSON.stringify(existing.toJSON())) return existing;
+        return this._change(() => {
+            this._archiveRevision(existing, q);
+            const oldList = this.questionsDb[existing.subjectKey];
+            if (existing.subjectKey === subjectKey) {
+                oldList[oldList.indexOf(existing)] = q;
+            } else {
+                oldList.splice(oldList.indexOf(existing), 1);
+                if (!this.questionsDb[subjectKey]) {
+                    this.questionsDb[subjectKey] = [];
+                }
+                this.questionsDb[subjectKey].push(q);
+            }
+            return q;
+        });
+    }
+
+    deleteQuestion(questionId) {
+        const q = this.findQuestion(questionId);
+        if (!q) return;
+        this._change(() => {
+            this._archiveRevision(q);
+            const list = this.questionsDb[q.subjectKey];
+            list.splice(list.indexOf(q), 1);
+        });
+    }
+
+    // The copy is a new question with its own ID and no history
+    duplicateQuestion(questionId) {
+        const q = this.findQuestion(questionId);
+        if (!q) {
+            throw new Error(t("Question #{id} is no longer in the question bank.", { id: questionId }));
+        }
+        const { id, type, subjectKey, ...fields } = q.toJSON();
+        return this.addQuestionOfType(subjectKey, type, fields);
+    }
+}
+
+// =======================
+// Rich Text
+// =======================
+
+// Question text, options and explanations accept a small Markdown subset:
+// paragraphs, "- " lists, ```fenced code```, `inline code`, **bold**, *italic*,
+// $math$ and ![alt](name) images attached to the question. Everything is
+// built from DOM nodes and textContent, so markup in the source is never run.
+
+const QUESTION_IMAGE_MAX_LENGTH = 300 * 1024;
+const EMBEDDED_IMAGE_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+function isEmbeddedImage(src) {
+    return typeof src === "string" && EMBEDDED_IMAGE_PATTERN.test(src);
+}
+
+const RICH_INLINE_PATTERN = /\\([\\`*$!\[\]])|`([^`\n]+)`|\$(?=\S)([^$\n]*?\S)\$(?!\d)|!\[([^\]\n]*)\]\(([^)\s]+)\)|\*\*(?=\S)(.+?)\*\*|\*(?=\S)([^*\n]+?)\*/g;
+
+function findRichTextImageRefs(source) {
+    return [...String(source ?? "").matchAll(RICH_INLINE_PATTERN)]
+        .filter(match => match[5] !== undefined)
+        .map(match => match[5]);
+}
+
+function renderRichText(container, source, images = {}) {
+    container.textContent = "";
+    container.classList.add("rich-text");
+    const lines = String(source ?? "").replace(/\r\n?/g, "\n").split("\n");
+    let paragraph = [];
+    let list = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length === 0) return;
+        const p = document.createElement("p");
+        paragraph.forEach((line, idx) => {
+            if (idx > 0) p.appendChild(document.createElement("br"));
+            appendInlineRichText(p, line, images);
+        });
+        container.appendChild(p);
+        paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const fence = line.match(/^\s*```\s*([\w+#-]*)\s*$/);
+        if (fence) {
+            flushParagraph();
+            list = null;
+            const code = [];
+            // An unclosed fence runs to the end of the text
+            for (i++; i < lines.length && !/^\s*```\s*$/.test(lines[i]); i++) {
+                code.push(lines[i]);
+            }
+            container.appendChild(createCodeBlock(code.join("\n"), fence[1].toLowerCase()));
+            continue;
+        }
+        const item = line.match(/^\s*[-*]\s+(.*)$/);
+        if (item) {
+            flushParagraph();
+            if (!list) {
+                list = document.createElement("ul");
+                container.appendChild(list);
+            }
+            const li = document.createElement("li");
+            appendInlineRichText(li, item[1], images);
+            list.appendChild(li);
+            continue;
+        }
+        list = null;
+        if (line.trim() === "") {
+            flushParagraph();
+        } else {
+            paragraph.push(line);
+        }
+    }
+    flushParagraph();
+}
+
+// For one-line content such as options and answers
+function renderInlineRichText(container, source, images = {}) {
+    container.textContent = "";
+    appendInlineRichText(container, String(source ?? ""), images);
+}
+
+function appendInlineRichText(parent, text, images) {
+    let last = 0;
+    for (const match of text.matchAll(RICH_INLINE_PATTERN)) {
+        if (match.index > last) parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+        last = match.index + match[0].length;
+        const [, escaped, code, math, alt, src, bold, italic] = match;
+        if (escaped !== undefined) {
+            parent.appendChild(document.createTextNode(escaped));
+        } else if (code !== undefined) {
+            const el = document.createElement("code");
+            el.textContent = code;
+            parent.appendChild(el);
+        } else if (math !== undefined) {
+            const el = document.createElement("span");
+            el.classList.add("math");
+            appendMath(el, math);
+            parent.appendChild(el);
+        } else if (src !== undefined) {
+            parent.appendChild(createRichImage(alt, src, images));
+        } else {
+            const el = document.createElement(bold !== undefined ? "strong" : "em");
+            appendInlineRichText(el, bold !== undefined ? bold : italic, images);
+            parent.appendChild(el);
+        }
+    }
+    if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+// Attached images are looked up by name; anything else falls back to its alt text
+function createRichImage(alt, src, images) {
+    const data = images && Object.hasOwn(images, src) ? images[src] : src;
+    if (!isEmbeddedImage(data)) {
+        const missing = document.createElement("span");
+        missing.classList.add("missing-image");
+        missing.textContent = `[image: ${alt || src}]`;
+        return missing;
+    }
+    const img = document.createElement("img");
+    img.src = data;
+    img.alt = alt;
+    img.classList.add("rich-image");
+    return img;
+}
+
+const CODE_KEYWORDS = {
+    c: new Set(("auto break case char const continue default do double else enum extern float for goto if inline int " +
+        "long register return short signed sizeof static struct switch typedef union unsigned void volatile while " +
+        "bool true false NULL").split(" ")),
+    java: new Set(("abstract assert boolean break byte case catch char class const continue default do double else " +
+        "enum extends final finally float for if implements import instanceof int interface long native new package " +
+        "private protected public return short static strictfp super switch synchronized this throw throws transient " +
+        "try var void volatile while true false null").split(" ")),
+    // SQL keywords are matched case-insensitively, so these are lower case
+    sql: new Set(("select from where and or not insert into values update set delete create table drop alter add " +
+        "primary key foreign references join inner left right outer full cross on as group by order having distinct " +
+        "count sum avg min max null is in like between union all exists limit offset asc desc index view unique " +
+        "check constraint default case when then else end int integer varchar char text date decimal").split(" "))
+};
+const CODE_LANGUAGE_ALIASES = { h: "c", cpp: "c", "c++": "c" };
+
+const C_LIKE_TOKEN_PATTERN = /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|("(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)|(^[ \t]*#[ \t]*\w+)|(\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)[uUlLfFdD]*\b)|([A-Za-z_]\w*)/gm;
+const SQL_TOKEN_PATTERN = /(--[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:''|[^'])*'?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_]\w*)/g;
+
+function createCodeBlock(code, language) {
+    const pre = document.createElement("pre");
+    pre.classList.add("code-block");
+    const codeEl = document.createElement("code");
+    const lang = CODE_LANGUAGE_ALIASES[language] || language;
+    if (lang) codeEl.dataset.language = lang;
+    highlightCode(codeEl, code, lang);
+    pre.appendChild(codeEl);
+    return pre;
+}
+
+// Languages without a keyword list are shown as plain monospace text
+function highlightCode(container, code, language) {
+    const keywords = CODE_KEYWORDS[language];
+    if (!keywords) {
+        container.textContent = code;
+        return;
+    }
+    const isSql = language === "sql";
+    const pattern = isSql ? SQL_TOKEN_PATTERN : C_LIKE_TOKEN_PATTERN;
+    const addToken = (text, className) => {
+        if (!className) {
+            container.appendChild(document.createTextNode(text));
+            return;
+        }
+        const span = document.createElement("span");
+        span.classList.add(className);
+        span.textContent = text;
+        container.appendChild(span);
+    };
+    let last = 0;
+    for (const match of code.matchAll(pattern)) {
+        if (match.index > last) addToken(code.slice(last, match.index));
+        last = match.index + match[0].length;
+        const [token, comment, string] = match;
+        const directive = isSql ? undefined : match[3];
+        const number = isSql ? match[3] : match[4];
+        if (comment !== undefined) addToken(token, "tok-comment");
+        else if (string !== undefined) addToken(token, "tok-string");
+        else if (directive !== undefined) addToken(token, "tok-directive");
+        else if (number !== undefined) addToken(token, "tok-number");
+        else addToken(token, keywords.has(isSql ? token.toLowerCase() : token) ? "tok-keyword" : null);
+    }
+    if (last < code.length) addToken(code.slice(last));
+}
+
+const MATH_SYMBOLS = {
+    alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ε", theta: "θ", lambda: "λ", mu: "μ",
+    pi: "π", sigma: "σ", phi: "φ", omega: "ω", Gamma: "Γ", Delta: "Δ", Theta: "Θ", Pi: "Π", Sigma: "Σ", Omega: "Ω",
+    times: "×", cdot: "·", div: "÷", pm: "±", le: "≤", leq: "≤", ge: "≥", geq: "≥", ne: "≠", neq: "≠",
+    approx: "≈", equiv: "≡", infty: "∞", sum: "∑", prod: "∏", int: "∫", to: "→", rightarrow: "→",
+    leftarrow: "←", Rightarrow: "⇒", iff: "⇔", in: "∈", notin: "∉", subset: "⊂", cup: "∪", cap: "∩",
+    land: "∧", lor: "∨", neg: "¬", oplus: "⊕", ll: "≪", gg: "≫", lfloor: "⌊", rfloor: "⌋",
+    lceil: "⌈", rceil: "⌉", ldots: "…", cdots: "⋯",
+    log: "log", ln: "ln", sin: "sin", cos: "cos", tan: "tan", max: "max", min: "min", mod: "mod",
+    ",": " ", ";": " ", " ": " "
+};
+
+// A small TeX subset: ^ and _ scripts, \frac, \sqrt, Greek letters and common operators
+function appendMath(parent, tex) {
+    let pos = 0;
+    // Reads one {group}, \command or character and returns its TeX source
+    const readAtom = () => {
+        while (tex[pos] === " ") pos++;
+        if (pos >= tex.length) return "";
+        if (tex[pos] === "{") {
+            const start = pos + 1;
+            let depth = 0;
+            for (; pos < tex.length; pos++) {
+                if (tex[pos] === "{") depth++;
+                else if (tex[pos] === "}" && --depth === 0) return tex.slice(start, pos++);
+            }
+            return tex.slice(start);
+        }
+        if (tex[pos] === "\\") {
+            const command = tex.slice(pos).match(/^\\([A-Za-z]+|.?)/)[0];
+            pos += command.length;
+            return command;
+        }
+        return tex[pos++];
+    };
+    const wrap = (tagName, className, source) => {
+        const el = document.createElement(tagName);
+        if (className) el.classList.add(className);
+        appendMath(el, source);
+        return el;
+    };
+
+    while (pos < tex.length) {
+        const ch = tex[pos];
+        if (ch === "^" || ch === "_") {
+            pos++;
+            parent.appendChild(wrap(ch === "^" ? "sup" : "sub", null, readAtom()));
+        } else if (ch === "{") {
+            parent.appendChild(wrap("span", null, readAtom()));
+        } else if (ch === "\\") {
+            const command = readAtom().slice(1);
+            if (command === "frac") {
+                const frac = document.createElement("span");
+                frac.classList.add("math-frac");
+                frac.append(wrap("span", "math-num", readAtom()), wrap("span", "math-den", readAtom()));
+                parent.appendChild(frac);
+            } else if (command === "sqrt") {
+                parent.appendChild(document.createTextNode("√"));
+                parent.appendChild(wrap("span", "math-sqrt", readAtom()));
+            } else if (Object.hasOwn(MATH_SYMBOLS, command)) {
+                const symbol = document.createElement("span");
+                // Function names such as log are set upright, not as a product of variables
+                if (/^[a-z]{2,}$/.test(MATH_SYMBOLS[command])) symbol.classList.add("math-upright");
+                symbol.textContent = MATH_SYMBOLS[command];
+                parent.appendChild(symbol);
+            } else {
+                // \{ \} \% and unknown commands are shown as written
+                parent.appendChild(document.createTextNode(command.length === 1 ? command : `\\${command}`));
+            }
+        } else {
+            parent.appendChild(document.createTextNode(ch));
+            pos++;
+        }
+    }
+}
+
+// =======================
+// Text Formats
+// =======================
+
+function toCsvLine(values) {
+    return values.map(value => {
+        const str = value === null || value === undefined ? "" : String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }).join(",");
+}
+
+// Returns an array of { line, cells } so callers can report errors by line number
+function parseCsv(text) {
+    const rows = [];
+    let cells = [];
+    let cell = "";
+    let inQuotes = false;
+    let line = 1;
+    let rowStartLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                if (ch === "\n") line++;
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ",") {
+            cells.push(cell);
+            cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && text[i + 1] === "\n") i++;
+            cells.push(cell);
+            rows.push({ line: rowStartLine, cells });
+            cells = [];
+            cell = "";
+            line++;
+            rowStartLine = line;
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== "" || cells.length) {
+        cells.push(cell);
+        rows.push({ line: rowStartLine, cells });
+    }
+    return rows.filter(row => row.cells.some(c => c.trim() !== ""));
+}
+
+// "a|b\|c" -> ["a", "b|c"]
+function splitPipeList(value) {
+    if (!value) return [];
+    return value.split(/(?<!\\)\|/).map(v => v.replace(/\\\|/g, "|").trim()).filter(v => v !== "");
+}
+
+function joinPipeList(values) {
+    return values.map(v => String(v).replace(/\|/g, "\\|")).join("|");
+}
+
+// Question images in a single cell: name=data:image/...|name=...
+function joinImageList(images) {
+    return joinPipeList(Object.entries(images || {}).map(([name, src]) => `${name}=${src}`));
+}
+
+function splitImageList(value) {
+    const images = {};
+    splitPipeList(value).forEach(item => {
+        const eq = item.indexOf("=");
+        if (eq <= 0) throw new Error(t("Image \"{name}\" must be written as name=data URL.", { name: item.slice(0, 40) }));
+        images[item.slice(0, eq).trim()] = item.slice(eq + 1).trim();
+    });
+    return images;
+}
+
+function slugifySubjectKey(label) {
+    return String(label).trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+function downloadTextFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+}
+
+// =======================
+// Question Bank Import / Export
+// =======================
+
+const TRANSLATED_LOCALES = Object.keys(SUPPORTED_LOCALES).filter(locale => locale !== DEFAULT_LOCALE);
+// Translations get their own columns per language, e.g. question_bn, options_bn, answer_bn
+const BANK_CSV_COLUMNS = ["subject_key", "subject_label", "type", "question", "options", "answer", "tolerance", "case_sensitive", "points", "difficulty", "tags", "images",
+    "explanation", "hint", "reference", "reference_url",
+    ...TRANSLATED_LOCALES.flatMap(locale => [`question_${locale}`, `options_${locale}`, `answer_${locale}`, `explanation_${locale}`, `hint_${locale}`])];
+
+// GIFT keeps one question per blank-line separated block, so line breaks
+// inside text travel as \n like Moodle writes them
+function escapeGift(str) {
+    return String(str).replace(/([~=#{}:\\])/g, "\\$1").replace(/\r?\n/g, "\\n");
+}
+
+function unescapeGift(str) {
+    return str.replace(/\\([~=#{}:\\n])/g, (match, ch) => (ch === "n" ? "\n" : ch)).trim();
+}
+
+class QuestionBankTransfer {
+    constructor(quizService) {
+        this.quizService = quizService;
+    }
+
+    static detectFormat(fileName, text) {
+        const ext = (fileName.split(".").pop() || "").toLowerCase();
+        if (ext === "json") return "json";
+        if (ext === "csv") return "csv";
+        if (ext === "gift") return "gift";
+        const trimmed = text.trim();
+        if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+        return /\{[^}]*\}/.test(trimmed) ? "gift" : "csv";
+    }
+
+    _getSubjects(subjectKey) {
+        const all = this.quizService.subjectManager.getAllSubjects();
+        return subjectKey ? all.filter(sub => sub.key === subjectKey) : all;
+    }
+
+    _getQuestions(subjects) {
+        return subjects.flatMap(sub => this.quizService.questionsDb[sub.key] || []);
+    }
+
+    // Returns the file content and the IDs of questions the format could not carry
+    export(format, subjectKey = null) {
+        const subjects = this._getSubjects(subjectKey);
+        const questions = this._getQuestions(subjects);
+        if (format === "json") return { content: this._exportJson(subjects, questions), skipped: [] };
+        if (format === "csv") return { content: this._exportCsv(questions), skipped: [] };
+        if (format === "gift") return this._exportGift(subjects);
+        throw new Error(t("Unsupported export format \"{format}\".", { format }));
+    }
+
+    _exportJson(subjects, questions) {
+        return JSON.stringify({
+            format: "quiz-bank",
+            version: BANK_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            subjects,
+            questions: questions.map(q => q.toJSON())
+        }, null, 2);
+    }
+
+    _exportCsv(questions) {
+        const lines = [toCsvLine(BANK_CSV_COLUMNS)];
+        questions.forEach(q => {
+            let options = "";
+            let answer = "";
+            let tolerance = "";
+            let caseSensitive = "";
+            if (q.type === "single") {
+                options = joinPipeList(q.options);
+                answer = q.correctOptionIndex + 1;
+            } else if (q.type === "multi") {
+                options = joinPipeList(q.options);
+                answer = q.correctOptionIndexes.map(idx => idx + 1).join("|");
+            } else if (q.type === "truefalse") {
+                answer = q.correctValue ? "true" : "false";
+            } else if (q.type === "numeric") {
+                answer = q.correctValue;
+                tolerance = q.tolerance;
+            } else if (q.type === "short") {
+                answer = joinPipeList(q.acceptedAnswers);
+                caseSensitive = q.caseSensitive ? "true" : "false";
+            }
+            const label = this.quizService.subjectManager.getSubjectLabel(q.subjectKey);
+            const translated = TRANSLATED_LOCALES.flatMap(locale => {
+                const translation = q.translations[locale];
+                if (!translation) return ["", "", "", "", ""];
+                return [translation.text, joinPipeList(translation.options || []), joinPipeList(translation.acceptedAnswers || []),
+                    translation.explanation || "", translation.hint || ""];
+            });
+            lines.push(toCsvLine([q.subjectKey, label, q.type, q.text, options, answer, tolerance, caseSensitive, q.points, q.difficulty, joinPipeList(q.tags), joinImageList(q.images),
+                q.explanation, q.hint, q.reference, q.referenceUrl, ...translated]));
+        });
+        return lines.join("\r\n") + "\r\n";
+    }
+
+    _exportGift(subjects) {
+        const blocks = [];
+        const skipped = [];
+        subjects.forEach(sub => {
+            blocks.push(`$CATEGORY: ${sub.label}`);
+            (this.quizService.questionsDb[sub.key] || []).forEach(q => {
+                // GIFT has no way to carry attached images
+                const usesImages = Object.keys(q.images).length > 0 ||
+                    [q.text, ...(q.options || []), q.explanation].some(source => findRichTextImageRefs(source).length > 0);
+                if (usesImages) {
+                    skipped.push(q.id);
+                    return;
+                }
+                let answer;
+                if (q.type === "single") {
+                    answer = q.options.map((opt, idx) => `${idx === q.correctOptionIndex ? "=" : "~"}${escapeGift(opt)}`);
+                } else if (q.type === "multi") {
+                    const weight = +(100 / q.correctOptionIndexes.length).toFixed(5);
+                    answer = q.options.map((opt, idx) => `~%${q.correctOptionIndexes.includes(idx) ? weight : -100}%${escapeGift(opt)}`);
+                } else if (q.type === "truefalse") {
+                    answer = [q.correctValue ? "T" : "F"];
+                } else if (q.type === "numeric") {
+                    answer = [`#${q.correctValue}:${q.tolerance}`];
+                } else if (q.type === "short") {
+                    answer = q.acceptedAnswers.map(a => `=${escapeGift(a)}`);
+                }
+                // The explanation travels as GIFT general feedback
+                if (q.explanation) answer.push(`####${escapeGift(q.explanation)}`);
+                const body = answer.length > 1 ? `{\n    ${answer.join("\n    ")}\n}` : `{${answer[0]}}`;
+                blocks.push(`::Q${q.id}:: ${escapeGift(q.text)} ${body}`);
+            });
+        });
+        return { content: blocks.join("\n\n") + "\n", skipped };
+    }
+
+    // Builds a preview without touching the bank. Every entry carries either
+    // validated question data or the reason it was rejected.
+    parse(format, text, targetSubjectKey = null, canEditSubject = () => true) {
+        let entries;
+        if (format === "json") entries = this._parseJson(text);
+        else if (format === "csv") entries = this._parseCsv(text);
+        else if (format === "gift") entries = this._parseGift(text);
+        else throw new Error(t("Unsupported import format \"{format}\".", { format }));
+
+        entries.forEach(entry => {
+            if (targetSubjectKey) {
+                entry.subjectKey = targetSubjectKey;
+                entry.subjectLabel = this.quizService.subjectManager.getSubjectLabel(targetSubjectKey);
+            }
+            if (entry.error) return;
+            if (!entry.subjectKey) {
+                entry.error = t("No subject given; choose a subject to import into.");
+                return;
+            }
+            if (this.quizService.subjectManager.hasSubject(entry.subjectKey) && !canEditSubject(entry.subjectKey)) {
+                entry.error = t("This subject belongs to another teacher.");
+                return;
+            }
+            try {
+                Question.fromJSON({ ...entry.data, id: 0, subjectKey: entry.subjectKey }).validate();
+            } catch (err) {
+                entry.error = err.message;
+            }
+        });
+        return {
+            entries,
+            validCount: entries.filter(e => !e.error).length,
+            errorCount: entries.filter(e => e.error).length
+        };
+    }
+
+    _parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(t("File is not valid JSON: {error}", { error: err.message }));
+        }
+        if (!Array.isArray(data) && (!data || !Array.isArray(data.questions))) {
+            throw new Error(t("JSON file has no \"questions\" list."));
+        }
+        let questions = Array.isArray(data) ? data : data.questions;
+        // Bare question lists carry no version, so only full exports can be upgraded.
+        // Entries that are not objects stay in place to be reported below.
+        if (!Array.isArray(data) && data.version !== undefined) {
+            const isObject = q => q && typeof q === "object";
+            data = BankStorage.migrate({ subjects: [], ...data, questions: questions.filter(isObject) });
+            let next = 0;
+            questions = questions.map(q => (isObject(q) ? data.questions[next++] : q));
+        }
+        const labels = {};
+        (data.subjects || []).forEach(sub => {
+            labels[sub.key] = sub.label;
+        });
+        return questions.map((q, idx) => {
+            const entry = { row: `#${idx + 1}`, sourceId: q && q.id, subjectKey: null, subjectLabel: null, data: null, error: null };
+            if (!q || typeof q !== "object") {
+                entry.error = t("Not a question object.");
+                return entry;
+            }
+            const { id, subjectKey, ...fields } = q;
+            entry.subjectKey = subjectKey || null;
+            entry.subjectLabel = labels[subjectKey] || subjectKey || null;
+            entry.data = { type: "single", ...fields };
+            return entry;
+        });
+    }
+
+    _parseCsv(text) {
+        const rows = parseCsv(text.replace(/^\uFEFF/, ""));
+        if (rows.length === 0) {
+            throw new Error(t("CSV file is empty."));
+        }
+        const header = rows[0].cells.map(c => c.trim().toLowerCase());
+        if (!header.includes("question")) {
+            throw new Error(t("CSV header must include a \"question\" column (expected: {columns}).", { columns: BANK_CSV_COLUMNS.join(", ") }));
+        }
+        return rows.slice(1).map(({ line, cells }) => {
+            const get = name => {
+                const idx = header.indexOf(name);
+                return idx === -1 ? "" : (cells[idx] || "").trim();
+            };
+            const label = get("subject_label");
+            const entry = {
+                row: t("line {number}", { number: line }),
+                subjectKey: get("subject_key") || (label ? slugifySubjectKey(label) : null),
+                subjectLabel: label || get("subject_key") || null,
+                data: null,
+                error: null
+            };
+            try {
+                entry.data = this._csvRowToData(get("type") || "single", get("question"), get("options"), get("answer"), get("tolerance"), get("case_sensitive"));
+                if (get("points") !== "") entry.data.points = Number(get("points"));
+                if (get("difficulty") !== "") entry.data.difficulty = get("difficulty");
+                if (get("tags") !== "") entry.data.tags = splitPipeList(get("tags"));
+                if (get("images") !== "") entry.data.images = splitImageList(get("images"));
+                entry.data.explanation = get("explanation");
+                entry.data.hint = get("hint");
+                entry.data.reference = get("reference");
+                entry.data.referenceUrl = get("reference_url");
+                const translations = {};
+                TRANSLATED_LOCALES.forEach(locale => {
+                    if (get(`question_${locale}`) === "") return;
+                    translations[locale] = { text: get(`question_${locale}`) };
+                    if (get(`options_${locale}`) !== "") translations[locale].options = splitPipeList(get(`options_${locale}`));
+                    if (get(`answer_${locale}`) !== "") translations[locale].acceptedAnswers = splitPipeList(get(`answer_${locale}`));
+                    if (get(`explanation_${locale}`) !== "") translations[locale].explanation = get(`explanation_${locale}`);
+                    if (get(`hint_${locale}`) !== "") translations[locale].hint = get(`hint_${locale}`);
+                });
+                if (Object.keys(translations).length) entry.data.translations = translations;
+            } catch (err) {
+                entry.error = err.message;
+            }
+            return entry;
+        });
+    }
+
+    _csvRowToData(type, text, options, answer, tolerance, caseSensitive) {
+        const toBool = value => /^(true|t|yes|y|1)$/i.test(value);
+        const toOptionIndex = value => {
+            const n = Number(value);
+            if (!Number.isInteger(n)) throw new Error(t("Answer \"{value}\" is not an option number.", { value }));
+            return n - 1;
+        };
+        if (type === "single") {
+            return { type, text, options: splitPipeList(options), correctOptionIndex: toOptionIndex(answer) };
+        }
+        if (type === "multi") {
+            return { type, text, options: splitPipeList(options), correctOptionIndexes: splitPipeList(answer).map(toOptionIndex) };
+        }
+        if (type === "truefalse") {
+            if (!/^(true|t|false|f)$/i.test(answer)) throw new Error(t("True/false answer must be \"true\" or \"false\"."));
+            return { type, text, correctValue: toBool(answer) };
+        }
+        if (type === "numeric") {
+            return { type, text, correctValue: answer === "" ? NaN : Number(answer), tolerance: tolerance === "" ? 0 : Number(tolerance) };
+        }
+        if (type === "short") {
+            return { type, text, acceptedAnswers: splitPipeList(answer), caseSensitive: toBool(caseSensitive) };
+        }
+        throw new Error(t("Unknown question type \"{type}\".", { type }));
+    }
+
+    _parseGift(text) {
+        const subjects = this.quizService.subjectManager.getAllSubjects();
+        const entries = [];
+        let category = null;
+        let block = [];
+        let blockLine = 0;
+
+        const flush = () => {
+            if (block.length === 0) return;
+            const entry = { row: t("line {number}", { number: blockLine }), subjectKey: null, subjectLabel: null, data: null, error: null };
+            if (category) {
+                const existing = subjects.find(sub => sub.key === category || sub.label === category);
+                entry.subjectKey = existing ? existing.key : slugifySubjectKey(category);
+                entry.subjectLabel = existing ? existing.label : category;
+            }
+            try {
+                entry.data = this._giftBlockToData(block.join("\n"));
+            } catch (err) {
+                entry.error = err.message;
+            }
+            entries.push(entry);
+            block = [];
+        };
+
+        text.replace(/\r\n?/g, "\n").split("\n").forEach((line, idx) => {
+            const trimmed = line.trim();
+            if (trimmed.startsWith("//")) return;
+            if (trimmed === "") {
+                flush();
+                return;
+            }
+            const categoryMatch = trimmed.match(/^\$CATEGORY:\s*(.+)$/i);
+            if (categoryMatch) {
+                flush();
+                // Moodle categories are paths like $course$/top/C Programming
+                category = categoryMatch[1].split("/").pop().trim();
+                return;
+            }
+            if (block.length === 0) blockLine = idx + 1;
+            block.push(line);
+        });
+        flush();
+        return entries;
+    }
+
+    _giftBlockToData(source) {
+        const open = source.search(/(?<!\\)\{/);
+        const close = source.search(/(?<!\\)\}(?![\s\S]*(?<!\\)\})/);
+        if (open === -1 || close === -1 || close < open) {
+            throw new Error(t("Missing {answer} block."));
+        }
+        let prefix = source.slice(0, open).trim();
+        const suffix = source.slice(close + 1).trim();
+        const body = source.slice(open + 1, close).trim();
+
+        prefix = prefix.replace(/^::(?:\\.|[^:])*::/, "").replace(/^\[(html|moodle|markdown|plain)\]/i, "").trim();
+        let text = unescapeGift(prefix);
+        if (suffix) {
+            // Missing-word style: "The ____ keyword creates an object {=new ~make}."
+            text = `${text} _____ ${unescapeGift(suffix)}`.trim();
+        }
+
+        // General feedback ("####...") at the end of the block becomes the explanation
+        const feedbackAt = body.search(/(?<!\\)####/);
+        if (feedbackAt === -1) return this._giftAnswersToData(text, body);
+        const data = this._giftAnswersToData(text, body.slice(0, feedbackAt).trim());
+        data.explanation = unescapeGift(body.slice(feedbackAt + 4));
+        return data;
+    }
+
+    _giftAnswersToData(text, body) {
+        if (body === "") {
+            throw new Error(t("Essay questions are not supported."));
+        }
+        if (/^(T|TRUE|F|FALSE)$/i.test(body.split("#")[0].trim())) {
+            return { type: "truefalse", text, correctValue: /^T/i.test(body.trim()) };
+        }
+        if (body.startsWith("#")) {
+            const spec = body.slice(1).split(/(?<!\\)[=~#]/)[0].trim();
+            const range = spec.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+            if (range) {
+                const min = Number(range[1]);
+                const max = Number(range[2]);
+                return { type: "numeric", text, correctValue: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+            }
+            const [value, tolerance] = spec.split(":");
+            return { type: "numeric", text, correctValue: Number(value), tolerance: tolerance === undefined ? 0 : Number(tolerance) };
+        }
+        if (/(?<!\\)->/.test(body)) {
+            throw new Error(t("Matching questions are not supported."));
+        }
+
+        const answers = [];
+        const tokenRe = /([=~])((?:\\.|[^=~\\])*)/g;
+        let match;
+        while ((match = tokenRe.exec(body)) !== null) {
+            let rest = match[2];
+            let weight = null;
+            const weightMatch = rest.match(/^%(-?[\d.]+)%/);
+            if (weightMatch) {
+                weight = Number(weightMatch[1]);
+                rest = rest.slice(weightMatch[0].length);
+            }
+            // Drop per-answer feedback after an unescaped #
+            rest = rest.split(/(?<!\\)#/)[0];
+            answers.push({ marker: match[1], weight, text: unescapeGift(rest) });
+        }
+        if (answers.length === 0) {
+            throw new Error(t("Could not read any answers."));
+        }
+
+        const hasWrong = answers.some(a => a.marker === "~");
+        if (!hasWrong) {
+            return { type: "short", text, acceptedAnswers: answers.map(a => a.text), caseSensitive: false };
+        }
+        const options = answers.map(a => a.text);
+        const weighted = answers.some(a => a.weight !== null && a.marker === "~");
+        if (weighted) {
+            const correct = answers.map((a, idx) => (a.weight > 0 ? idx : -1)).filter(idx => idx !== -1);
+            return { type: "multi", text, options, correctOptionIndexes: correct };
+        }
+        const correct = answers.map((a, idx) => (a.marker === "=" ? idx : -1)).filter(idx => idx !== -1);
+        if (correct.length !== 1) {
+            throw new Error(t("Multiple choice needs exactly one =correct answer (use %weights% for several)."));
+        }
+        return { type: "single", text, options, correctOptionIndex: correct[0] };
+    }
+}
+
+// =======================
+// Item Analysis
+// =======================
+
+// Fraction of examinees in each of the upper and lower groups used for the
+// discrimination index (the classic Kelley 27%).
+const DISCRIMINATION_GROUP_SHARE = 0.27;
+const MIN_RESPONSES_FOR_FLAGS = 5;
+
+// Each revision of a question is analysed on its own, against the options
+// and key its students actually saw.
+class ItemAnalyzer {
+    constructor(results, findQuestion, getRevision) {
+        // Only results saved with per-question responses can be analysed
+        this.results = results.filter(r => Array.isArray(r.responses));
+        this.findQuestion = findQuestion; // (questionId, revision) => Question or null
+        this.getRevision = getRevision; // (result, questionId) => revision number
+    }
+
+    analyze(subjectKey = null) {
+        const items = new Map();
+        this.results
+            .filter(r => !subjectKey || r.subjectKey === subjectKey)
+            .forEach(r => {
+                r.responses.forEach(response => {
+                    const revision = this.getRevision(r, response.questionId);
+                    const key = `${response.questionId}@${revision}`;
+                    if (!items.has(key)) {
+                        items.set(key, { questionId: response.questionId, revision, responses: [] });
+                    }
+                    items.get(key).responses.push({ ...response, percentage: r.percentage });
+                });
+            });
+
+        return [...items.values()]
+            .sort((a, b) => a.questionId - b.questionId || a.revision - b.revision)
+            .map(({ questionId, revision, responses }) => this._analyzeItem(questionId, revision, responses));
+    }
+
+    _analyzeItem(questionId, revision, responses) {
+        const question = this.findQuestion(questionId, revision);
+        const answered = responses.filter(r => r.answer !== null);
+        const correctCount = responses.filter(r => r.correct).length;
+        const times = responses.map(r => r.timeSpentSeconds).filter(t => typeof t === "number");
+
+        const stats = {
+            questionId,
+            revision,
+            question,
+            responseCount: responses.length,
+            answeredCount: answered.length,
+            correctCount,
+            pCorrect: responses.length ? correctCount / responses.length : null,
+            discrimination: this._discrimination(responses),
+            avgTimeSeconds: times.length ? times.reduce((a, b) => a + b, 0) / times.length : null,
+            optionCounts: null,
+            keyIndexes: [],
+            wrongAnswers: [],
+            flags: []
+        };
+
+        if (question && question.options.length) {
+            stats.optionCounts = question.options.map(() => 0);
+            answered.forEach(r => {
+                const picks = Array.isArray(r.answer) ? r.answer : [r.answer];
+                picks.forEach(idx => {
+                    if (idx >= 0 && idx < stats.optionCounts.length) stats.optionCounts[idx]++;
+                });
+            });
+            stats.keyIndexes = question.type === "multi" ? question.correctOptionIndexes : [question.correctOptionIndex];
+        } else {
+            const wrong = {};
+            answered.filter(r => !r.correct).forEach(r => {
+                const key = String(r.answer).trim().toLowerCase();
+                wrong[key] = (wrong[key] || 0) + 1;
+            });
+            stats.wrongAnswers = Object.entries(wrong)
+                .map(([answer, count]) => ({ answer, count }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 3);
+        }
+
+        stats.flags = this._flags(stats);
+        return stats;
+    }
+
+    // Share correct among the top scorers minus share correct among the bottom
+    _discrimination(responses) {
+        const n = responses.length;
+        const groupSize = Math.floor(n * DISCRIMINATION_GROUP_SHARE);
+        if (groupSize < 1 || n < 4) return null;
+        const ranked = [...responses].sort((a, b) => b.percentage - a.percentage);
+        const share = group => group.filter(r => r.correct).length / group.length;
+        return share(ranked.slice(0, groupSize)) - share(ranked.slice(n - groupSize));
+    }
+
+    _flags(stats) {
+        const flags = [];
+        if (stats.optionCounts) {
+            const keyPicks = Math.min(...stats.keyIndexes.map(idx => stats.optionCounts[idx]));
+            const strongDistractor = stats.optionCounts.some((count, idx) => !stats.keyIndexes.includes(idx) && count > keyPicks);
+            if (strongDistractor) flags.push(t("Wrong option chosen more often than the key"));
+        }
+        if (stats.responseCount >= MIN_RESPONSES_FOR_FLAGS) {
+            if (stats.discrimination !== null && stats.discrimination < 0) flags.push(t("Negative discrimination"));
+            if (stats.pCorrect > 0.9) flags.push(t("Very easy"));
+            if (stats.pCorrect < 0.2) flags.push(t("Very hard"));
+        }
+        return flags;
+    }
+}
+
+// Starting difficulty (logits) for each teacher label, used until enough
+// students have answered a question
+const DIFFICULTY_PRIOR_LOGITS = { easy: -1, medium: 0, hard: 1 };
+// How many responses the teacher's label is worth when blended with data
+const CALIBRATION_PRIOR_WEIGHT = 5;
+
+// Estimates Rasch difficulties for adaptive quizzes from stored responses:
+// the log-odds of answering wrong, shrunk toward the teacher's difficulty
+// label while a question has few answers.
+class DifficultyCalibrator {
+    constructor(results) {
+        this.results = results.filter(r => Array.isArray(r.responses));
+    }
+
+    calibrate(questions) {
+        const tallies = {};
+        this.results.forEach(r => {
+            r.responses.filter(response => response.correct !== null).forEach(response => {
+                const tally = tallies[response.questionId] || (tallies[response.questionId] = { answered: 0, correct: 0 });
+                tally.answered++;
+                if (response.correct) tally.correct++;
+            });
+        });
+
+        const difficulties = {};
+        questions.forEach(q => {
+            const prior = DIFFICULTY_PRIOR_LOGITS[q.difficulty] ?? 0;
+            const tally = tallies[q.id];
+            if (!tally) {
+                difficulties[q.id] = prior;
+                return;
+            }
+            // +0.5 / +1 keeps all-right or all-wrong questions finite
+            const pCorrect = (tally.correct + 0.5) / (tally.answered + 1);
+            const observed = Math.log((1 - pCorrect) / pCorrect);
+            difficulties[q.id] = (tally.answered * observed + CALIBRATION_PRIOR_WEIGHT * prior) / (tally.answered + CALIBRATION_PRIOR_WEIGHT);
+        });
+        return difficulties;
+    }
+}
+
+// =======================
+// Questions Database
+// =======================
+
+const QUESTIONS_DB = {
+    c_programming: [
+        new Question(1, "Which of the following is a valid C data type?", ["number", "integer", "float", "real"], 2, "c_programming", "easy", ["data-types"]),
+        new Question(2, "Which symbol is used to terminate a statement in C?", [".", ":", ";", ","], 2, "c_programming", "easy", ["syntax"]),
+        new Question(3, "Which function is used to print output in C?", ["print()", "printf()", "cout<<", "System.out.println()"], 1, "c_programming", "easy", ["io"]),
+        new Question(4, "Which of the following is a loop structure in C?", ["repeat-until", "for", "foreach", "loop"], 1, "c_programming", "easy", ["loops"]),
+        new Question(5, "Which header file is needed for printf()?", ["<stdlib.h>", "<stdio.h>", "<conio.h>", "<math.h>"], 1, "c_programming", "medium", ["io", "headers"]),
+        new Question(16, "What is the index of the first element in a C array?", ["0", "1", "-1", "Depends on compiler"], 0, "c_programming", "easy", ["arrays"]),
+        new Question(17, "Which operator is used to access value at an address?", ["&", "*", "->", "."], 1, "c_programming", "medium", ["pointers"])
+    ],
+    oop: [
+        new Question(6, "Which is NOT an OOP concept?", ["Encapsulation", "Polymorphism", "Compilation", "Inheritance"], 2, "oop", "easy", ["concepts"]),
+        new Question(7, "Which keyword is commonly used to create an object?", ["create", "object", "new", "class"], 2, "oop", "easy", ["objects"]),
+        new Question(8, "Hiding internal details and showing only functionality is called:", ["Abstraction", "Encapsulation", "Polymorphism", "Inheritance"], 0, "oop", "medium", ["abstraction"]),
+        new Question(9, "Which OOP concept allows using the same method name with different parameters?", ["Inheritance", "Overloading", "Overriding", "Abstraction"], 1, "oop", "medium", ["polymorphism"]),
+        new Question(10, "A class is a:", ["Variable", "Function", "Blueprint", "Object"], 2, "oop", "easy", ["classes"]),
+        new Question(18, "Which of these lets a subclass provide specific implementation of a method in its superclass?", ["Overloading", "Overriding", "Hiding", "Inlining"], 1, "oop", "medium", ["polymorphism", "inheritance"])
+    ],
+    dbms: [
+        new Question(11, "What does DBMS stand for?", ["Data Backup Management System", "Database Management System", "Data Business Management System", "DataBase Managing Storage"], 1, "dbms", "easy", ["basics"]),
+        new Question(12, "Which language is used to query data from a database?", ["HTML", "CSS", "SQL", "XML"], 2, "dbms", "easy", ["sql"]),
+        new Question(13, "Which of the following is a DBMS?", ["MySQL", "PHP", "JavaScript", "HTML"], 0, "dbms", "easy", ["basics"]),
+        new Question(14, "Which SQL command is used to insert data?", ["ADD", "INSERT", "APPEND", "UPDATE"], 1, "dbms", "medium", ["sql"]),
+        new Question(15, "Primary key is:", ["A key that can be null", "A key that uniquely identifies a record", "A key that is always 0", "A duplicate key"], 1, "dbms", "medium", ["keys"])
+    ],
+    java_basics: [
+        new Question(19, "Which keyword is used to inherit a class in Java?", ["implement", "extends", "inherits", "super"], 1, "java_basics", "medium", ["inheritance"]),
+        new Question(20, "Which method is the entry point of a Java program?", ["init()", "start()", "main()", "run()"], 2, "java_basics", "easy", ["basics"]),
+        new Question(21, "Which of these is not a Java primitive type?", ["int", "String", "double", "char"], 1, "java_basics", "medium", ["data-types"])
+    ]
+};
+
+const DEFAULT_SUBJECTS = [
+    { key: "c_programming", label: "C Programming" },
+    { key: "oop", label: "Object Oriented Programming" },
+    { key: "dbms", label: "Database Management System" },
+    { key: "java_basics", label: "Java Basics" }
+];
+
+// =======================
+// Translations
+// =======================
+
+// Bangla UI messages, keyed by the English text used in the code and page
+const BN_MESSAGES = {
+    "Question text is required.": "প্রশ্নের লেখা আবশ্যক।",
+    "Points must be a positive number.": "নম্বর অবশ্যই একটি ধনাত্মক সংখ্যা হতে হবে।",
+    "Difficulty must be one of: {difficulties}.": "কঠিনতা অবশ্যই এগুলোর একটি হতে হবে: {difficulties}।",
+    "Tags must be non-empty words.": "ট্যাগ অবশ্যই খালি নয় এমন শব্দ হতে হবে।",
+    "Translations must be a map of language codes to translated text.": "অনুবাদ অবশ্যই ভাষার কোড থেকে অনূদিত লেখার একটি তালিকা হতে হবে।",
+    "Unknown translation language \"{locale}\".": "অজানা অনুবাদের ভাষা \"{locale}\"।",
+    "The {language} translation needs the question text.": "{language} অনুবাদে প্রশ্নের লেখা থাকতে হবে।",
+    "The {language} translation must give one option for each of the {count} options, in the same order.": "{language} অনুবাদে {count}টি অপশনের প্রতিটির জন্য একটি করে অপশন একই ক্রমে দিতে হবে।",
+    "Translated accepted answers are only for short answer questions and cannot be empty.": "অনূদিত গ্রহণযোগ্য উত্তর শুধু সংক্ষিপ্ত উত্তরের প্রশ্নের জন্য এবং সেগুলো খালি হতে পারবে না।",
+    "Explanation, hint and reference must be text.": "ব্যাখ্যা, ইঙ্গিত ও তথ্যসূত্র অবশ্যই লেখা হতে হবে।",
+    "The reference link must be an http:// or https:// address.": "তথ্যসূত্রের লিংক অবশ্যই একটি http:// বা https:// ঠিকানা হতে হবে।",
+    "The {language} translation of the explanation and hint must be text.": "ব্যাখ্যা ও ইঙ্গিতের {language} অনুবাদ অবশ্যই লেখা হতে হবে।",
+    "Images must be a map of names to image data.": "ছবিগুলো অবশ্যই নাম থেকে ছবির ডেটার একটি তালিকা হতে হবে।",
+    "Image name \"{name}\" may only contain letters, digits, \".\", \"-\" and \"_\".": "ছবির নাম \"{name}\"-এ শুধু অক্ষর, অঙ্ক, \".\", \"-\" এবং \"_\" থাকতে পারে।",
+    "Image \"{name}\" must be a PNG, JPEG, GIF or WebP data URL.": "ছবি \"{name}\" অবশ্যই PNG, JPEG, GIF বা WebP data URL হতে হবে।",
+    "Image \"{name}\" is too large (limit {limit} KB once encoded).": "ছবি \"{name}\" খুব বড় (এনকোড করার পর সীমা {limit} KB)।",
+    "Image \"{name}\" is used in the question but not attached.": "ছবি \"{name}\" প্রশ্নে ব্যবহার করা হয়েছে কিন্তু সংযুক্ত করা হয়নি।",
+    "At least two options are required.": "অন্তত দুটি অপশন প্রয়োজন।",
+    "Options cannot be empty.": "অপশন খালি রাখা যাবে না।",
+    "Correct option must be between 1 and {count}.": "সঠিক অপশন অবশ্যই ১ থেকে {count}-এর মধ্যে হতে হবে।",
+    "Unknown question type \"{type}\".": "অজানা প্রশ্নের ধরন \"{type}\"।",
+    "Mark at least one correct option.": "অন্তত একটি সঠিক অপশন চিহ্নিত করুন।",
+    "Each correct option can only be marked once.": "প্রতিটি সঠিক অপশন কেবল একবার চিহ্নিত করা যায়।",
+    "Select all that apply.": "প্রযোজ্য সবগুলো বেছে নিন।",
+    "Choose whether the statement is true or false.": "বাক্যটি সত্য না মিথ্যা তা বেছে নিন।",
+    "Correct value must be a number.": "সঠিক মান অবশ্যই একটি সংখ্যা হতে হবে।",
+    "Tolerance must be zero or a positive number.": "সহনসীমা অবশ্যই শূন্য বা একটি ধনাত্মক সংখ্যা হতে হবে।",
+    "Enter a number": "একটি সংখ্যা লিখুন",
+    "Enter at least one accepted answer.": "অন্তত একটি গ্রহণযোগ্য উত্তর লিখুন।",
+    "Accepted answers must be a list of text.": "গ্রহণযোগ্য উত্তরগুলো লেখার তালিকা হতে হবে।",
+    "Type your answer": "আপনার উত্তর লিখুন",
+    "Points per question must be a positive number.": "প্রতি প্রশ্নের নম্বর অবশ্যই একটি ধনাত্মক সংখ্যা হতে হবে।",
+    "Wrong-answer penalty must be between 0 and 1.": "ভুল উত্তরের জরিমানা অবশ্যই ০ থেকে ১-এর মধ্যে হতে হবে।",
+    "Hint penalty must be between 0 and 1.": "ইঙ্গিতের জরিমানা অবশ্যই ০ থেকে ১-এর মধ্যে হতে হবে।",
+    "The grade scale needs at least one grade.": "গ্রেড স্কেলে অন্তত একটি গ্রেড থাকতে হবে।",
+    "Each grade needs a name and a minimum percentage between 0 and 100.": "প্রতিটি গ্রেডের একটি নাম এবং ০ থেকে ১০০-এর মধ্যে একটি ন্যূনতম শতাংশ থাকতে হবে।",
+    "Grade scale line \"{line}\" should look like \"80=A+\".": "গ্রেড স্কেলের লাইন \"{line}\" দেখতে \"80=A+\"-এর মতো হওয়া উচিত।",
+    "Untimed": "সময়সীমাহীন",
+    "Time over": "সময় শেষ",
+    "Completed within time": "সময়ের মধ্যে সম্পন্ন",
+    "Subject key and label are required.": "বিষয়ের কী এবং নাম আবশ্যক।",
+    "Username must be 3–32 letters, digits, dots, dashes or underscores.": "ইউজারনেম অবশ্যই ৩–৩২টি অক্ষর, অঙ্ক, ডট, ড্যাশ বা আন্ডারস্কোর হতে হবে।",
+    "Display name is required.": "প্রদর্শিত নাম আবশ্যক।",
+    "Username \"{username}\" is already taken.": "ইউজারনেম \"{username}\" ইতিমধ্যে নেওয়া হয়েছে।",
+    "Password must be at least 8 characters.": "পাসওয়ার্ড অন্তত ৮ অক্ষরের হতে হবে।",
+    "Setup has already been completed.": "প্রাথমিক সেটআপ আগেই সম্পন্ন হয়েছে।",
+    "Only an administrator can create teacher accounts.": "শুধু একজন অ্যাডমিনিস্ট্রেটর শিক্ষক অ্যাকাউন্ট তৈরি করতে পারেন।",
+    "Invalid teacher credentials.": "শিক্ষকের লগইন তথ্য সঠিক নয়।",
+    "Current password is incorrect.": "বর্তমান পাসওয়ার্ড সঠিক নয়।",
+    "Enter a title for the assessment.": "মূল্যায়নের একটি শিরোনাম লিখুন।",
+    "Time limit must be a whole number of seconds greater than 0.": "সময়সীমা অবশ্যই ০-এর চেয়ে বড় পূর্ণসংখ্যা সেকেন্ড হতে হবে।",
+    "Number of questions must be a whole number greater than 0.": "প্রশ্নের সংখ্যা অবশ্যই ০-এর চেয়ে বড় পূর্ণসংখ্যা হতে হবে।",
+    "The closing time must be after the opening time.": "বন্ধের সময় অবশ্যই খোলার সময়ের পরে হতে হবে।",
+    "Max attempts must be 0 (unlimited) or a positive whole number.": "সর্বোচ্চ চেষ্টা অবশ্যই ০ (সীমাহীন) বা একটি ধনাত্মক পূর্ণসংখ্যা হতে হবে।",
+    "Violations before auto-submit must be 0 (never) or a positive whole number.": "স্বয়ংক্রিয় জমার আগে লঙ্ঘনের সংখ্যা অবশ্যই ০ (কখনো না) বা একটি ধনাত্মক পূর্ণসংখ্যা হতে হবে।",
+    "Time per question must be blank or a whole number of at least 5 seconds.": "প্রতি প্রশ্নের সময় অবশ্যই খালি বা অন্তত ৫ সেকেন্ডের একটি পূর্ণসংখ্যা হতে হবে।",
+    "The section time limits add up to {total}s, more than the {limit}s time limit.": "অংশগুলোর সময়সীমা মিলিয়ে {total} সেকেন্ড, যা {limit} সেকেন্ডের সময়সীমার চেয়ে বেশি।",
+    "Timer warnings must be whole numbers of seconds greater than 0.": "টাইমার সতর্কতা অবশ্যই ০-এর চেয়ে বড় পূর্ণসংখ্যা সেকেন্ড হতে হবে।",
+    "Assessment not found.": "মূল্যায়ন পাওয়া যায়নি।",
+    "This assessment is not assigned to you.": "এই মূল্যায়ন আপনাকে দেওয়া হয়নি।",
+    "\"{title}\" opens at {time}.": "\"{title}\" খুলবে {time}-এ।",
+    "\"{title}\" closed at {time}.": "\"{title}\" বন্ধ হয়েছে {time}-এ।",
+    "You have used all {count} attempt(s) for \"{title}\".": "আপনি \"{title}\"-এর সব {count}টি চেষ্টা ব্যবহার করে ফেলেছেন।",
+    "Saved in this browser only.": "শুধু এই ব্রাউজারে সংরক্ষিত।",
+    "Server answered {status}.": "সার্ভার উত্তর দিয়েছে {status}।",
+    "The quiz server could not be reached.": "কুইজ সার্ভারে পৌঁছানো যায়নি।",
+    "{url} is not a quiz server.": "{url} কোনো কুইজ সার্ভার নয়।",
+    "{count} change(s) waiting to be sent.": "{count}টি পরিবর্তন পাঠানোর অপেক্ষায়।",
+    "Quiz server at {url} is unreachable; working from this browser's copy.": "{url}-এর কুইজ সার্ভারে পৌঁছানো যাচ্ছে না; এই ব্রাউজারের কপি থেকে কাজ চলছে।",
+    "Quiz server at {url}: {error}": "{url}-এর কুইজ সার্ভার: {error}",
+    "Last synced {time}.": "সর্বশেষ সিঙ্ক {time}।",
+    "Shared through the quiz server at {url}.": "{url}-এর কুইজ সার্ভারের মাধ্যমে শেয়ার করা হচ্ছে।",
+    "Without the teacher token this device can only hand in results.": "শিক্ষকের টোকেন ছাড়া এই ডিভাইস থেকে শুধু ফলাফল জমা দেওয়া যায়।",
+    "Enter the teacher token of the quiz server under Shared Storage before changing shared data on this device.": "এই ডিভাইসে শেয়ার করা ডেটা বদলানোর আগে শেয়ার করা স্টোরেজে কুইজ সার্ভারের শিক্ষক টোকেন লিখুন।",
+    "The question bank was changed on another device, so this change was not shared. This browser's version was kept as a backup; sync to load the shared bank.": "প্রশ্নব্যাংকটি অন্য একটি ডিভাইসে বদলানো হয়েছে, তাই এই পরিবর্তন শেয়ার হয়নি। এই ব্রাউজারের সংস্করণটি ব্যাকআপ হিসেবে রাখা হয়েছে; শেয়ার করা ব্যাংক আনতে সিঙ্ক করুন।",
+    "Saved question bank (v{version}) is newer than this app supports (v{supported}).": "সংরক্ষিত প্রশ্নব্যাংক (v{version}) এই অ্যাপের সমর্থিত সংস্করণের (v{supported}) চেয়ে নতুন।",
+    "No migration for question bank v{version}.": "প্রশ্নব্যাংক v{version}-এর জন্য কোনো মাইগ্রেশন নেই।",
+    "A blueprint needs at least one rule.": "ব্লুপ্রিন্টে অন্তত একটি নিয়ম থাকতে হবে।",
+    "\"{rule}\": the count must be a whole number greater than 0.": "\"{rule}\": সংখ্যাটি অবশ্যই ০-এর চেয়ে বড় পূর্ণসংখ্যা হতে হবে।",
+    "Unknown difficulty \"{difficulty}\".": "অজানা কঠিনতা \"{difficulty}\"।",
+    "Blueprint rule \"{rule}\" must start with a number of questions.": "ব্লুপ্রিন্টের নিয়ম \"{rule}\" অবশ্যই প্রশ্নের সংখ্যা দিয়ে শুরু হতে হবে।",
+    "A section plan needs at least one section.": "অংশ পরিকল্পনায় অন্তত একটি অংশ থাকতে হবে।",
+    "Section \"{title}\": the number of questions must be a whole number greater than 0.": "অংশ \"{title}\": প্রশ্নের সংখ্যা অবশ্যই ০-এর চেয়ে বড় পূর্ণসংখ্যা হতে হবে।",
+    "Section \"{title}\": the time limit must be at least 5 seconds.": "অংশ \"{title}\": সময়সীমা অন্তত ৫ সেকেন্ড হতে হবে।",
+    "The sections cover {count} question(s) but the quiz has {total}.": "অংশগুলোতে {count}টি প্রশ্ন আছে কিন্তু কুইজে আছে {total}টি।",
+    "Section \"{line}\" must look like \"Warm-up: 5 questions in 120s\".": "অংশ \"{line}\" দেখতে \"Warm-up: 5 questions in 120s\"-এর মতো হতে হবে।",
+    "No questions available for this subject.": "এই বিষয়ে কোনো প্রশ্ন নেই।",
+    "The question bank could not be saved because the browser's storage is full. Remove unused images or questions, or export and delete old subjects, then try again.": "ব্রাউজারের স্টোরেজ ভরে যাওয়ায় প্রশ্নব্যাংক সংরক্ষণ করা যায়নি। অপ্রয়োজনীয় ছবি বা প্রশ্ন মুছুন, অথবা পুরোনো বিষয় এক্সপোর্ট করে মুছে আবার চেষ্টা করুন।",
+    "{subject} has only {available} question(s), fewer than the {count} asked for.": "{subject}-এ মাত্র {available}টি প্রশ্ন আছে, চাওয়া {count}টির চেয়ে কম।",
+    "None of the questions in this assessment exist any more.": "এই মূল্যায়নের কোনো প্রশ্ন আর নেই।",
+    "Question #{id} cannot be deleted because these assessments could no longer be started: {details}": "প্রশ্ন #{id} মোছা যাবে না, কারণ তাহলে এই মূল্যায়নগুলো আর শুরু করা যাবে না: {details}",
+    "\"{label}\" cannot be deleted because these assessments could no longer be started: {details}": "\"{label}\" মোছা যাবে না, কারণ তাহলে এই মূল্যায়নগুলো আর শুরু করা যাবে না: {details}",
+    "{rule} (short by {missing}; {matching} matching in the pool)": "{rule} ({missing}টি কম; পুলে {matching}টি মেলে)",
+    "The {subject} question pool cannot fill this blueprint: {details}.": "{subject}-এর প্রশ্ন পুল দিয়ে এই ব্লুপ্রিন্ট পূরণ করা যাচ্ছে না: {details}।",
+    "Nothing is due for review in this subject right now.": "এই বিষয়ে এখন রিভিউ করার মতো কিছু নেই।",
+    "A subject with key \"{key}\" already exists.": "\"{key}\" কী-সহ একটি বিষয় ইতিমধ্যে আছে।",
+    "Image \"{name}\" must be written as name=data URL.": "ছবি \"{name}\" অবশ্যই name=data URL আকারে লিখতে হবে।",
+    "No subject given; choose a subject to import into.": "কোনো বিষয় দেওয়া হয়নি; কোন বিষয়ে ইমপোর্ট হবে তা বেছে নিন।",
+    "This subject belongs to another teacher.": "এই বিষয়টি অন্য একজন শিক্ষকের।",
+    "File is not valid JSON: {error}": "ফাইলটি বৈধ JSON নয়: {error}",
+    "JSON file has no \"questions\" list.": "JSON ফাইলে কোনো \"questions\" তালিকা নেই।",
+    "Not a question object.": "এটি কোনো প্রশ্ন অবজেক্ট নয়।",
+    "CSV file is empty.": "CSV ফাইলটি খালি।",
+    "CSV header must include a \"question\" column (expected: {columns}).": "CSV হেডারে অবশ্যই একটি \"question\" কলাম থাকতে হবে (প্রত্যাশিত: {columns})।",
+    "line {number}": "লাইন {number}",
+    "Answer \"{value}\" is not an option number.": "উত্তর \"{value}\" কোনো অপশন নম্বর নয়।",
+    "True/false answer must be \"true\" or \"false\".": "সত্য/মিথ্যা উত্তর অবশ্যই \"true\" বা \"false\" হতে হবে।",
+    "Missing {answer} block.": "{answer} ব্লক নেই।",
+    "Essay questions are not supported.": "রচনামূলক প্রশ্ন সমর্থিত নয়।",
+    "Matching questions are not supported.": "মিলকরণ প্রশ্ন সমর্থিত নয়।",
+    "Could not read any answers.": "কোনো উত্তর পড়া যায়নি।",
+    "Multiple choice needs exactly one =correct answer (use %weights% for several).": "বহুনির্বাচনী প্রশ্নে ঠিক একটি =সঠিক উত্তর লাগবে (একাধিকের জন্য %weights% ব্যবহার করুন)।",
+    "Wrong option chosen more often than the key": "সঠিক উত্তরের চেয়ে ভুল অপশন বেশি বেছে নেওয়া হয়েছে",
+    "Negative discrimination": "ঋণাত্মক পৃথকীকরণ",
+    "Very easy": "খুব সহজ",
+    "Very hard": "খুব কঠিন",
+    "The built-in questions are loaded instead and changes will not be saved.": "এর বদলে বিল্ট-ইন প্রশ্নগুলো লোড করা হয়েছে এবং পরিবর্তন সংরক্ষিত হবে না।",
+    "Not logged in": "লগইন করা হয়নি",
+    "Logged in as Teacher: {name}": "শিক্ষক হিসেবে লগইন: {name}",
+    "Logged in as Student: {name} ({id})": "শিক্ষার্থী হিসেবে লগইন: {name} ({id})",
+    "All subjects": "সব বিষয়",
+    "Subjects named in the file": "ফাইলে উল্লিখিত বিষয়",
+    "Your teacher session has expired. Please log in again.": "আপনার শিক্ষক সেশনের মেয়াদ শেষ হয়েছে। অনুগ্রহ করে আবার লগইন করুন।",
+    "Signed in as {name} ({username})": "{name} ({username}) হিসেবে সাইন ইন",
+    "Administrator": "অ্যাডমিনিস্ট্রেটর",
+    "Admin": "অ্যাডমিন",
+    "Correct answer": "সঠিক উত্তর",
+    "Remove option": "অপশন সরান",
+    "A question needs at least two options.": "একটি প্রশ্নে অন্তত দুটি অপশন লাগবে।",
+    "Option {number}": "অপশন {number}",
+    "Remove image": "ছবি সরান",
+    "Please choose a PNG, JPEG, GIF or WebP image.": "অনুগ্রহ করে একটি PNG, JPEG, GIF বা WebP ছবি বেছে নিন।",
+    "This image is {size} KB; the limit is {limit} KB. Please resize it first.": "এই ছবিটি {size} KB; সীমা {limit} KB। অনুগ্রহ করে আগে এর আকার ছোট করুন।",
+    "Could not read the image file.": "ছবির ফাইলটি পড়া যায়নি।",
+    "Please enter a valid custom time (minimum 10 seconds).": "অনুগ্রহ করে একটি বৈধ কাস্টম সময় লিখুন (ন্যূনতম ১০ সেকেন্ড)।",
+    "Question {number} (adaptive, up to {max})": "প্রশ্ন {number} (অভিযোজিত, সর্বোচ্চ {max})",
+    "Question {number}/{total}": "প্রশ্ন {number}/{total}",
+    "Remove Flag": "চিহ্ন সরান",
+    "Flag for Review": "পরে দেখার জন্য চিহ্নিত করুন",
+    "Hint": "ইঙ্গিত",
+    "Explanation": "ব্যাখ্যা",
+    "Reference:": "তথ্যসূত্র:",
+    "Using the hint takes {percent}% off the points you earn for this question. Show it?": "ইঙ্গিত দেখলে এই প্রশ্নে আপনার পাওয়া নম্বর থেকে {percent}% কাটা যাবে। দেখাবেন?",
+    "answered": "উত্তর দেওয়া",
+    "unanswered": "উত্তর দেওয়া হয়নি",
+    "Question {number}: {state}, flagged for review": "প্রশ্ন {number}: {state}, পরে দেখার জন্য চিহ্নিত",
+    "Question {number}: {state}": "প্রশ্ন {number}: {state}",
+    "Notice": "বিজ্ঞপ্তি",
+    "Please Confirm": "অনুগ্রহ করে নিশ্চিত করুন",
+    "Please Enter": "অনুগ্রহ করে লিখুন",
+    "{answered} of {total} questions answered, {flagged} flagged for review.": "{total}টি প্রশ্নের মধ্যে {answered}টির উত্তর দেওয়া হয়েছে, {flagged}টি পরে দেখার জন্য চিহ্নিত।",
+    "Section {number}/{total}: {title}": "অংশ {number}/{total}: {title}",
+    "Time left: {clock}": "বাকি সময়: {clock}",
+    "Time is over! Your quiz will be submitted automatically.": "সময় শেষ! আপনার কুইজ স্বয়ংক্রিয়ভাবে জমা দেওয়া হবে।",
+    "Time is up {where}, and it was the last one. Your quiz will be submitted automatically.": "{where} সময় শেষ, এবং এটিই ছিল শেষটি। আপনার কুইজ স্বয়ংক্রিয়ভাবে জমা দেওয়া হবে।",
+    "Time is up for this section. Moving on to the next section.": "এই অংশের সময় শেষ। পরের অংশে যাওয়া হচ্ছে।",
+    "Time is up for this question. Moving on.": "এই প্রশ্নের সময় শেষ। সামনে যাওয়া হচ্ছে।",
+    "This assessment is monitored. Switching tabs or windows, copying, pasting and right-clicking are recorded.": "এই মূল্যায়ন পর্যবেক্ষণ করা হচ্ছে। ট্যাব বা উইন্ডো বদলানো, কপি, পেস্ট এবং রাইট-ক্লিক রেকর্ড করা হয়।",
+    "{event} – this has been recorded.": "{event} – এটি রেকর্ড করা হয়েছে।",
+    "Violations: {count} of {max} allowed before automatic submission.": "লঙ্ঘন: {count}, স্বয়ংক্রিয় জমার আগে {max}টি পর্যন্ত অনুমোদিত।",
+    "Violations: {count}.": "লঙ্ঘন: {count}।",
+    "This assessment must be taken in fullscreen.": "এই মূল্যায়ন অবশ্যই ফুলস্ক্রিনে দিতে হবে।",
+    "{event}. You have reached {max} integrity violation(s), so your assessment will be submitted automatically.": "{event}। আপনি {max}টি লঙ্ঘনে পৌঁছেছেন, তাই আপনার মূল্যায়ন স্বয়ংক্রিয়ভাবে জমা দেওয়া হবে।",
+    "Untimed review": "সময়সীমাহীন রিভিউ",
+    "Time limit: {seconds}s": "সময়সীমা: {seconds} সেকেন্ড",
+    "{seconds}s per question": "প্রতি প্রশ্নে {seconds} সেকেন্ড",
+    "Student: {name} ({id})": "শিক্ষার্থী: {name} ({id})",
+    "assessment": "মূল্যায়ন",
+    "review session": "রিভিউ সেশন",
+    "quiz": "কুইজ",
+    "untimed": "সময়সীমাহীন",
+    "{seconds}s left": "{seconds} সেকেন্ড বাকি",
+    "Your unfinished {subject} quiz ran out of time while you were away. It will be submitted with the {count} answer(s) you gave.": "আপনার অসমাপ্ত {subject} কুইজের সময় আপনি দূরে থাকাকালীন শেষ হয়ে গেছে। আপনার দেওয়া {count}টি উত্তর নিয়ে এটি জমা দেওয়া হবে।",
+    "You have an unfinished {subject} {kind} ({answered}/{total} answered, {timeLeft}). Resume it now?": "আপনার একটি অসমাপ্ত {subject} {kind} আছে ({answered}/{total} উত্তর দেওয়া, {timeLeft})। এখন আবার শুরু করবেন?",
+    "Cancel submits it with the answers given so far.": "বাতিল করলে এখন পর্যন্ত দেওয়া উত্তর নিয়ে এটি জমা হবে।",
+    "{due} due, {fresh} new": "{due}টি বাকি, {fresh}টি নতুন",
+    "next review {time}": "পরের রিভিউ {time}",
+    "Review": "রিভিউ",
+    "Correct!": "সঠিক!",
+    "Not quite. Correct answer:": "পুরোপুরি ঠিক নয়। সঠিক উত্তর:",
+    "Answer Review – Attempt #{number} ({subject}, {time})": "উত্তর পর্যালোচনা – চেষ্টা #{number} ({subject}, {time})",
+    "No attempts to plot yet.": "দেখানোর মতো কোনো চেষ্টা এখনো নেই।",
+    "Percentage per attempt over time": "সময়ের সাথে প্রতি চেষ্টার শতাংশ",
+    "Opens {time}": "খুলবে {time}",
+    "Closed {time}": "বন্ধ হয়েছে {time}",
+    "Open until {time}": "খোলা থাকবে {time} পর্যন্ত",
+    "Open": "খোলা",
+    "{count} timed section(s)": "{count}টি সময়বদ্ধ অংশ",
+    "Monitored, fullscreen": "পর্যবেক্ষিত, ফুলস্ক্রিন",
+    "Monitored": "পর্যবেক্ষিত",
+    "auto-submits after {count} violation(s)": "{count}টি লঙ্ঘনের পর স্বয়ংক্রিয় জমা",
+    "unlimited attempts": "সীমাহীন চেষ্টা",
+    "{count} attempt(s)": "{count}টি চেষ্টা",
+    "Attempts used: {used}": "ব্যবহৃত চেষ্টা: {used}",
+    "Counted ({policy})": "গণ্য ({policy})",
+    "No attempts left": "আর কোনো চেষ্টা বাকি নেই",
+    "Start": "শুরু করুন",
+    "This assessment no longer exists.": "এই মূল্যায়নটি আর নেই।",
+    "Review Again": "আবার রিভিউ করুন",
+    "Retry Same Subject": "একই বিষয়ে আবার চেষ্টা করুন",
+    "Assessment Closed": "মূল্যায়ন বন্ধ",
+    "No Attempts Left": "আর কোনো চেষ্টা বাকি নেই",
+    "Start Another Attempt": "আরেকটি চেষ্টা শুরু করুন",
+    "Start Another Attempt ({count} left)": "আরেকটি চেষ্টা শুরু করুন ({count}টি বাকি)",
+    "This subject has no questions yet.": "এই বিষয়ে এখনো কোনো প্রশ্ন নেই।",
+    "Pool: {difficulties}": "পুল: {difficulties}",
+    "Tags: {tags}": "ট্যাগ: {tags}",
+    "none yet": "এখনো নেই",
+    "Edit {id}": "{id} সম্পাদনা",
+    "New Assessment": "নতুন মূল্যায়ন",
+    "Save Changes": "পরিবর্তন সংরক্ষণ করুন",
+    "Publish Assessment": "মূল্যায়ন প্রকাশ করুন",
+    "Tick at least one question for a fixed question set.": "নির্দিষ্ট প্রশ্নসেটের জন্য অন্তত একটি প্রশ্নে টিক দিন।",
+    "blueprint: {rules}": "ব্লুপ্রিন্ট: {rules}",
+    "{count} fixed question(s)": "{count}টি নির্দিষ্ট প্রশ্ন",
+    "{count} random question(s)": "{count}টি এলোমেলো প্রশ্ন",
+    "all": "সব",
+    "{policy} counts": "{policy} গণ্য হয়",
+    "own scoring policy": "নিজস্ব নম্বর দেওয়ার নিয়ম",
+    "{count} assigned student(s)": "{count} জন নির্ধারিত শিক্ষার্থী",
+    "all students": "সব শিক্ষার্থী",
+    "{count} submitted": "{count} জন জমা দিয়েছে",
+    "Edit": "সম্পাদনা",
+    "Delete": "মুছুন",
+    "Only teachers can delete assessments.": "শুধু শিক্ষকেরা মূল্যায়ন মুছতে পারেন।",
+    "Delete \"{title}\"? Stored results are kept, but students can no longer start it.": "\"{title}\" মুছবেন? সংরক্ষিত ফলাফল থাকবে, কিন্তু শিক্ষার্থীরা আর এটি শুরু করতে পারবে না।",
+    "OK": "ঠিক আছে",
+    "{valid} question(s) ready to import, {errors} row(s) with errors will be skipped.": "{valid}টি প্রশ্ন ইমপোর্টের জন্য প্রস্তুত, ত্রুটিযুক্ত {errors}টি সারি বাদ দেওয়া হবে।",
+    "You did not answer.": "আপনি উত্তর দেননি।",
+    "Your answer:": "আপনার উত্তর:",
+    "Correct answer:": "সঠিক উত্তর:",
+    "Time: {seconds}s": "সময়: {seconds} সেকেন্ড",
+    "Hint used": "ইঙ্গিত ব্যবহৃত",
+    "(time ran out)": "(সময় শেষ হয়ে গিয়েছিল)",
+    "Results from every device connected to the quiz server are collected here. Only teachers can see them.": "কুইজ সার্ভারে যুক্ত প্রতিটি ডিভাইসের ফলাফল এখানে জমা হয়। শুধু শিক্ষকেরা এগুলো দেখতে পারেন।",
+    "These results are stored locally in this browser (demo mode). Only teachers can see them.": "এই ফলাফলগুলো শুধু এই ব্রাউজারে সংরক্ষিত (ডেমো মোড)। শুধু শিক্ষকেরা এগুলো দেখতে পারেন।",
+    "The questions already loaded are kept.": "ইতিমধ্যে লোড হওয়া প্রশ্নগুলো রাখা হয়েছে।",
+    "Offline": "অফলাইন",
+    "Quizzes keep working; everything is saved in this browser.": "কুইজ চলতে থাকবে; সবকিছু এই ব্রাউজারে সংরক্ষিত হচ্ছে।",
+    "{count} queued": "{count}টি অপেক্ষমাণ",
+    "Student Name": "শিক্ষার্থীর নাম",
+    "Student ID": "শিক্ষার্থী আইডি",
+    "Average (%)": "গড় (%)",
+    "{name} (ID: {id})": "{name} (আইডি: {id})",
+    "{used} seconds (limit: {limit}s)": "{used} সেকেন্ড (সীমা: {limit} সেকেন্ড)",
+    "{count} violation(s)": "{count}টি লঙ্ঘন",
+    "Not monitored": "পর্যবেক্ষণ করা হয়নি",
+    "Report generated {time}": "রিপোর্ট তৈরি হয়েছে {time}",
+    "Question #{id} is no longer in the question bank.": "প্রশ্ন #{id} আর প্রশ্নব্যাংকে নেই।",
+    "No answer given.": "কোনো উত্তর দেওয়া হয়নি।",
+    "Typed answer: {answer}": "লেখা উত্তর: {answer}",
+    "{count} question(s) analysed from {attempts} attempt(s) with recorded responses; {flagged} flagged.": "রেকর্ড করা উত্তরসহ {attempts}টি চেষ্টা থেকে {count}টি প্রশ্ন বিশ্লেষণ করা হয়েছে; {flagged}টি চিহ্নিত।",
+    "No attempts with recorded responses yet.": "রেকর্ড করা উত্তরসহ কোনো চেষ্টা এখনো নেই।",
+    "(key)": "(সঠিক উত্তর)",
+    "(no longer in the bank)": "(আর ব্যাংকে নেই)",
+    "Page {page} of {count}": "পৃষ্ঠা {page} / {count}",
+    "Only teachers can annotate results.": "শুধু শিক্ষকেরা ফলাফলে নোট যোগ করতে পারেন।",
+    "You can only annotate results for subjects you own.": "আপনি শুধু নিজের বিষয়ের ফলাফলে নোট যোগ করতে পারেন।",
+    "Note for {name}'s {subject} result (leave empty to remove):": "{name}-এর {subject} ফলাফলের জন্য নোট (মুছে ফেলতে খালি রাখুন):",
+    "Only teachers can delete results.": "শুধু শিক্ষকেরা ফলাফল মুছতে পারেন।",
+    "You can only delete results for subjects you own.": "আপনি শুধু নিজের বিষয়ের ফলাফল মুছতে পারেন।",
+    "Delete {name}'s {subject} result from {time}? This cannot be undone.": "{time}-এর {name}-এর {subject} ফলাফল মুছবেন? এটি আর ফেরানো যাবে না।",
+    "question {number}": "প্রশ্ন {number}",
+    "Showing {count} of {total} result(s)": "{total}টি ফলাফলের মধ্যে {count}টি দেখানো হচ্ছে",
+    "Report": "রিপোর্ট",
+    "Printable report (use \"Save as PDF\" in the print dialog)": "প্রিন্টযোগ্য রিপোর্ট (প্রিন্ট ডায়ালগে \"Save as PDF\" ব্যবহার করুন)",
+    "Note": "নোট",
+    "Add or edit a note on this result": "এই ফলাফলে নোট যোগ বা সম্পাদনা করুন",
+    "Delete this result": "এই ফলাফল মুছুন",
+    "{students} student(s) across {subjects} subject(s)": "{subjects}টি বিষয়ে {students} জন শিক্ষার্থী",
+    "Average": "গড়",
+    "Name: {name} (ID: {id})": "নাম: {name} (আইডি: {id})",
+    "{used} seconds (untimed)": "{used} সেকেন্ড (সময়সীমাহীন)",
+    "Please enter both name and student ID.": "অনুগ্রহ করে নাম এবং শিক্ষার্থী আইডি দুটোই লিখুন।",
+    "Please enter your username and password.": "অনুগ্রহ করে আপনার ইউজারনেম ও পাসওয়ার্ড লিখুন।",
+    "Enter the quiz server address, e.g. http://192.168.1.10:3000.": "কুইজ সার্ভারের ঠিকানা লিখুন, যেমন http://192.168.1.10:3000।",
+    "Connected to the quiz server at {url}.": "{url}-এর কুইজ সার্ভারে সংযুক্ত হয়েছে।",
+    "Could not connect: {error}": "সংযোগ করা যায়নি: {error}",
+    "The quiz server did not accept this teacher token.": "কুইজ সার্ভার এই শিক্ষক টোকেন গ্রহণ করেনি।",
+    "Could not sync: {error}": "সিঙ্ক করা যায়নি: {error}",
+    "Could not load the latest changes from the quiz server ({error}). Save from this device's copy anyway?": "কুইজ সার্ভার থেকে সর্বশেষ পরিবর্তনগুলো আনা যায়নি ({error})। তবুও এই ডিভাইসের কপি থেকে সংরক্ষণ করবেন?",
+    "This browser is not connected to a quiz server.": "এই ব্রাউজার কোনো কুইজ সার্ভারে সংযুক্ত নয়।",
+    "Stop using the quiz server on this device? Everything synced so far stays in this browser, but new results will no longer be shared.": "এই ডিভাইসে কুইজ সার্ভার ব্যবহার বন্ধ করবেন? এ পর্যন্ত সিঙ্ক হওয়া সবকিছু এই ব্রাউজারে থাকবে, কিন্তু নতুন ফলাফল আর শেয়ার হবে না।",
+    "Passwords do not match.": "পাসওয়ার্ড মেলেনি।",
+    "Please login as a student first.": "অনুগ্রহ করে আগে শিক্ষার্থী হিসেবে লগইন করুন।",
+    "Please answer this question first. Adaptive quizzes choose the next question from your answer.": "অনুগ্রহ করে আগে এই প্রশ্নের উত্তর দিন। অভিযোজিত কুইজ আপনার উত্তর দেখে পরের প্রশ্ন বেছে নেয়।",
+    "That is enough questions to estimate your level. Your quiz will now be submitted.": "আপনার স্তর নির্ণয়ের জন্য যথেষ্ট প্রশ্ন হয়েছে। আপনার কুইজ এখন জমা দেওয়া হবে।",
+    "Move on to the next section? \"{title}\" will be closed and you cannot come back to it.": "পরের অংশে যাবেন? \"{title}\" বন্ধ হয়ে যাবে এবং আপনি আর এতে ফিরতে পারবেন না।",
+    "Please answer the question first.": "অনুগ্রহ করে আগে প্রশ্নের উত্তর দিন।",
+    "Only teachers can add subjects.": "শুধু শিক্ষকেরা বিষয় যোগ করতে পারেন।",
+    "Please enter both subject key and label.": "অনুগ্রহ করে বিষয়ের কী এবং নাম দুটোই লিখুন।",
+    "Subject added successfully.": "বিষয় সফলভাবে যোগ হয়েছে।",
+    "Only teachers can add questions.": "শুধু শিক্ষকেরা প্রশ্ন যোগ করতে পারেন।",
+    "Please select a subject.": "অনুগ্রহ করে একটি বিষয় বেছে নিন।",
+    "You can only add questions to your own subjects.": "আপনি শুধু নিজের বিষয়ে প্রশ্ন যোগ করতে পারেন।",
+    "You can only change questions in your own subjects.": "আপনি শুধু নিজের বিষয়ের প্রশ্ন বদলাতে পারেন।",
+    "Question added successfully.": "প্রশ্ন সফলভাবে যোগ হয়েছে।",
+    "Question #{id} saved.": "প্রশ্ন #{id} সংরক্ষিত হয়েছে।",
+    "Edit Question #{id}": "প্রশ্ন #{id} সম্পাদনা",
+    "Showing {shown} of {total} question(s).": "{total}টি প্রশ্নের মধ্যে {shown}টি দেখানো হচ্ছে।",
+    "You do not own any subjects yet.": "আপনার এখনো কোনো বিষয় নেই।",
+    "revision {number}": "সংস্করণ {number}",
+    "Duplicate": "অনুলিপি",
+    "History": "ইতিহাস",
+    "Only teachers can edit questions.": "শুধু শিক্ষকরা প্রশ্ন সম্পাদনা করতে পারেন।",
+    "Only teachers can delete questions.": "শুধু শিক্ষকরা প্রশ্ন মুছতে পারেন।",
+    "Question #{id} was added as a copy of #{source}.": "প্রশ্ন #{id} প্রশ্ন #{source}-এর অনুলিপি হিসেবে যোগ হয়েছে।",
+    "Delete question #{id}? Its history is kept, so stored results still show it.": "প্রশ্ন #{id} মুছবেন? এর ইতিহাস রাখা হবে, তাই সংরক্ষিত ফলাফলে এটি দেখা যাবে।",
+    "It is part of {count} assessment(s) with a fixed question set, which will leave it out from now on.": "এটি নির্দিষ্ট প্রশ্নসেটের {count}টি মূল্যায়নে আছে; এখন থেকে সেগুলোতে এটি বাদ যাবে।",
+    "Revision {number} (current)": "সংস্করণ {number} (বর্তমান)",
+    "Revision {number}, replaced {time}": "সংস্করণ {number}, বদলানো হয়েছে {time}",
+    "rev. {number}": "সং. {number}",
+    "Only teachers can rename subjects.": "শুধু শিক্ষকরা বিষয়ের নাম বদলাতে পারেন।",
+    "New name for \"{label}\" (the key \"{key}\" stays the same):": "\"{label}\"-এর নতুন নাম (কী \"{key}\" একই থাকবে):",
+    "Subject renamed to \"{label}\".": "বিষয়ের নাম বদলে \"{label}\" করা হয়েছে।",
+    "Only teachers can delete subjects.": "শুধু শিক্ষকরা বিষয় মুছতে পারেন।",
+    "\"{label}\" still has {count} assessment(s). Delete them first.": "\"{label}\"-এ এখনো {count}টি মূল্যায়ন আছে। আগে সেগুলো মুছুন।",
+    "Delete \"{label}\" with its {count} question(s) and scoring policy? Stored results are kept. Type the subject key \"{key}\" to confirm.": "\"{label}\" এবং এর {count}টি প্রশ্ন ও নম্বর দেওয়ার নিয়ম মুছবেন? সংরক্ষিত ফলাফল থাকবে। নিশ্চিত করতে বিষয়ের কী \"{key}\" লিখুন।",
+    "The subject key did not match, so nothing was deleted.": "বিষয়ের কী মেলেনি, তাই কিছু মোছা হয়নি।",
+    "Subject \"{label}\" deleted.": "বিষয় \"{label}\" মুছে ফেলা হয়েছে।",
+    "Only teachers can export questions.": "শুধু শিক্ষকেরা প্রশ্ন এক্সপোর্ট করতে পারেন।",
+    "Only teachers can import questions.": "শুধু শিক্ষকেরা প্রশ্ন ইমপোর্ট করতে পারেন।",
+    "Please choose a file to import.": "অনুগ্রহ করে ইমপোর্টের জন্য একটি ফাইল বেছে নিন।",
+    "{count} question(s) imported successfully.": "{count}টি প্রশ্ন সফলভাবে ইমপোর্ট হয়েছে।",
+    "Only teachers can export results.": "শুধু শিক্ষকেরা ফলাফল এক্সপোর্ট করতে পারেন।",
+    "There are no results to export.": "এক্সপোর্ট করার মতো কোনো ফলাফল নেই।",
+    "Please log in as a teacher first.": "অনুগ্রহ করে আগে শিক্ষক হিসেবে লগইন করুন।",
+    "New passwords do not match.": "নতুন পাসওয়ার্ড মেলেনি।",
+    "Password changed successfully.": "পাসওয়ার্ড সফলভাবে পরিবর্তন হয়েছে।",
+    "Account \"{username}\" created.": "অ্যাকাউন্ট \"{username}\" তৈরি হয়েছে।",
+    "Only teachers can change scoring.": "শুধু শিক্ষকেরা নম্বর দেওয়ার নিয়ম বদলাতে পারেন।",
+    "Please select one of your subjects.": "অনুগ্রহ করে আপনার একটি বিষয় বেছে নিন।",
+    "Scoring policy saved. It applies to quizzes started from now on.": "নম্বর দেওয়ার নিয়ম সংরক্ষিত হয়েছে। এখন থেকে শুরু হওয়া কুইজে এটি প্রযোজ্য।",
+    "Scoring policy reset to the default.": "নম্বর দেওয়ার নিয়ম ডিফল্টে ফিরিয়ে নেওয়া হয়েছে।",
+    "Only teachers can schedule assessments.": "শুধু শিক্ষকেরা মূল্যায়ন নির্ধারণ করতে পারেন।",
+    "{count} second left {where}.": "{where} {count} সেকেন্ড বাকি।",
+    "{count} seconds left {where}.": "{where} {count} সেকেন্ড বাকি।",
+    "{subject} Review": "{subject} রিভিউ",
+    "{subject} Quiz": "{subject} কুইজ",
+    "Assessment {id} updated.": "মূল্যায়ন {id} হালনাগাদ হয়েছে।",
+    "Assessment {id} published.": "মূল্যায়ন {id} প্রকাশিত হয়েছে।",
+    "Switched to another tab": "অন্য ট্যাবে গিয়েছিলেন",
+    "Came back to the quiz tab": "কুইজ ট্যাবে ফিরে এসেছেন",
+    "Focused another window": "অন্য উইন্ডোতে গিয়েছিলেন",
+    "Tried to copy": "কপি করার চেষ্টা করেছেন",
+    "Tried to cut": "কাট করার চেষ্টা করেছেন",
+    "Tried to paste": "পেস্ট করার চেষ্টা করেছেন",
+    "Opened the right-click menu": "রাইট-ক্লিক মেনু খুলেছেন",
+    "Left fullscreen": "ফুলস্ক্রিন থেকে বেরিয়েছেন",
+    "Fullscreen could not be started": "ফুলস্ক্রিন চালু করা যায়নি",
+    "Resumed the quiz after leaving it": "বেরিয়ে যাওয়ার পর কুইজ আবার শুরু করেছেন",
+    "Submitted automatically after too many violations": "অনেক লঙ্ঘনের পর স্বয়ংক্রিয়ভাবে জমা হয়েছে",
+    "Highest score": "সর্বোচ্চ স্কোর",
+    "Latest attempt": "সর্বশেষ চেষ্টা",
+    "Unknown attempt policy \"{policy}\".": "অজানা চেষ্টার নীতি \"{policy}\"।",
+    "First attempt": "প্রথম চেষ্টা",
+    "Question": "প্রশ্ন",
+    "Section": "অংশ",
+    "Total": "মোট",
+    "for this question": "এই প্রশ্নের",
+    "in this section": "এই অংশের",
+    "in the quiz": "কুইজের",
+    "Syncing…": "সিঙ্ক হচ্ছে…",
+    "Sync problem": "সিঙ্কে সমস্যা",
+    "Waiting to sync": "সিঙ্কের অপেক্ষায়",
+    "Synced": "সিঙ্ক হয়েছে",
+    "easy": "সহজ",
+    "medium": "মাঝারি",
+    "hard": "কঠিন",
+    "True": "সত্য",
+    "False": "মিথ্যা",
+    "Subject": "বিষয়",
+    "Assessment": "মূল্যায়ন",
+    "Score": "স্কোর",
+    "Max Score": "সর্বোচ্চ স্কোর",
+    "Total Questions": "মোট প্রশ্ন",
+    "Percentage": "শতাংশ",
+    "Grade": "গ্রেড",
+    "Attempted": "উত্তর দেওয়া",
+    "Time Used (s)": "ব্যবহৃত সময় (সে.)",
+    "Time Limit (s)": "সময়সীমা (সে.)",
+    "Time Status": "সময়ের অবস্থা",
+    "Taken At": "গ্রহণের সময়",
+    "Integrity Violations": "নিয়ম লঙ্ঘন",
+    "Advanced Mobile Quiz App with Roles": "ভূমিকাভিত্তিক উন্নত মোবাইল কুইজ অ্যাপ",
+    "Advanced Mobile Quiz App": "উন্নত মোবাইল কুইজ অ্যাপ",
+    "Student & Teacher login • Dynamic subjects • Custom timer • OOP-based engine": "শিক্ষার্থী ও শিক্ষক লগইন • পরিবর্তনযোগ্য বিষয় • কাস্টম টাইমার • OOP-ভিত্তিক ইঞ্জিন",
+    "Language": "ভাষা",
+    "Logout": "লগআউট",
+    "Welcome": "স্বাগতম",
+    "Select your role to continue:": "চালিয়ে যেতে আপনার ভূমিকা বেছে নিন:",
+    "Student": "শিক্ষার্থী",
+    "or": "অথবা",
+    "Teacher": "শিক্ষক",
+    "Student Login": "শিক্ষার্থী লগইন",
+    "Students can attempt quizzes and see their own result at the end.": "শিক্ষার্থীরা কুইজ দিতে এবং শেষে নিজের ফলাফল দেখতে পারে।",
+    "Enter your name": "আপনার নাম লিখুন",
+    "Continue as Student": "শিক্ষার্থী হিসেবে চালিয়ে যান",
+    "Teacher Login": "শিক্ষক লগইন",
+    "Teachers can see all stored marks and manage subjects & questions (like Google Forms).": "শিক্ষকেরা সংরক্ষিত সব নম্বর দেখতে এবং বিষয় ও প্রশ্ন পরিচালনা করতে পারেন (Google Forms-এর মতো)।",
+    "Teacher Username": "শিক্ষকের ইউজারনেম",
+    "Username": "ইউজারনেম",
+    "Password": "পাসওয়ার্ড",
+    "Login as Teacher": "শিক্ষক হিসেবে লগইন",
+    "First-Time Setup": "প্রাথমিক সেটআপ",
+    "No teacher accounts exist yet. Create the administrator account; it can add other teachers later.": "এখনো কোনো শিক্ষক অ্যাকাউন্ট নেই। অ্যাডমিনিস্ট্রেটর অ্যাকাউন্ট তৈরি করুন; পরে এটি দিয়ে অন্য শিক্ষকদের যোগ করা যাবে।",
+    "Admin Username": "অ্যাডমিন ইউজারনেম",
+    "e.g., admin": "যেমন, admin",
+    "Display Name": "প্রদর্শিত নাম",
+    "e.g., Dr. Rahman": "যেমন, ড. রহমান",
+    "Password (min. 8 characters)": "পাসওয়ার্ড (ন্যূনতম ৮ অক্ষর)",
+    "Confirm Password": "পাসওয়ার্ড নিশ্চিত করুন",
+    "Create Admin Account": "অ্যাডমিন অ্যাকাউন্ট তৈরি করুন",
+    "Start a Quiz": "কুইজ শুরু করুন",
+    "Choose a subject, set your time limit, and start the quiz. Fully responsive and built with OOP concepts.": "একটি বিষয় বেছে নিন, সময়সীমা ঠিক করুন এবং কুইজ শুরু করুন। সম্পূর্ণ রেসপন্সিভ এবং OOP ধারণায় তৈরি।",
+    "My Attempts & Progress": "আমার চেষ্টা ও অগ্রগতি",
+    "My Assessments": "আমার মূল্যায়ন",
+    "Scheduled by your teachers. The time limit is fixed and every start uses up one attempt.": "আপনার শিক্ষকদের নির্ধারিত। সময়সীমা নির্দিষ্ট এবং প্রতিবার শুরু করলে একটি চেষ্টা খরচ হয়।",
+    "No assessments are assigned to you right now.": "এই মুহূর্তে আপনাকে কোনো মূল্যায়ন দেওয়া হয়নি।",
+    "Spaced Repetition Review": "স্পেসড রিপিটিশন রিভিউ",
+    "Untimed revision that remembers what you missed. Each answer is checked straight away, and questions come back just before you are likely to forget them.": "সময়সীমাহীন অনুশীলন যা মনে রাখে আপনি কোনগুলো ভুল করেছেন। প্রতিটি উত্তর সঙ্গে সঙ্গে যাচাই হয়, আর প্রশ্নগুলো ভুলে যাওয়ার ঠিক আগে আবার ফিরে আসে।",
+    "Practice Quiz": "অনুশীলন কুইজ",
+    "Select Subject": "বিষয় নির্বাচন করুন",
+    "Quiz Mode": "কুইজের ধরন",
+    "Standard (random set)": "সাধারণ (এলোমেলো সেট)",
+    "Adaptive (adjusts difficulty to your answers)": "অভিযোজিত (আপনার উত্তর অনুযায়ী কঠিনতা বদলায়)",
+    "Number of Questions (maximum in adaptive mode)": "প্রশ্নের সংখ্যা (অভিযোজিত ধরনে সর্বোচ্চ)",
+    "All available": "সবগুলো",
+    "Time Limit (seconds)": "সময়সীমা (সেকেন্ড)",
+    "Custom": "কাস্টম",
+    "Enter custom time in seconds": "সেকেন্ডে কাস্টম সময় লিখুন",
+    "Time per Question (rapid-fire)": "প্রতি প্রশ্নের সময় (দ্রুত পর্ব)",
+    "Off": "বন্ধ",
+    "10s, then move on": "১০ সেকেন্ড, তারপর পরেরটি",
+    "20s, then move on": "২০ সেকেন্ড, তারপর পরেরটি",
+    "30s, then move on": "৩০ সেকেন্ড, তারপর পরেরটি",
+    "60s, then move on": "৬০ সেকেন্ড, তারপর পরেরটি",
+    "Start Quiz": "কুইজ শুরু করুন",
+    "Student Features": "শিক্ষার্থীর সুবিধাসমূহ",
+    "Attempt quizzes in different subjects": "বিভিন্ন বিষয়ে কুইজ দিন",
+    "Change time limit (fixed or custom), or race a per-question clock": "সময়সীমা বদলান (নির্দিষ্ট বা কাস্টম), অথবা প্রতি প্রশ্নের ঘড়ির সাথে পাল্লা দিন",
+    "Randomized questions & options each attempt": "প্রতিবার এলোমেলো প্রশ্ন ও অপশন",
+    "Adaptive mode that picks each question to match your level": "অভিযোজিত ধরন যা আপনার স্তর অনুযায়ী প্রতিটি প্রশ্ন বেছে নেয়",
+    "Track your past attempts, best scores and progress over time": "আগের চেষ্টা, সেরা স্কোর এবং সময়ের সাথে অগ্রগতি দেখুন",
+    "See detailed result and answer review at the end": "শেষে বিস্তারিত ফলাফল ও উত্তর পর্যালোচনা দেখুন",
+    "Install it as an app and keep taking quizzes offline": "অ্যাপ হিসেবে ইনস্টল করুন এবং অফলাইনেও কুইজ দিন",
+    "Take scheduled assessments while they are open, within the attempt limit (tab switches and copy/paste are logged)": "নির্ধারিত মূল্যায়ন খোলা থাকাকালীন চেষ্টার সীমার মধ্যে দিন (ট্যাব বদল এবং কপি/পেস্ট রেকর্ড করা হয়)",
+    "Return to Fullscreen": "ফুলস্ক্রিনে ফিরে যান",
+    "Previous": "আগের",
+    "Check Answer": "উত্তর যাচাই করুন",
+    "Next": "পরের",
+    "Submit Quiz": "কুইজ জমা দিন",
+    "Answered": "উত্তর দেওয়া",
+    "Unanswered": "উত্তর দেওয়া হয়নি",
+    "Flagged for review": "পরে দেখার জন্য চিহ্নিত",
+    "Clear Answer": "উত্তর মুছুন",
+    "Show Hint": "ইঙ্গিত দেখুন",
+    "Ready to Submit?": "জমা দিতে প্রস্তুত?",
+    "Select a question number to go back to it.": "কোনো প্রশ্নে ফিরে যেতে তার নম্বর বেছে নিন।",
+    "Back to Quiz": "কুইজে ফিরে যান",
+    "Submit Now": "এখনই জমা দিন",
+    "Keyboard: 1–9 choose an answer, ← and → move between questions, Ctrl+Enter submits.": "কিবোর্ড: ১–৯ দিয়ে উত্তর বাছুন, ← ও → দিয়ে প্রশ্ন বদলান, Ctrl+Enter দিয়ে জমা দিন।",
+    "Quiz Result": "কুইজের ফলাফল",
+    "Subject:": "বিষয়:",
+    "Score:": "স্কোর:",
+    "Percentage:": "শতাংশ:",
+    "Grade:": "গ্রেড:",
+    "Time Used:": "ব্যবহৃত সময়:",
+    "Time Status:": "সময়ের অবস্থা:",
+    "Questions Attempted:": "উত্তর দেওয়া প্রশ্ন:",
+    "Ability Score:": "দক্ষতা স্কোর:",
+    "Change Settings": "সেটিংস বদলান",
+    "Answer Review": "উত্তর পর্যালোচনা",
+    "My Attempts": "আমার চেষ্টাসমূহ",
+    "Back to Home": "হোমে ফিরে যান",
+    "By Subject": "বিষয় অনুযায়ী",
+    "You have not finished any quizzes yet.": "আপনি এখনো কোনো কুইজ শেষ করেননি।",
+    "Attempts": "চেষ্টা",
+    "Best": "সেরা",
+    "Latest": "সর্বশেষ",
+    "Progress Over Time": "সময়ের সাথে অগ্রগতি",
+    "All Attempts": "সব চেষ্টা",
+    "The answer review was not recorded for this attempt.": "এই চেষ্টার উত্তর পর্যালোচনা রেকর্ড করা হয়নি।",
+    "Teacher Dashboard": "শিক্ষক ড্যাশবোর্ড",
+    "Only logged-in teachers can see this part. This works similar to a simplified Google Forms + response sheet: you can create subjects and questions, and view stored quiz marks of students.": "শুধু লগইন করা শিক্ষকেরা এই অংশ দেখতে পারেন। এটি সরলীকৃত Google Forms ও উত্তরপত্রের মতো কাজ করে: আপনি বিষয় ও প্রশ্ন তৈরি করতে এবং শিক্ষার্থীদের সংরক্ষিত কুইজ নম্বর দেখতে পারেন।",
+    "My Account": "আমার অ্যাকাউন্ট",
+    "Change Password": "পাসওয়ার্ড পরিবর্তন",
+    "Current Password": "বর্তমান পাসওয়ার্ড",
+    "New Password (min. 8 characters)": "নতুন পাসওয়ার্ড (ন্যূনতম ৮ অক্ষর)",
+    "Confirm New Password": "নতুন পাসওয়ার্ড নিশ্চিত করুন",
+    "Add Teacher Account": "শিক্ষক অ্যাকাউন্ট যোগ করুন",
+    "e.g., jdoe": "যেমন, jdoe",
+    "e.g., Jane Doe": "যেমন, জেন ডো",
+    "Initial Password (min. 8 characters)": "প্রাথমিক পাসওয়ার্ড (ন্যূনতম ৮ অক্ষর)",
+    "Create Account": "অ্যাকাউন্ট তৈরি করুন",
+    "Teacher Accounts": "শিক্ষক অ্যাকাউন্টসমূহ",
+    "Shared Storage": "শেয়ার করা স্টোরেজ",
+    "To share questions, assessments and results between devices instead of keeping them in one browser, run this on one computer and connect every device to it:": "প্রশ্ন, মূল্যায়ন ও ফলাফল একটি ব্রাউজারে না রেখে বিভিন্ন ডিভাইসের মধ্যে শেয়ার করতে, একটি কম্পিউটারে এটি চালান এবং প্রতিটি ডিভাইস এর সাথে যুক্ত করুন:",
+    "Pages opened from that server connect by themselves. Results saved while a device is offline are queued and sent when the connection returns; the header shows the sync status. Teacher accounts, review schedules and unfinished quizzes always stay in each browser.": "সেই সার্ভার থেকে খোলা পৃষ্ঠা নিজে থেকেই যুক্ত হয়। কোনো ডিভাইস অফলাইন থাকার সময় সংরক্ষিত ফলাফল সারিতে রাখা হয় এবং সংযোগ ফিরলে পাঠানো হয়; হেডারে সিঙ্কের অবস্থা দেখা যায়। শিক্ষক অ্যাকাউন্ট, রিভিউয়ের সময়সূচি এবং অসমাপ্ত কুইজ সবসময় প্রতিটি ব্রাউজারেই থাকে।",
+    "Quiz Server Address": "কুইজ সার্ভারের ঠিকানা",
+    "Teacher Token (printed by the server; leave blank on student devices)": "শিক্ষক টোকেন (সার্ভার যেটি দেখায়; শিক্ষার্থীদের ডিভাইসে ফাঁকা রাখুন)",
+    "e.g., http://192.168.1.10:3000": "যেমন, http://192.168.1.10:3000",
+    "Connect": "সংযোগ করুন",
+    "Sync Now": "এখনই সিঙ্ক করুন",
+    "Use This Browser Only": "শুধু এই ব্রাউজার ব্যবহার করুন",
+    "Stored Quiz Results (Marks)": "সংরক্ষিত কুইজ ফলাফল (নম্বর)",
+    "Search by name or ID": "নাম বা আইডি দিয়ে খুঁজুন",
+    "From": "থেকে",
+    "To": "পর্যন্ত",
+    "Flagged only": "শুধু চিহ্নিতগুলো",
+    "All attempts": "সব চেষ্টা",
+    "Gradebook (student × subject)": "গ্রেডবুক (শিক্ষার্থী × বিষয়)",
+    "Best score": "সেরা স্কোর",
+    "Latest score": "সর্বশেষ স্কোর",
+    "10 per page": "প্রতি পৃষ্ঠায় ১০টি",
+    "25 per page": "প্রতি পৃষ্ঠায় ২৫টি",
+    "50 per page": "প্রতি পৃষ্ঠায় ৫০টি",
+    "100 per page": "প্রতি পৃষ্ঠায় ১০০টি",
+    "Export CSV": "CSV এক্সপোর্ট",
+    "Time Used": "ব্যবহৃত সময়",
+    "Integrity": "সততা",
+    "Actions": "কার্যক্রম",
+    "‹ Prev": "‹ আগের",
+    "Next ›": "পরের ›",
+    "Item Analysis": "আইটেম বিশ্লেষণ",
+    "Per-question statistics from stored attempts. Discrimination compares the top and bottom 27% of scorers (from −1 to 1; higher means the question separates strong and weak students well). Flagged rows need a look.": "সংরক্ষিত চেষ্টা থেকে প্রতি প্রশ্নের পরিসংখ্যান। পৃথকীকরণ সর্বোচ্চ ও সর্বনিম্ন ২৭% স্কোরধারীদের তুলনা করে (−1 থেকে 1; বেশি মানে প্রশ্নটি দক্ষ ও দুর্বল শিক্ষার্থীদের ভালোভাবে আলাদা করে)। চিহ্নিত সারিগুলো একবার দেখে নেওয়া দরকার।",
+    "ID": "আইডি",
+    "Responses": "উত্তর",
+    "% Correct": "% সঠিক",
+    "Discrimination": "পৃথকীকরণ",
+    "Avg Time": "গড় সময়",
+    "Answers Chosen": "বাছাই করা উত্তর",
+    "Flags": "চিহ্ন",
+    "Question & Subject Management": "প্রশ্ন ও বিষয় ব্যবস্থাপনা",
+    "Create subjects and add questions dynamically (similar to Google Forms question creation). You can only add questions to subjects you own.": "বিষয় তৈরি করুন এবং প্রশ্ন যোগ করুন (Google Forms-এ প্রশ্ন তৈরির মতো)। আপনি শুধু নিজের বিষয়ে প্রশ্ন যোগ করতে পারেন।",
+    "Add New Subject": "নতুন বিষয় যোগ করুন",
+    "Subject Key (no spaces, e.g., python)": "বিষয়ের কী (স্পেস ছাড়া, যেমন python)",
+    "e.g., python_basics": "যেমন, python_basics",
+    "Subject Label (display name)": "বিষয়ের নাম (প্রদর্শিত নাম)",
+    "e.g., Python Basics": "যেমন, Python Basics",
+    "Add Subject": "বিষয় যোগ করুন",
+    "Add New Question": "নতুন প্রশ্ন যোগ করুন",
+    "Question Type": "প্রশ্নের ধরন",
+    "Single correct answer": "একটি সঠিক উত্তর",
+    "Multiple correct answers": "একাধিক সঠিক উত্তর",
+    "True / False": "সত্য / মিথ্যা",
+    "Numeric answer": "সংখ্যাসূচক উত্তর",
+    "Short text answer": "সংক্ষিপ্ত লিখিত উত্তর",
+    "Question Text": "প্রশ্নের লেখা",
+    "Enter the question": "প্রশ্নটি লিখুন",
+    "Formatting: **bold**, *italic*, `code`, $x^2$ math, \"- \" lists and fenced code blocks (```c, ```java or ```sql on their own line). Attached images are inserted as ![alt](name).": "ফরম্যাটিং: **bold**, *italic*, `code`, $x^2$ গণিত, \"- \" তালিকা এবং ফেন্সড কোড ব্লক (আলাদা লাইনে ```c, ```java বা ```sql)। সংযুক্ত ছবি ![alt](name) হিসেবে বসানো হয়।",
+    "Attach Image": "ছবি সংযুক্ত করুন",
+    "(PNG, JPEG, GIF or WebP, up to 200 KB)": "(PNG, JPEG, GIF বা WebP, ২০০ KB পর্যন্ত)",
+    "Options": "অপশনসমূহ",
+    "(tick the correct answer)": "(সঠিক উত্তরে টিক দিন)",
+    "+ Add Option": "+ অপশন যোগ করুন",
+    "Correct Answer": "সঠিক উত্তর",
+    "Correct Value": "সঠিক মান",
+    "Tolerance (±)": "সহনসীমা (±)",
+    "Accepted Answers (one per line)": "গ্রহণযোগ্য উত্তর (প্রতি লাইনে একটি)",
+    "e.g., polymorphism": "যেমন, polymorphism",
+    "Case sensitive": "বড়/ছোট হাতের অক্ষর আলাদা ধরা হবে",
+    "Points": "নম্বর",
+    "Difficulty": "কঠিনতা",
+    "Easy": "সহজ",
+    "Medium": "মাঝারি",
+    "Hard": "কঠিন",
+    "Topic Tags (comma separated)": "বিষয়ভিত্তিক ট্যাগ (কমা দিয়ে আলাদা)",
+    "Explanation (shown when answers are reviewed)": "ব্যাখ্যা (উত্তর পর্যালোচনার সময় দেখানো হয়)",
+    "Why the correct answer is right": "সঠিক উত্তরটি কেন সঠিক",
+    "Hint (optional, students may reveal it during a quiz)": "ইঙ্গিত (ঐচ্ছিক, শিক্ষার্থীরা কুইজ চলাকালীন এটি দেখতে পারে)",
+    "Reference (optional)": "তথ্যসূত্র (ঐচ্ছিক)",
+    "e.g., Textbook chapter 4.2": "যেমন, পাঠ্যবই অধ্যায় ৪.২",
+    "Reference Link (optional)": "তথ্যসূত্রের লিংক (ঐচ্ছিক)",
+    "e.g., pointers, arrays": "যেমন, pointers, arrays",
+    "Bangla Translation (optional)": "বাংলা অনুবাদ (ঐচ্ছিক)",
+    "Question text in Bangla": "বাংলায় প্রশ্নের লেখা",
+    "Bangla Options (one per line, in the same order)": "বাংলা অপশন (প্রতি লাইনে একটি, একই ক্রমে)",
+    "Accepted Answers in Bangla (one per line)": "বাংলায় গ্রহণযোগ্য উত্তর (প্রতি লাইনে একটি)",
+    "Bangla Explanation": "বাংলা ব্যাখ্যা",
+    "Bangla Hint": "বাংলা ইঙ্গিত",
+    "Students see the translation when they use the app in Bangla; anything left blank is shown in English.": "শিক্ষার্থীরা বাংলায় অ্যাপ ব্যবহার করলে অনুবাদটি দেখে; যা খালি রাখা হয় তা ইংরেজিতে দেখানো হয়।",
+    "Preview": "প্রিভিউ",
+    "The preview follows the language chosen at the top of the page.": "প্রিভিউ পৃষ্ঠার ওপরে বেছে নেওয়া ভাষা অনুসরণ করে।",
+    "Start typing to see how students will see the question.": "শিক্ষার্থীরা প্রশ্নটি কেমন দেখবে তা দেখতে লেখা শুরু করুন।",
+    "Add Question": "প্রশ্ন যোগ করুন",
+    "Scoring Policy": "নম্বর দেওয়ার নিয়ম",
+    "Points per Question": "প্রতি প্রশ্নের নম্বর",
+    "Blank = each question's own points": "খালি = প্রতিটি প্রশ্নের নিজস্ব নম্বর",
+    "Penalty per Wrong Answer (share of its points)": "প্রতি ভুল উত্তরের জরিমানা (প্রশ্নের নম্বরের অংশ)",
+    "Penalty for Using a Hint (share of the earned points)": "ইঙ্গিত ব্যবহারের জরিমানা (পাওয়া নম্বরের অংশ)",
+    "Partial credit for multiple-answer questions": "একাধিক উত্তরের প্রশ্নে আংশিক নম্বর",
+    "Grade Scale (minimum % = grade, one per line)": "গ্রেড স্কেল (ন্যূনতম % = গ্রেড, প্রতি লাইনে একটি)",
+    "Save Policy": "নিয়ম সংরক্ষণ করুন",
+    "Use Default": "ডিফল্ট ব্যবহার করুন",
+    "Scheduled Assessments": "নির্ধারিত মূল্যায়ন",
+    "Publish a graded quiz with a locked time limit, an availability window and a limit on attempts per student ID. You can only schedule assessments for subjects you own.": "নির্দিষ্ট সময়সীমা, খোলা থাকার সময়কাল এবং প্রতি শিক্ষার্থী আইডির চেষ্টার সীমাসহ একটি নম্বরযুক্ত কুইজ প্রকাশ করুন। আপনি শুধু নিজের বিষয়ের জন্য মূল্যায়ন নির্ধারণ করতে পারেন।",
+    "Title": "শিরোনাম",
+    "e.g., Midterm Test": "যেমন, মধ্যবর্তী পরীক্ষা",
+    "Questions": "প্রশ্নসমূহ",
+    "Random selection from the subject": "বিষয় থেকে এলোমেলো বাছাই",
+    "Fixed set chosen below": "নিচে বেছে নেওয়া নির্দিষ্ট সেট",
+    "Blueprint (topic and difficulty mix)": "ব্লুপ্রিন্ট (বিষয়বস্তু ও কঠিনতার মিশ্রণ)",
+    "Number of Questions (blank = all)": "প্রশ্নের সংখ্যা (খালি = সবগুলো)",
+    "Blueprint (one rule per line or comma: count, difficulty, tag)": "ব্লুপ্রিন্ট (প্রতি লাইনে বা কমায় একটি নিয়ম: সংখ্যা, কঠিনতা, ট্যাগ)",
+    "Time per Question (seconds, blank = none; moves on when it runs out)": "প্রতি প্রশ্নের সময় (সেকেন্ড, খালি = নেই; সময় শেষ হলে পরেরটিতে যায়)",
+    "Sections (optional, one per line; closed sections cannot be revisited)": "অংশসমূহ (ঐচ্ছিক, প্রতি লাইনে একটি; বন্ধ অংশে আর ফেরা যায় না)",
+    "Timer Warnings (seconds left, comma separated)": "টাইমার সতর্কতা (বাকি সেকেন্ড, কমা দিয়ে আলাদা)",
+    "Attempts are monitored: tab switches, other windows, copy/paste and right-clicks are blocked or logged with the result.": "চেষ্টাগুলো পর্যবেক্ষণ করা হয়: ট্যাব বদল, অন্য উইন্ডো, কপি/পেস্ট এবং রাইট-ক্লিক আটকানো হয় বা ফলাফলের সাথে রেকর্ড করা হয়।",
+    "Require fullscreen (leaving it counts as a violation)": "ফুলস্ক্রিন বাধ্যতামূলক (বেরিয়ে গেলে লঙ্ঘন হিসেবে গণ্য)",
+    "Use its own scoring policy instead of the subject's": "বিষয়ের বদলে এর নিজস্ব নম্বর দেওয়ার নিয়ম ব্যবহার করুন",
+    "Auto-submit after this many violations (0 = never)": "এতগুলো লঙ্ঘনের পর স্বয়ংক্রিয় জমা (০ = কখনো না)",
+    "Opens At (blank = now)": "খোলার সময় (খালি = এখনই)",
+    "Closes At (blank = never)": "বন্ধের সময় (খালি = কখনো না)",
+    "Max Attempts per Student (0 = unlimited)": "প্রতি শিক্ষার্থীর সর্বোচ্চ চেষ্টা (০ = সীমাহীন)",
+    "Attempt that Counts": "যে চেষ্টা গণ্য হবে",
+    "Assigned Student IDs (one per line, blank = everyone)": "নির্ধারিত শিক্ষার্থী আইডি (প্রতি লাইনে একটি, খালি = সবাই)",
+    "Cancel Edit": "সম্পাদনা বাতিল",
+    "Published Assessments": "প্রকাশিত মূল্যায়ন",
+    "No assessments yet.": "এখনো কোনো মূল্যায়ন নেই।",
+    "Import / Export Question Bank": "প্রশ্নব্যাংক ইমপোর্ট / এক্সপোর্ট",
+    "Question Bank": "প্রশ্নব্যাংক",
+    "Browse and search the questions of your subjects. Edits are kept as revisions, so stored results always show the version the student answered.": "আপনার বিষয়ের প্রশ্নগুলো দেখুন ও খুঁজুন। প্রতিটি সম্পাদনা সংস্করণ হিসেবে রাখা হয়, তাই সংরক্ষিত ফলাফলে সবসময় শিক্ষার্থী যে সংস্করণের উত্তর দিয়েছিল সেটিই দেখা যায়।",
+    "Rename Subject": "বিষয়ের নাম বদলান",
+    "Delete Subject": "বিষয় মুছুন",
+    "Search": "খুঁজুন",
+    "Text, option, tag or #ID": "লেখা, অপশন, ট্যাগ বা #আইডি",
+    "Move questions in and out as native JSON, CSV (spreadsheets) or Moodle GIFT text. Imports are previewed and checked before anything is added.": "নিজস্ব JSON, CSV (স্প্রেডশিট) বা Moodle GIFT লেখা হিসেবে প্রশ্ন আনা-নেওয়া করুন। কিছু যোগ করার আগে ইমপোর্টের প্রিভিউ দেখানো ও যাচাই করা হয়।",
+    "Export": "এক্সপোর্ট",
+    "Format": "ফরম্যাট",
+    "JSON (this app)": "JSON (এই অ্যাপ)",
+    "CSV (spreadsheet)": "CSV (স্প্রেডশিট)",
+    "GIFT (Moodle)": "GIFT (Moodle)",
+    "Unsupported export format \"{format}\".": "\"{format}\" ফরম্যাটে এক্সপোর্ট করা যায় না।",
+    "Unsupported import format \"{format}\".": "\"{format}\" ফরম্যাট থেকে ইমপোর্ট করা যায় না।",
+    "{count} question(s) with images were left out because GIFT cannot hold images: {ids}.": "ছবিসহ {count}টি প্রশ্ন বাদ দেওয়া হয়েছে কারণ GIFT-এ ছবি রাখা যায় না: {ids}।",
+    "Download": "ডাউনলোড",
+    "Import": "ইমপোর্ট",
+    "File": "ফাইল",
+    "Detect from file": "ফাইল থেকে শনাক্ত করুন",
+    "Import Into": "যে বিষয়ে ইমপোর্ট হবে",
+    "Preview Import": "ইমপোর্টের প্রিভিউ",
+    "Row": "সারি",
+    "Type": "ধরন",
+    "Status": "অবস্থা",
+    "Import Valid Questions": "বৈধ প্রশ্নগুলো ইমপোর্ট করুন",
+    "Cancel": "বাতিল",
+    "Use your browser's print dialog and choose \"Save as PDF\" to keep a copy.": "একটি কপি রাখতে ব্রাউজারের প্রিন্ট ডায়ালগ ব্যবহার করুন এবং \"Save as PDF\" বেছে নিন।",
+    "Close Report": "রিপোর্ট বন্ধ করুন",
+    "Quiz Attempt Report": "কুইজ চেষ্টার রিপোর্ট",
+    "Questions Attempted": "উত্তর দেওয়া প্রশ্ন",
+    "Hints Used": "ব্যবহৃত ইঙ্গিত",
+    "Ability Score": "দক্ষতা স্কোর",
+    "Integrity Log": "সততার লগ",
+    "Questions as Presented": "যেভাবে প্রশ্ন দেখানো হয়েছিল",
+    "Rebuilt from the attempt's recorded question and option order. ● = student's choice, ✓ = correct answer.": "চেষ্টায় রেকর্ড করা প্রশ্ন ও অপশনের ক্রম থেকে পুনর্গঠিত। ● = শিক্ষার্থীর বাছাই, ✓ = সঠিক উত্তর।",
+    "Advanced Quiz App – Mobile Computing & Applications Lab Project (Student + Teacher + OOP)": "উন্নত কুইজ অ্যাপ – মোবাইল কম্পিউটিং ও অ্যাপ্লিকেশনস ল্যাব প্রজেক্ট (শিক্ষার্থী + শিক্ষক + OOP)",
+    "latest score per subject": "প্রতি বিষয়ে সর্বশেষ স্কোর",
+    "best score per subject": "প্রতি বিষয়ে সেরা স্কোর"
+};
+
+// =======================
+// Initialization
+// =======================
+
+const RESULTS_STORAGE_KEY = "quizResults";
+const STORAGE_SERVER_URL_KEY = "storageServerUrl";
+const STORAGE_SERVER_TOKEN_KEY = "storageServerToken";
+const STORAGE_SYNC_STATE_KEY = "storageSync";
+
+// An empty saved URL means "this browser only"; no saved URL means the page
+// looks for a quiz server at its own address (see detectStorageServer)
+function createStorageAdapter(url) {
+    return url ? new ServerStorageAdapter(url, STORAGE_SYNC_STATE_KEY, localStorage.getItem(STORAGE_SERVER_TOKEN_KEY)) : new LocalStorageAdapter();
+}
+
+const translator = new Translator({ bn: BN_MESSAGES }, "uiLocale");
+
+function t(message, params) {
+    return translator.translate(message, params);
+}
+
+let storageAdapter = createStorageAdapter(localStorage.getItem(STORAGE_SERVER_URL_KEY));
+const bankStorage = new BankStorage("quizBank", storageAdapter);
+const subjectManager = new SubjectManager();
+
+// The built-in bank is only used to seed the very first run; after that the
+// saved copy (including everything teachers added) is the source of truth.
+let savedBank = null;
+// Reported once the page (and its dialog) is set up
+let bankLoadError = null;
+try {
+    savedBank = bankStorage.load();
+} catch (err) {
+    bankLoadError = err;
+}
+
+let quizService;
+if (savedBank) {
+    savedBank.subjects.forEach(sub => subjectManager.addSubject(sub.key, sub.label, sub.ownerId, sub.scoringPolicy));
+    quizService = new QuizService(savedBank.questionsDb, subjectManager, bankStorage, savedBank.revisions);
+} else {
+    DEFAULT_SUBJECTS.forEach(sub => subjectManager.addSubject(sub.key, sub.label));
+    // Never write over a bank we could not read (e.g. one saved by a newer version)
+    quizService = new QuizService(QUESTIONS_DB, subjectManager, bankLoadError ? null : bankStorage);
+    // A device without the teacher token gets the quiz server's bank on its first sync
+    if (storageAdapter.canWrite("quizBank")) quizService.persist();
+}
+
+const quizSessionStore = new QuizSessionStore("activeQuizzes");
+const reviewScheduler = new ReviewScheduler("reviewSchedules");
+const assessmentManager = new AssessmentManager("assessments", "assessmentAttempts", storageAdapter);
+const teacherAuth = new TeacherAuth("teacherAccounts", "teacherSession");
+
+let currentQuiz = null;
+let timerInterval = null;
+let integrityMonitor = null;
+
+let currentUser = {
+    role: null, // "student" or "teacher"
+    name: null,
+    id: null
+};
+
+// DOM elements
+const authSection = document.getElementById("auth-section");
+const homeSection = document.getElementById("home-section");
+const quizSection = document.getElementById("quiz-section");
+const resultSection = document.getElementById("result-section");
+const teacherSection = document.getElementById("teacher-section");
+const historySection = document.getElementById("history-section");
+
+const PAGE_TITLE = document.title;
+const languageSelect = document.getElementById("language-select");
+const headerUserInfo = document.getElementById("header-user-info");
+const syncStatus = document.getElementById("sync-status");
+const logoutBtn = document.getElementById("logout-btn");
+
+const studentNameInput = document.getElementById("student-name");
+const studentIdInput = document.getElementById("student-id");
+const studentLoginBtn = document.getElementById("student-login-btn");
+
+const teacherUsernameInput = document.getElementById("teacher-username");
+const teacherPasswordInput = document.getElementById("teacher-password");
+const teacherLoginBtn = document.getElementById("teacher-login-btn");
+const teacherLoginCard = document.getElementById("teacher-login-card");
+const teacherSetupCard = document.getElementById("teacher-setup-card");
+const setupUsernameInput = document.getElementById("setup-username");
+const setupDisplayNameInput = document.getElementById("setup-display-name");
+const setupPasswordInput = document.getElementById("setup-password");
+const setupPasswordConfirmInput = document.getElementById("setup-password-confirm");
+const setupAdminBtn = document.getElementById("setup-admin-btn");
+
+const subjectSelect = document.getElementById("subject");
+const startForm = document.getElementById("start-form");
+const questionCountSelect = document.getElementById("question-count");
+const quizModeSelect = document.getElementById("quiz-mode");
+const customTimeInput = document.getElementById("custom-time");
+const questionTimeLimitSelect = document.getElementById("question-time-limit");
+
+const quizSubjectTitle = document.getElementById("quiz-subject-title");
+const quizUsernameDisplay = document.getElementById("quiz-username-display");
+const questionCounter = document.getElementById("question-counter");
+const timerDisplay = document.getElementById("timer");
+const timerAnnouncement = document.getElementById("timer-announcement");
+const integrityBanner = document.getElementById("integrity-banner");
+const integrityStatus = document.getElementById("integrity-status");
+const integrityFullscreenBtn = document.getElementById("integrity-fullscreen-btn");
+const questionText = document.getElementById("question-text");
+const optionsList = document.getElementById("options-list");
+const reviewFeedback = document.getElementById("review-feedback");
+const questionNavigator = document.getElementById("question-navigator");
+const navigatorGrid = document.getElementById("navigator-grid");
+const quizQuestionArea = document.getElementById("quiz-question-area");
+const flagBtn = document.getElementById("flag-btn");
+const clearAnswerBtn = document.getElementById("clear-answer-btn");
+const hintBtn = document.getElementById("hint-btn");
+const questionHint = document.getElementById("question-hint");
+const questionExplanation = document.getElementById("question-explanation");
+const submitSummary = document.getElementById("submit-summary");
+const submitSummaryCounts = document.getElementById("submit-summary-counts");
+const submitSummaryUnansweredBlock = document.getElementById("submit-summary-unanswered-block");
+const submitSummaryUnanswered = document.getElementById("submit-summary-unanswered");
+const submitSummaryFlaggedBlock = document.getElementById("submit-summary-flagged-block");
+const submitSummaryFlagged = document.getElementById("submit-summary-flagged");
+const summaryBackBtn = document.getElementById("summary-back-btn");
+const summarySubmitBtn = document.getElementById("summary-submit-btn");
+
+const prevBtn = document.getElementById("prev-btn");
+const nextBtn = document.getElementById("next-btn");
+const checkAnswerBtn = document.getElementById("check-answer-btn");
+const submitBtn = document.getElementById("submit-btn");
+
+const resultUsername = document.getElementById("result-username");
+const resultSubject = document.getElementById("result-subject");
+const resultScore = document.getElementById("result-score");
+const resultPercentage = document.getElementById("result-percentage");
+const resultGrade = document.getElementById("result-grade");
+const resultTimeUsed = document.getElementById("result-time-used");
+const resultTimeStatus = document.getElementById("result-time-status");
+const resultAttempted = document.getElementById("result-attempted");
+const resultAbilityRow = document.getElementById("result-ability-row");
+const resultAbility = document.getElementById("result-ability");
+const resultNotice = document.getElementById("result-notice");
+const resultHeading = document.getElementById("result-heading");
+const answersReview = document.getElementById("answers-review");
+
+const retryBtn = document.getElementById("retry-btn");
+const changeConfigBtn = document.getElementById("change-config-btn");
+
+const teacherAccountInfo = document.getElementById("teacher-account-info");
+const currentPasswordInput = document.getElementById("current-password");
+const newPasswordInput = document.getElementById("new-password");
+const newPasswordConfirmInput = document.getElementById("new-password-confirm");
+const changePasswordBtn = document.getElementById("change-password-btn");
+const teacherAccountsAdmin = document.getElementById("teacher-accounts-admin");
+const newTeacherUsernameInput = document.getElementById("new-teacher-username");
+const newTeacherDisplayNameInput = document.getElementById("new-teacher-display-name");
+const newTeacherPasswordInput = document.getElementById("new-teacher-password");
+const newTeacherIsAdminInput = document.getElementById("new-teacher-is-admin");
+const createTeacherBtn = document.getElementById("create-teacher-btn");
+const teacherAccountsList = document.getElementById("teacher-accounts-list");
+
+const newSubjectKeyInput = document.getElementById("new-subject-key");
+const newSubjectLabelInput = document.getElementById("new-subject-label");
+const addSubjectBtn = document.getElementById("add-subject-btn");
+const adminSubjectSelect = document.getElementById("admin-subject-select");
+const adminQuestionTypeSelect = document.getElementById("admin-question-type");
+const adminQuestionText = document.getElementById("admin-question-text");
+const addQuestionBtn = document.getElementById("add-question-btn");
+const cancelQuestionEditBtn = document.getElementById("cancel-question-edit-btn");
+const adminQuestionFormTitle = document.getElementById("admin-question-form-title");
+const bankBrowserSubjectSelect = document.getElementById("bank-browser-subject");
+const bankBrowserSearchInput = document.getElementById("bank-browser-search");
+const bankBrowserSummary = document.getElementById("bank-browser-summary");
+const bankBrowserList = document.getElementById("bank-browser-list");
+const renameSubjectBtn = document.getElementById("rename-subject-btn");
+const deleteSubjectBtn = document.getElementById("delete-subject-btn");
+const adminChoiceFields = document.getElementById("admin-choice-fields");
+const adminOptionsList = document.getElementById("admin-options-list");
+const adminAddOptionBtn = document.getElementById("admin-add-option-btn");
+const adminTrueFalseFields = document.getElementById("admin-truefalse-fields");
+const adminNumericFields = document.getElementById("admin-numeric-fields");
+const adminNumericValueInput = document.getElementById("admin-numeric-value");
+const adminNumericToleranceInput = document.getElementById("admin-numeric-tolerance");
+const adminShortFields = document.getElementById("admin-short-fields");
+const adminShortAnswersInput = document.getElementById("admin-short-answers");
+const adminShortCaseSensitiveInput = document.getElementById("admin-short-case-sensitive");
+const adminQuestionPointsInput = document.getElementById("admin-question-points");
+const adminQuestionDifficultySelect = document.getElementById("admin-question-difficulty");
+const adminQuestionTagsInput = document.getElementById("admin-question-tags");
+const adminQuestionExplanationInput = document.getElementById("admin-question-explanation");
+const adminQuestionHintInput = document.getElementById("admin-question-hint");
+const adminQuestionReferenceInput = document.getElementById("admin-question-reference");
+const adminQuestionReferenceUrlInput = document.getElementById("admin-question-reference-url");
+const adminQuestionForm = document.getElementById("admin-question-form");
+const adminQuestionImageInput = document.getElementById("admin-question-image");
+const adminQuestionImagesList = document.getElementById("admin-question-images");
+const adminPreviewEmpty = document.getElementById("admin-preview-empty");
+const adminPreviewText = document.getElementById("admin-preview-text");
+const adminPreviewOptions = document.getElementById("admin-preview-options");
+const adminPreviewNotes = document.getElementById("admin-preview-notes");
+const adminBnTextInput = document.getElementById("admin-bn-text");
+const adminBnOptionsFields = document.getElementById("admin-bn-options-fields");
+const adminBnOptionsInput = document.getElementById("admin-bn-options");
+const adminBnAnswersFields = document.getElementById("admin-bn-answers-fields");
+const adminBnAnswersInput = document.getElementById("admin-bn-answers");
+const adminBnExplanationInput = document.getElementById("admin-bn-explanation");
+const adminBnHintInput = document.getElementById("admin-bn-hint");
+const policySubjectSelect = document.getElementById("policy-subject-select");
+const policyPointsInput = document.getElementById("policy-points-per-question");
+const policyWrongPenaltyInput = document.getElementById("policy-wrong-penalty");
+const policyHintPenaltyInput = document.getElementById("policy-hint-penalty");
+const policyPartialCreditInput = document.getElementById("policy-partial-credit");
+const policyGradeScaleInput = document.getElementById("policy-grade-scale");
+const savePolicyBtn = document.getElementById("save-policy-btn");
+const resetPolicyBtn = document.getElementById("reset-policy-btn");
+
+const bankExportSubjectSelect = document.getElementById("bank-export-subject");
+const bankExportFormatSelect = document.getElementById("bank-export-format");
+const bankExportBtn = document.getElementById("bank-export-btn");
+const bankImportFileInput = document.getElementById("bank-import-file");
+const bankImportFormatSelect = document.getElementById("bank-import-format");
+const bankImportTargetSelect = document.getElementById("bank-import-target");
+const bankImportPreviewBtn = document.getElementById("bank-import-preview-btn");
+const bankImportPreview = document.getElementById("bank-import-preview");
+const bankImportSummary = document.getElementById("bank-import-summary");
+const bankImportTableBody = document.querySelector("#bank-import-table tbody");
+const bankImportConfirmBtn = document.getElementById("bank-import-confirm-btn");
+const bankImportCancelBtn = document.getElementById("bank-import-cancel-btn");
+
+const resultsTableBody = document.querySelector("#results-table tbody");
+const resultsSearchInput = document.getElementById("results-search");
+const resultsSubjectFilter = document.getElementById("results-subject-filter");
+const resultsDateFrom = document.getElementById("results-date-from");
+const resultsDateTo = document.getElementById("results-date-to");
+const resultsFlaggedOnly = document.getElementById("results-flagged-only");
+const resultsViewSelect = document.getElementById("results-view");
+const gradebookModeSelect = document.getElementById("gradebook-mode");
+const resultsPageSizeSelect = document.getElementById("results-page-size");
+const resultsCount = document.getElementById("results-count");
+const exportResultsCsvBtn = document.getElementById("export-results-csv-btn");
+const resultsStorageNote = document.getElementById("results-storage-note");
+const storageStatus = document.getElementById("storage-status");
+const storageServerUrlInput = document.getElementById("storage-server-url");
+const storageServerTokenInput = document.getElementById("storage-server-token");
+const storageConnectBtn = document.getElementById("storage-connect-btn");
+const storageSyncBtn = document.getElementById("storage-sync-btn");
+const storageLocalBtn = document.getElementById("storage-local-btn");
+const resultsRowsWrapper = document.getElementById("results-rows-wrapper");
+const gradebookWrapper = document.getElementById("gradebook-wrapper");
+const gradebookTableHead = document.querySelector("#gradebook-table thead");
+const gradebookTableBody = document.querySelector("#gradebook-table tbody");
+const resultsPrevPageBtn = document.getElementById("results-prev-page");
+const resultsNextPageBtn = document.getElementById("results-next-page");
+const resultsPageInfo = document.getElementById("results-page-info");
+
+const analysisSubjectSelect = document.getElementById("analysis-subject-select");
+const analysisSummary = document.getElementById("analysis-summary");
+const analysisTableBody = document.querySelector("#analysis-table tbody");
+
+const printReport = document.getElementById("print-report");
+const reportStudent = document.getElementById("report-student");
+const reportSubject = document.getElementById("report-subject");
+const reportScore = document.getElementById("report-score");
+const reportPercentage = document.getElementById("report-percentage");
+const reportGrade = document.getElementById("report-grade");
+const reportAttempted = document.getElementById("report-attempted");
+const reportHintsRow = document.getElementById("report-hints-row");
+const reportHints = document.getElementById("report-hints");
+const reportAbilityRow = document.getElementById("report-ability-row");
+const reportAbility = document.getElementById("report-ability");
+const reportTimeUsed = document.getElementById("report-time-used");
+const reportTimeStatus = document.getElementById("report-time-status");
+const reportTakenAt = document.getElementById("report-taken-at");
+const reportIntegrity = document.getElementById("report-integrity");
+const reportIntegritySection = document.getElementById("report-integrity-section");
+const reportIntegrityLog = document.getElementById("report-integrity-log");
+const reportGeneratedAt = document.getElementById("report-generated-at");
+const reportReview = document.getElementById("report-review");
+const reportNoReview = document.getElementById("report-no-review");
+const closeReportBtn = document.getElementById("close-report-btn");
+const reportPresentedSection = document.getElementById("report-presented-section");
+const reportPresented = document.getElementById("report-presented");
+
+const studentAssessmentsList = document.getElementById("student-assessments-list");
+const studentAssessmentsEmpty = document.getElementById("student-assessments-empty");
+const reviewSubjectsList = document.getElementById("review-subjects-list");
+
+const myAttemptsBtn = document.getElementById("my-attempts-btn");
+const historyBackBtn = document.getElementById("history-back-btn");
+const historyEmpty = document.getElementById("history-empty");
+const historySummaryTableBody = document.querySelector("#history-summary-table tbody");
+const historySubjectFilter = document.getElementById("history-subject-filter");
+const historyChart = document.getElementById("history-chart");
+const historyTableBody = document.querySelector("#history-table tbody");
+const historyReviewCard = document.getElementById("history-review-card");
+const historyReviewTitle = document.getElementById("history-review-title");
+const historyReviewEmpty = document.getElementById("history-review-empty");
+const historyReview = document.getElementById("history-review");
+const assessmentFormTitle = document.getElementById("assessment-form-title");
+const assessmentTitleInput = document.getElementById("assessment-title");
+const assessmentSubjectSelect = document.getElementById("assessment-subject-select");
+const assessmentQuestionModeSelect = document.getElementById("assessment-question-mode");
+const assessmentRandomFields = document.getElementById("assessment-random-fields");
+const assessmentQuestionCountInput = document.getElementById("assessment-question-count");
+const assessmentFixedFields = document.getElementById("assessment-fixed-fields");
+const assessmentQuestionPicker = document.getElementById("assessment-question-picker");
+const assessmentBlueprintFields = document.getElementById("assessment-blueprint-fields");
+const assessmentBlueprintInput = document.getElementById("assessment-blueprint");
+const assessmentPoolSummary = document.getElementById("assessment-pool-summary");
+const assessmentTimeLimitInput = document.getElementById("assessment-time-limit");
+const assessmentQuestionTimeLimitInput = document.getElementById("assessment-question-time-limit");
+const assessmentSectionsInput = document.getElementById("assessment-sections");
+const assessmentWarningsInput = document.getElementById("assessment-warnings");
+const assessmentEnforceFullscreenInput = document.getElementById("assessment-enforce-fullscreen");
+const assessmentMaxViolationsInput = document.getElementById("assessment-max-violations");
+const assessmentOpensAtInput = document.getElementById("assessment-opens-at");
+const assessmentClosesAtInput = document.getElementById("assessment-closes-at");
+const assessmentMaxAttemptsInput = document.getElementById("assessment-max-attempts");
+const assessmentAttemptPolicySelect = document.getElementById("assessment-attempt-policy");
+const assessmentStudentIdsInput = document.getElementById("assessment-student-ids");
+const assessmentCustomPolicyInput = document.getElementById("assessment-custom-policy");
+const assessmentPolicyFields = document.getElementById("assessment-policy-fields");
+const assessmentPolicyPointsInput = document.getElementById("assessment-policy-points");
+const assessmentPolicyWrongPenaltyInput = document.getElementById("assessment-policy-wrong-penalty");
+const assessmentPolicyHintPenaltyInput = document.getElementById("assessment-policy-hint-penalty");
+const assessmentPolicyPartialCreditInput = document.getElementById("assessment-policy-partial-credit");
+const assessmentPolicyGradeScaleInput = document.getElementById("assessment-policy-grade-scale");
+const saveAssessmentBtn = document.getElementById("save-assessment-btn");
+const cancelAssessmentEditBtn = document.getElementById("cancel-assessment-edit-btn");
+const assessmentsList = document.getElementById("assessments-list");
+const assessmentsEmpty = document.getElementById("assessments-empty");
+
+const dialogBackdrop = document.getElementById("dialog-backdrop");
+const appDialog = document.getElementById("app-dialog");
+const dialogTitle = document.getElementById("dialog-title");
+const dialogMessage = document.getElementById("dialog-message");
+const dialogInput = document.getElementById("dialog-input");
+const dialogOkBtn = document.getElementById("dialog-ok-btn");
+const dialogCancelBtn = document.getElementById("dialog-cancel-btn");
+const liveAnnouncer = document.getElementById("live-announcer");
+
+const bankTransfer = new QuestionBankTransfer(quizService);
+let pendingImport = null;
+let adminQuestionImages = {};
+let editingAssessmentId = null;
+let editingQuestionId = null;
+let resultsPage = 1;
+let resultsSort = { key: "takenAt", direction: "desc" };
+let gradebookSort = { key: "studentName", direction: "asc" };
+
+// Helpers
+// The page's own English text is the catalog key, remembered on the element
+// the first time so switching back and forth keeps working
+function applyTranslations() {
+    document.documentElement.lang = translator.locale;
+    document.title = t(PAGE_TITLE);
+    document.querySelectorAll("[data-i18n]").forEach(el => {
+        if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim().replace(/\s+/g, " ");
+        el.textContent = t(el.dataset.i18n);
+    });
+    document.querySelectorAll("[data-i18n-placeholder]").forEach(el => {
+        if (!el.dataset.i18nPlaceholder) el.dataset.i18nPlaceholder = el.placeholder;
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll("[data-i18n-title]").forEach(el => {
+        if (!el.dataset.i18nTitle) el.dataset.i18nTitle = el.title;
+        el.title = t(el.dataset.i18nTitle);
+    });
+}
+
+function renderHeaderUserInfo() {
+    if (currentUser.role === "teacher") {
+        headerUserInfo.textContent = t("Logged in as Teacher: {name}", { name: currentUser.name });
+    } else if (currentUser.role === "student") {
+        headerUserInfo.textContent = t("Logged in as Student: {name} ({id})", { name: currentUser.name, id: currentUser.id });
+    } else {
+        headerUserInfo.textContent = t("Not logged in");
+    }
+}
+
+// Everything the script wrote in the old language is drawn again; a quiz in
+// progress keeps its answers and its clock
+function changeLanguage(locale) {
+    translator.setLocale(locale);
+    applyTranslations();
+    renderHeaderUserInfo();
+    renderSyncStatus();
+    populateSubjectSelects();
+    if (!quizSection.classList.contains("hidden") && currentQuiz) {
+        renderQuizHeader();
+        renderQuestion();
+        if (currentQuiz instanceof TimedQuiz && currentQuiz.timeLimitInSeconds !== null) updateTimerDisplay();
+        else timerDisplay.textContent = t("Untimed");
+        if (integrityMonitor) renderIntegrityBanner();
+    } else if (!homeSection.classList.contains("hidden")) {
+        renderStudentAssessments();
+        renderReviewSubjects();
+    } else if (!historySection.classList.contains("hidden")) {
+        showHistory();
+    } else if (!resultSection.classList.contains("hidden")) {
+        updateRetryButton();
+    } else if (!teacherSection.classList.contains("hidden")) {
+        const account = teacherAuth.getSessionAccount();
+        if (!account) return;
+        renderResultsTable();
+        renderItemAnalysis();
+        renderTeacherAccounts(account);
+        renderAssessmentsList(account);
+        renderAssessmentFormTitle();
+        renderAdminQuestionFormTitle();
+        renderStorageStatus();
+        renumberAdminOptionRows();
+        renderAdminQuestionPreview();
+    }
+}
+
+// In-page stand-ins for alert(), confirm() and prompt(). Screen readers
+// announce them, focus stays inside until they close and then returns to
+// where it was. One is open at a time; later calls wait their turn.
+let dialogQueue = Promise.resolve();
+let closeOpenDialog = null;
+
+function showDialog({ title, message, input = null, okLabel = t("OK"), cancelLabel = null }) {
+    const result = dialogQueue.then(() => new Promise(resolve => {
+        const returnFocus = document.activeElement;
+        dialogTitle.textContent = title;
+        dialogMessage.textContent = message;
+        dialogInput.value = input ?? "";
+        dialogInput.classList.toggle("hidden", input === null);
+        dialogOkBtn.textContent = okLabel;
+        dialogCancelBtn.textContent = cancelLabel || "";
+        dialogCancelBtn.classList.toggle("hidden", !cancelLabel);
+        dialogBackdrop.classList.remove("hidden");
+        (input === null ? dialogOkBtn : dialogInput).focus();
+        closeOpenDialog = confirmed => {
+            closeOpenDialog = null;
+            dialogBackdrop.classList.add("hidden");
+            if (returnFocus && returnFocus.focus) returnFocus.focus();
+            if (input === null) resolve(confirmed);
+            else resolve(confirmed ? dialogInput.value : null);
+        };
+    }));
+    dialogQueue = result;
+    return result;
+}
+
+function showAlert(message) {
+    return showDialog({ title: t("Notice"), message });
+}
+
+// Resolves to true or false
+function showConfirm(message) {
+    return showDialog({ title: t("Please Confirm"), message, cancelLabel: t("Cancel") });
+}
+
+// Resolves to the text entered, or null when cancelled
+function showPrompt(message, defaultValue = "") {
+    return showDialog({ title: t("Please Enter"), message, input: defaultValue, cancelLabel: t("Cancel") });
+}
+
+function isDialogOpen() {
+    return closeOpenDialog !== null;
+}
+
+// Tab and Shift+Tab cycle through the dialog's own controls
+function handleDialogKeydown(event) {
+    if (event.key === "Escape") {
+        event.preventDefault();
+        closeOpenDialog(false);
+    } else if (event.key === "Enter" && event.target === dialogInput) {
+        event.preventDefault();
+        closeOpenDialog(true);
+    } else if (event.key === "Tab") {
+        const focusable = [dialogInput, dialogCancelBtn, dialogOkBtn].filter(el => !el.classList.contains("hidden"));
+        const idx = focusable.indexOf(document.activeElement);
+        const next = event.shiftKey ? idx - 1 : idx + 1;
+        event.preventDefault();
+        focusable[(next + focusable.length) % focusable.length].focus();
+    }
+}
+
+// Cleared first so a message repeated word for word is still read out
+function announce(message) {
+    liveAnnouncer.textContent = "";
+    setTimeout(() => {
+        liveAnnouncer.textContent = message;
+    }, 100);
+}
+
+function showSection(section) {
+    [authSection, homeSection, quizSection, resultSection, teacherSection, historySection].forEach(sec => sec.classList.add("hidden"));
+    section.classList.remove("hidden");
+}
+
+function fillSubjectSelect(select, emptyLabel = null, filter = () => true) {
+    const previous = select.value;
+    select.innerHTML = "";
+    if (emptyLabel) {
+        const opt = document.createElement("option");
+        opt.value = "";
+        opt.textContent = emptyLabel;
+        select.appendChild(opt);
+    }
+    subjectManager.getAllSubjects().filter(filter).forEach(sub => {
+        const opt = document.createElement("option");
+        opt.value = sub.key;
+        opt.textContent = sub.label;
+        select.appendChild(opt);
+    });
+    if ([...select.options].some(o => o.value === previous)) {
+        select.value = previous;
+    }
+}
+
+function populateSubjectSelects() {
+    const account = teacherAuth.getSessionAccount();
+    const editable = sub => teacherAuth.canEditSubject(account, sub.ownerId);
+    fillSubjectSelect(subjectSelect);
+    fillSubjectSelect(adminSubjectSelect, null, editable);
+    fillSubjectSelect(bankExportSubjectSelect, t("All subjects"));
+    fillSubjectSelect(bankImportTargetSelect, t("Subjects named in the file"), editable);
+    fillSubjectSelect(analysisSubjectSelect, t("All subjects"));
+    fillSubjectSelect(policySubjectSelect, null, editable);
+    fillSubjectSelect(bankBrowserSubjectSelect, null, editable);
+    renderQuestionBank();
+    loadScoringPolicyForm();
+    fillSubjectSelect(assessmentSubjectSelect, null, editable);
+    renderAssessmentQuestionPicker(getPickedAssessmentQuestionIds());
+}
+
+function loadScoringPolicyForm() {
+    const subjectKey = policySubjectSelect.value;
+    const policy = subjectKey ? quizService.getScoringPolicy(subjectKey) : new ScoringPolicy();
+    policyPointsInput.value = policy.pointsPerQuestion ?? "";
+    policyWrongPenaltyInput.value = policy.wrongPenalty;
+    policyHintPenaltyInput.value = policy.hintPenalty;
+    policyPartialCreditInput.checked = policy.partialCredit;
+    policyGradeScaleInput.value = ScoringPolicy.formatGradeScale(policy.gradeScale);
+}
+
+function readScoringPolicyForm() {
+    return new ScoringPolicy(
+        policyPointsInput.value === "" ? null : Number(policyPointsInput.value),
+        policyWrongPenaltyInput.value === "" ? 0 : Number(policyWrongPenaltyInput.value),
+        policyPartialCreditInput.checked,
+        ScoringPolicy.parseGradeScale(policyGradeScaleInput.value),
+        policyHintPenaltyInput.value === "" ? 0 : Number(policyHintPenaltyInput.value)
+    );
+}
+
+// Every teacher-only action goes through this instead of checking
+// currentUser.role, so an expired session is caught on the spot.
+function requireTeacher(deniedMessage) {
+    const account = teacherAuth.getSessionAccount();
+    if (!account) {
+        if (currentUser.role === "teacher") {
+            showAlert(t("Your teacher session has expired. Please log in again."));
+            logout();
+        } else {
+            showAlert(deniedMessage);
+        }
+        return null;
+    }
+    teacherAuth.touch();
+    return account;
+}
+
+function canEditSubject(account, subjectKey) {
+    return teacherAuth.canEditSubject(account, subjectManager.getSubjectOwner(subjectKey));
+}
+
+function updateTeacherAuthCards() {
+    const needsSetup = !teacherAuth.hasAccounts();
+    teacherSetupCard.classList.toggle("hidden", !needsSetup);
+    teacherLoginCard.classList.toggle("hidden", needsSetup);
+}
+
+function renderTeacherAccounts(account) {
+    teacherAccountInfo.textContent = t("Signed in as {name} ({username})", { name: account.displayName, username: account.username }) +
+        (account.isAdmin ? ` • ${t("Administrator")}` : "");
+    teacherAccountsAdmin.classList.toggle("hidden", !account.isAdmin);
+    teacherAccountsList.innerHTML = "";
+    if (!account.isAdmin) return;
+    teacherAuth.getAccounts().forEach(a => {
+        const li = document.createElement("li");
+        li.textContent = `${a.displayName} – ${a.username}${a.isAdmin ? ` • ${t("Admin")}` : ""}`;
+        teacherAccountsList.appendChild(li);
+    });
+}
+
+function enterTeacherDashboard(account) {
+    currentUser = {
+        role: "teacher",
+        name: account.displayName,
+        id: account.id
+    };
+    renderHeaderUserInfo();
+    logoutBtn.classList.remove("hidden");
+    renderResultsTable();
+    populateSubjectSelects();
+    renderItemAnalysis();
+    renderTeacherAccounts(account);
+    renderAssessmentsList(account);
+    renderStorageStatus();
+    storageServerUrlInput.value = storageAdapter.mode === "server" ? storageAdapter.baseUrl : "";
+    storageServerTokenInput.value = storageAdapter.mode === "server" ? storageAdapter.token || "" : "";
+    showSection(teacherSection);
+}
+
+function logout() {
+    // An unfinished quiz stays saved and is offered again at next login
+    stopTimer();
+    stopIntegrityMonitor();
+    currentQuiz = null;
+    if (currentUser.role === "teacher") {
+        teacherAuth.logout();
+    }
+    currentUser = { role: null, name: null, id: null };
+    renderHeaderUserInfo();
+    logoutBtn.classList.add("hidden");
+    updateTeacherAuthCards();
+    showSection(authSection);
+}
+
+function addAdminOptionRow(value = "", isCorrect = false) {
+    const row = document.createElement("div");
+    row.classList.add("admin-option-row");
+
+    const marker = document.createElement("input");
+    marker.type = adminQuestionTypeSelect.value === "multi" ? "checkbox" : "radio";
+    marker.name = "admin-correct-option";
+    marker.classList.add("admin-correct-marker");
+    marker.title = t("Correct answer");
+    marker.checked = isCorrect;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.classList.add("admin-option");
+    input.value = value;
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.classList.add("btn", "secondary-btn", "icon-btn");
+    removeBtn.textContent = "✕";
+    removeBtn.title = t("Remove option");
+    removeBtn.addEventListener("click", () => {
+        if (adminOptionsList.children.length <= 2) {
+            showAlert(t("A question needs at least two options."));
+            return;
+        }
+        row.remove();
+        renumberAdminOptionRows();
+        renderAdminQuestionPreview();
+    });
+
+    row.append(marker, input, removeBtn);
+    adminOptionsList.appendChild(row);
+    renumberAdminOptionRows();
+}
+
+function renumberAdminOptionRows() {
+    adminOptionsList.querySelectorAll(".admin-option").forEach((input, idx) => {
+        input.placeholder = t("Option {number}", { number: idx + 1 });
+    });
+}
+
+function renderAdminQuestionFormTitle() {
+    adminQuestionFormTitle.textContent = editingQuestionId ? t("Edit Question #{id}", { id: editingQuestionId }) : t("Add New Question");
+    addQuestionBtn.textContent = editingQuestionId ? t("Save Changes") : t("Add Question");
+    cancelQuestionEditBtn.classList.toggle("hidden", !editingQuestionId);
+}
+
+function resetAdminQuestionForm() {
+    editingQuestionId = null;
+    renderAdminQuestionFormTitle();
+    adminQuestionText.value = "";
+    adminOptionsList.innerHTML = "";
+    for (let i = 0; i < 4; i++) {
+        addAdminOptionRow("", i === 0);
+    }
+    document.querySelector('input[name="admin-truefalse"][value="true"]').checked = true;
+    adminNumericValueInput.value = "";
+    adminNumericToleranceInput.value = "0";
+    adminShortAnswersInput.value = "";
+    adminShortCaseSensitiveInput.checked = false;
+    adminQuestionPointsInput.value = "1";
+    adminQuestionDifficultySelect.value = "medium";
+    adminQuestionTagsInput.value = "";
+    adminQuestionExplanationInput.value = "";
+    adminQuestionHintInput.value = "";
+    adminQuestionReferenceInput.value = "";
+    adminQuestionReferenceUrlInput.value = "";
+    adminBnTextInput.value = "";
+    adminBnOptionsInput.value = "";
+    adminBnAnswersInput.value = "";
+    adminBnExplanationInput.value = "";
+    adminBnHintInput.value = "";
+    adminQuestionImages = {};
+    adminQuestionImageInput.value = "";
+    renderAdminQuestionImages();
+    renderAdminQuestionPreview();
+}
+
+const ADMIN_IMAGE_MAX_BYTES = 200 * 1024;
+
+function renderAdminQuestionImages() {
+    adminQuestionImagesList.innerHTML = "";
+    Object.entries(adminQuestionImages).forEach(([name, src]) => {
+        const li = document.createElement("li");
+        li.classList.add("attached-image");
+        const thumb = document.createElement("img");
+        thumb.src = src;
+        thumb.alt = name;
+        const label = document.createElement("code");
+        label.textContent = `![${name}](${name})`;
+        const removeBtn = document.createElement("button");
+        removeBtn.type = "button";
+        removeBtn.classList.add("btn", "secondary-btn", "icon-btn");
+        removeBtn.textContent = "✕";
+        removeBtn.title = t("Remove image");
+        removeBtn.addEventListener("click", () => {
+            delete adminQuestionImages[name];
+            renderAdminQuestionImages();
+            renderAdminQuestionPreview();
+        });
+        li.append(thumb, label, removeBtn);
+        adminQuestionImagesList.appendChild(li);
+    });
+}
+
+// Image names come from the file name, with a counter when it is taken
+function getAdminImageName(fileName) {
+    const base = fileName.replace(/\.[^.]*$/, "").toLowerCase().replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "") || "image";
+    let name = base;
+    for (let n = 2; name in adminQuestionImages; n++) {
+        name = `${base}-${n}`;
+    }
+    return name;
+}
+
+function insertIntoQuestionText(snippet) {
+    const start = adminQuestionText.selectionStart ?? adminQuestionText.value.length;
+    const end = adminQuestionText.selectionEnd ?? start;
+    const value = adminQuestionText.value;
+    adminQuestionText.value = value.slice(0, start) + snippet + value.slice(end);
+    adminQuestionText.selectionStart = adminQuestionText.selectionEnd = start + snippet.length;
+}
+
+function attachAdminQuestionImage(file) {
+    if (!/^image\/(png|jpeg|gif|webp)$/.test(file.type)) {
+        showAlert(t("Please choose a PNG, JPEG, GIF or WebP image."));
+        return;
+    }
+    if (file.size > ADMIN_IMAGE_MAX_BYTES) {
+        showAlert(t("This image is {size} KB; the limit is {limit} KB. Please resize it first.", { size: Math.ceil(file.size / 1024), limit: ADMIN_IMAGE_MAX_BYTES / 1024 }));
+        return;
+    }
+    const reader = new FileReader();
+    reader.addEventListener("load", () => {
+        const name = getAdminImageName(file.name);
+        adminQuestionImages[name] = reader.result;
+        insertIntoQuestionText(`![${name}](${name})`);
+        adminQuestionImageInput.value = "";
+        renderAdminQuestionImages();
+        renderAdminQuestionPreview();
+    });
+    reader.addEventListener("error", () => showAlert(t("Could not read the image file.")));
+    reader.readAsDataURL(file);
+}
+
+// Renders the form through the same code the quiz uses, so teachers see what students will
+function renderAdminQuestionPreview() {
+    const { type, fields } = readAdminQuestionFields();
+    const isEmpty = !fields.text;
+    adminPreviewEmpty.classList.toggle("hidden", !isEmpty);
+    adminPreviewText.classList.toggle("hidden", isEmpty);
+    adminPreviewOptions.classList.toggle("hidden", isEmpty);
+    adminPreviewOptions.innerHTML = "";
+    adminPreviewNotes.innerHTML = "";
+    if (isEmpty) return;
+    const q = Question.fromJSON({ ...fields, type, id: 0, subjectKey: adminSubjectSelect.value });
+    renderRichText(adminPreviewText, q.getText(translator.locale), q.images);
+    q.renderInput(adminPreviewOptions, undefined, () => {});
+    const hint = q.getHint(translator.locale);
+    const explanation = q.getExplanation(translator.locale);
+    if (hint) {
+        const note = document.createElement("div");
+        note.classList.add("question-note", "hint-note");
+        renderQuestionNote(note, t("Hint"), hint, q.images);
+        adminPreviewNotes.appendChild(note);
+    }
+    if (explanation || q.reference || q.referenceUrl) {
+        const note = document.createElement("div");
+        note.classList.add("question-note");
+        renderQuestionNote(note, t("Explanation"), explanation, q.images, q.reference, q.referenceUrl);
+        adminPreviewNotes.appendChild(note);
+    }
+}
+
+function updateAdminQuestionTypeFields() {
+    const type = adminQuestionTypeSelect.value;
+    const hasOptions = type === "single" || type === "multi";
+    adminChoiceFields.classList.toggle("hidden", !hasOptions);
+    adminTrueFalseFields.classList.toggle("hidden", type !== "truefalse");
+    adminNumericFields.classList.toggle("hidden", type !== "numeric");
+    adminShortFields.classList.toggle("hidden", type !== "short");
+    adminBnOptionsFields.classList.toggle("hidden", !hasOptions);
+    adminBnAnswersFields.classList.toggle("hidden", type !== "short");
+
+    const markerType = type === "multi" ? "checkbox" : "radio";
+    const markers = adminOptionsList.querySelectorAll(".admin-correct-marker");
+    const firstChecked = [...markers].findIndex(m => m.checked);
+    markers.forEach((marker, idx) => {
+        marker.type = markerType;
+        // Switching back to radios must leave a single answer ticked
+        if (markerType === "radio") marker.checked = idx === firstChecked;
+    });
+}
+
+// The reverse of readAdminQuestionFields, for editing a question from the bank
+function loadQuestionIntoForm(q) {
+    resetAdminQuestionForm();
+    editingQuestionId = q.id;
+    renderAdminQuestionFormTitle();
+    adminSubjectSelect.value = q.subjectKey;
+    adminQuestionTypeSelect.value = q.type;
+    updateAdminQuestionTypeFields();
+    adminQuestionText.value = q.text;
+    if (q.type === "single" || q.type === "multi") {
+        const correct = q.type === "multi" ? q.correctOptionIndexes : [q.correctOptionIndex];
+        adminOptionsList.innerHTML = "";
+        q.options.forEach((opt, idx) => addAdminOptionRow(opt, correct.includes(idx)));
+    } else if (q.type === "truefalse") {
+        document.querySelector(`input[name="admin-truefalse"][value="${q.correctValue}"]`).checked = true;
+    } else if (q.type === "numeric") {
+        adminNumericValueInput.value = q.correctValue;
+        adminNumericToleranceInput.value = q.tolerance;
+    } else if (q.type === "short") {
+        adminShortAnswersInput.value = q.acceptedAnswers.join("\n");
+        adminShortCaseSensitiveInput.checked = q.caseSensitive;
+    }
+    adminQuestionPointsInput.value = q.points;
+    adminQuestionDifficultySelect.value = q.difficulty;
+    adminQuestionTagsInput.value = q.tags.join(", ");
+    adminQuestionExplanationInput.value = q.explanation;
+    adminQuestionHintInput.value = q.hint;
+    adminQuestionReferenceInput.value = q.reference;
+    adminQuestionReferenceUrlInput.value = q.referenceUrl;
+    const bn = q.translations.bn || {};
+    adminBnTextInput.value = bn.text || "";
+    adminBnOptionsInput.value = (bn.options || []).join("\n");
+    adminBnAnswersInput.value = (bn.acceptedAnswers || []).join("\n");
+    adminBnExplanationInput.value = bn.explanation || "";
+    adminBnHintInput.value = bn.hint || "";
+    adminQuestionImages = { ...q.images };
+    renderAdminQuestionImages();
+    renderAdminQuestionPreview();
+    adminQuestionForm.scrollIntoView();
+    adminQuestionText.focus();
+}
+
+function renderQuestionBank() {
+    const subjectKey = bankBrowserSubjectSelect.value;
+    const total = (quizService.questionsDb[subjectKey] || []).length;
+    const questions = subjectKey ? quizService.searchQuestions(subjectKey, bankBrowserSearchInput.value) : [];
+    renameSubjectBtn.disabled = !subjectKey;
+    deleteSubjectBtn.disabled = !subjectKey;
+    bankBrowserSummary.textContent = subjectKey
+        ? t("Showing {shown} of {total} question(s).", { shown: questions.length, total })
+        : t("You do not own any subjects yet.");
+    bankBrowserList.innerHTML = "";
+    questions.forEach(q => bankBrowserList.appendChild(createBankQuestionItem(q)));
+}
+
+function createBankQuestionItem(q) {
+    const li = document.createElement("li");
+    const info = document.createElement("span");
+    const tags = q.tags.length ? ` [${q.tags.join(", ")}]` : "";
+    info.textContent = `#${q.id} (${t(q.difficulty)}, ${t("revision {number}", { number: quizService.getRevisionNumber(q.id) })}) ${q.getText(translator.locale)}${tags}`;
+    const history = document.createElement("ul");
+    history.classList.add("plain-list", "revision-list", "hidden");
+
+    const actions = document.createElement("span");
+    actions.classList.add("assessment-actions");
+    const addAction = (label, onClick) => {
+        const btn = document.createElement("button");
+        btn.classList.add("btn", "secondary-btn", "icon-btn");
+        btn.textContent = label;
+        btn.addEventListener("click", onClick);
+        actions.appendChild(btn);
+        return btn;
+    };
+    // Checked again on click: the session or the subject's owner may have
+    // changed since the list was drawn
+    const requireSubjectEditor = message => {
+        const account = requireTeacher(message);
+        if (!account) return false;
+        if (!canEditSubject(account, q.subjectKey)) {
+            showAlert(t("You can only change questions in your own subjects."));
+            return false;
+        }
+        return true;
+    };
+    addAction(t("Edit"), () => {
+        if (!requireSubjectEditor(t("Only teachers can edit questions."))) return;
+        loadQuestionIntoForm(q);
+    });
+    addAction(t("Duplicate"), () => {
+        if (!requireSubjectEditor(t("Only teachers can add questions."))) return;
+        let copy;
+        try {
+            copy = quizService.duplicateQuestion(q.id);
+        } catch (err) {
+            showAlert(err.message);
+            return;
+        }
+        renderQuestionBank();
+        showAlert(t("Question #{id} was added as a copy of #{source}.", { id: copy.id, source: q.id }));
+    });
+    const historyBtn = addAction(t("History"), () => {
+        const opening = history.classList.contains("hidden");
+        if (opening) renderRevisionHistory(history, q.id);
+        history.classList.toggle("hidden", !opening);
+        historyBtn.setAttribute("aria-expanded", String(opening));
+    });
+    historyBtn.setAttribute("aria-expanded", "false");
+    addAction(t("Delete"), async () => {
+        if (!requireSubjectEditor(t("Only teachers can delete questions."))) return;
+        const broken = quizService.findAssessmentsBrokenByRemoving(assessmentManager.getAll(), other => other.id === q.id);
+        if (broken.length) {
+            showAlert(t("Question #{id} cannot be deleted because these assessments could no longer be started: {details}", { id: q.id, details: describeBrokenAssessments(broken) }));
+            return;
+        }
+        const usedBy = assessmentManager.getAll().filter(a => a.usesFixedQuestions && a.questionIds.includes(q.id)).length;
+        let message = t("Delete question #{id}? Its history is kept, so stored results still show it.", { id: q.id });
+        if (usedBy) message += ` ${t("It is part of {count} assessment(s) with a fixed question set, which will leave it out from now on.", { count: usedBy })}`;
+        if (!await showConfirm(message)) return;
+        try {
+            quizService.deleteQuestion(q.id);
+        } catch (err) {
+            showAlert(err.message);
+            return;
+        }
+        if (editingQuestionId === q.id) resetAdminQuestionForm();
+        renderQuestionBank();
+        renderAssessmentQuestionPicker(getPickedAssessmentQuestionIds());
+    });
+
+    li.append(info, actions, history);
+    return li;
+}
+
+// "AS-002 "Midterm": <reason>; AS-005 ..."
+function describeBrokenAssessments(broken) {
+    return broken.map(({ assessment, reason }) => `${assessment.id} "${assessment.title}": ${reason}`).join("; ");
+}
+
+function renderRevisionHistory(listEl, questionId) {
+    listEl.innerHTML = "";
+    quizService.getRevisionHistory(questionId).forEach(entry => {
+        const li = document.createElement("li");
+        const heading = document.createElement("strong");
+        heading.textContent = entry.replacedAt === null
+            ? t("Revision {number} (current)", { number: entry.revision })
+            : t("Revision {number}, replaced {time}", { number: entry.revision, time: translator.formatDateTime(entry.replacedAt) });
+        const text = document.createElement("div");
+        renderRichText(text, entry.question.getText(translator.locale), entry.question.images);
+        const key = document.createElement("p");
+        key.appendChild(document.createTextNode(`${t("Correct answer:")} `));
+        appendInlineRichText(key, entry.question.getCorrectAnswerText(), entry.question.images);
+        li.append(heading, text, key);
+        listEl.appendChild(li);
+    });
+}
+
+// Reads the "Add New Question" form into the JSON shape Question.fromJSON expects
+function readAdminQuestionFields() {
+    const type = adminQuestionTypeSelect.value;
+    const fields = {
+        text: adminQuestionText.value.trim(),
+        points: adminQuestionPointsInput.value === "" ? 1 : Number(adminQuestionPointsInput.value),
+        difficulty: adminQuestionDifficultySelect.value,
+        tags: adminQuestionTagsInput.value.split(","),
+        images: { ...adminQuestionImages },
+        explanation: adminQuestionExplanationInput.value,
+        hint: adminQuestionHintInput.value,
+        reference: adminQuestionReferenceInput.value,
+        referenceUrl: adminQuestionReferenceUrlInput.value
+    };
+
+    if (type === "single" || type === "multi") {
+        const rows = [...adminOptionsList.querySelectorAll(".admin-option-row")];
+        fields.options = rows.map(row => row.querySelector(".admin-option").value.trim());
+        const correct = rows
+            .map((row, idx) => (row.querySelector(".admin-correct-marker").checked ? idx : -1))
+            .filter(idx => idx !== -1);
+        if (type === "single") {
+            fields.correctOptionIndex = correct.length ? correct[0] : null;
+        } else {
+            fields.correctOptionIndexes = correct;
+        }
+    } else if (type === "truefalse") {
+        fields.correctValue = document.querySelector('input[name="admin-truefalse"]:checked').value === "true";
+    } else if (type === "numeric") {
+        fields.correctValue = adminNumericValueInput.value === "" ? NaN : Number(adminNumericValueInput.value);
+        fields.tolerance = adminNumericToleranceInput.value === "" ? 0 : Number(adminNumericToleranceInput.value);
+    } else if (type === "short") {
+        fields.acceptedAnswers = adminShortAnswersInput.value.split("\n").map(a => a.trim()).filter(Boolean);
+        fields.caseSensitive = adminShortCaseSensitiveInput.checked;
+    }
+
+    // Filled-in Bangla fields without the text still go through, so validation explains what is missing
+    const toLines = value => value.split("\n").map(line => line.trim()).filter(Boolean);
+    const bnOptions = type === "single" || type === "multi" ? toLines(adminBnOptionsInput.value) : [];
+    const bnAnswers = type === "short" ? toLines(adminBnAnswersInput.value) : [];
+    const bnText = adminBnTextInput.value.trim();
+    const bnExplanation = adminBnExplanationInput.value.trim();
+    const bnHint = adminBnHintInput.value.trim();
+    if (bnText || bnOptions.length || bnAnswers.length || bnExplanation || bnHint) {
+        const translation = { text: bnText };
+        if (bnOptions.length) translation.options = bnOptions;
+        if (bnAnswers.length) translation.acceptedAnswers = bnAnswers;
+        if (bnExplanation) translation.explanation = bnExplanation;
+        if (bnHint) translation.hint = bnHint;
+        fields.translations = { bn: translation };
+    }
+    return { type, fields };
+}
+
+function getSelectedTimeLimit() {
+    const timeRadios = document.querySelectorAll('input[name="time"]');
+    let selectedValue = "60";
+    timeRadios.forEach(r => {
+        if (r.checked) selectedValue = r.value;
+    });
+
+    if (selectedValue === "custom") {
+        const custom = parseInt(customTimeInput.value, 10);
+        if (isNaN(custom) || custom < 10) {
+            showAlert(t("Please enter a valid custom time (minimum 10 seconds)."));
+            return null;
+        }
+        return custom;
+    }
+    return parseInt(selectedValue, 10);
+}
+
+// Question last drawn by renderQuestion, so focus only moves when it changes
+let renderedQuestionId = null;
+
+function renderQuestion() {
+    const q = currentQuiz.getCurrentQuestion();
+    if (!q) return;
+    renderRichText(questionText, q.getText(translator.locale), q.images);
+    optionsList.innerHTML = "";
+
+    q.renderInput(optionsList, currentQuiz.userAnswers[q.id], answer => {
+        if (answer === undefined) {
+            currentQuiz.clearAnswer(q.id);
+        } else {
+            currentQuiz.saveAnswer(q.id, answer);
+        }
+        renderNavigator();
+        updateQuestionTools(q);
+        saveQuizSession();
+    });
+
+    if (currentQuiz instanceof AdaptiveQuiz) {
+        questionCounter.textContent = t("Question {number} (adaptive, up to {max})", { number: currentQuiz.currentQuestionIndex + 1, max: currentQuiz.maxQuestions });
+    } else {
+        questionCounter.textContent = t("Question {number}/{total}", { number: currentQuiz.currentQuestionIndex + 1, total: currentQuiz.questions.length });
+    }
+    const section = currentQuiz instanceof TimedQuiz ? currentQuiz.getCurrentSection() : null;
+    if (section) {
+        questionCounter.textContent += ` • ${t("Section {number}/{total}: {title}", { number: currentQuiz.getSectionIndex() + 1, total: currentQuiz.sections.length, title: section.title })}`;
+    }
+    prevBtn.disabled = !currentQuiz.hasPrevQuestion();
+
+    // Review answers are locked once checked
+    const isReview = currentQuiz instanceof ReviewQuiz;
+    const locked = isReview && currentQuiz.isChecked(q.id);
+    checkAnswerBtn.classList.toggle("hidden", !isReview || locked);
+    optionsList.classList.toggle("locked", locked);
+    optionsList.querySelectorAll("input").forEach(input => {
+        input.disabled = locked;
+    });
+    optionsList.querySelectorAll(".option-item").forEach(item => {
+        item.setAttribute("aria-disabled", String(locked));
+    });
+    renderReviewFeedback(q);
+    updateQuestionTools(q);
+    renderNavigator();
+    if (isSubmitSummaryOpen()) renderSubmitSummary();
+
+    // A new question takes focus so screen readers read it out
+    if (q.id !== renderedQuestionId) {
+        renderedQuestionId = q.id;
+        if (!isDialogOpen() && !isSubmitSummaryOpen()) questionText.focus();
+    }
+}
+
+function updateQuestionTools(q) {
+    const flagged = currentQuiz.isFlagged(q.id);
+    flagBtn.textContent = flagged ? t("Remove Flag") : t("Flag for Review");
+    flagBtn.setAttribute("aria-pressed", String(flagged));
+    flagBtn.classList.toggle("flag-active", flagged);
+    const locked = currentQuiz instanceof ReviewQuiz && currentQuiz.isChecked(q.id);
+    clearAnswerBtn.disabled = locked || !currentQuiz.isAnswered(q.id);
+    const hint = q.getHint(translator.locale);
+    const hintShown = !!hint && currentQuiz.hasUsedHint(q.id);
+    hintBtn.classList.toggle("hidden", !hint || hintShown);
+    questionHint.classList.toggle("hidden", !hintShown);
+    if (hintShown) renderQuestionNote(questionHint, t("Hint"), hint, q.images);
+}
+
+// A labelled block of rich text under a question, with an optional reference after it
+function renderQuestionNote(container, label, source, images, reference = "", referenceUrl = "") {
+    container.innerHTML = "";
+    const heading = document.createElement("strong");
+    heading.textContent = label;
+    container.appendChild(heading);
+    if (source) {
+        const body = document.createElement("div");
+        renderRichText(body, source, images);
+        container.appendChild(body);
+    }
+    if (reference || referenceUrl) container.appendChild(createReferenceLine(reference, referenceUrl));
+}
+
+// Stored results reach here too, and anyone can hand one in to a quiz server,
+// so only web links become clickable; anything else is shown as text
+function createReferenceLine(reference, referenceUrl) {
+    const p = document.createElement("p");
+    p.classList.add("question-reference");
+    p.appendChild(document.createTextNode(`${t("Reference:")} `));
+    if (/^https?:\/\//i.test(referenceUrl)) {
+        const link = document.createElement("a");
+        link.href = referenceUrl;
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+        link.textContent = reference || referenceUrl;
+        p.appendChild(link);
+    } else {
+        p.appendChild(document.createTextNode(reference || referenceUrl));
+    }
+    return p;
+}
+
+// Adaptive quizzes pick each question from the last answer, so there is nothing to jump to
+function renderNavigator() {
+    questionNavigator.classList.toggle("hidden", currentQuiz instanceof AdaptiveQuiz || isSubmitSummaryOpen());
+    navigatorGrid.innerHTML = "";
+    currentQuiz.questions.forEach((q, idx) => navigatorGrid.appendChild(createQuestionJumpButton(idx)));
+}
+
+// Questions the quiz will not return to (closed sections, per-question clocks) are disabled
+function createQuestionJumpButton(idx) {
+    const q = currentQuiz.questions[idx];
+    const answered = currentQuiz.isAnswered(q.id);
+    const flagged = currentQuiz.isFlagged(q.id);
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `nav-question ${answered ? "nav-answered" : "nav-unanswered"}`;
+    btn.classList.toggle("nav-flagged", flagged);
+    btn.classList.toggle("nav-current", idx === currentQuiz.currentQuestionIndex);
+    btn.textContent = idx + 1;
+    const params = { number: idx + 1, state: answered ? t("answered") : t("unanswered") };
+    btn.title = flagged ? t("Question {number}: {state}, flagged for review", params) : t("Question {number}: {state}", params);
+    btn.setAttribute("aria-label", btn.title);
+    if (idx === currentQuiz.currentQuestionIndex) btn.setAttribute("aria-current", "step");
+    btn.disabled = !currentQuiz.canGoToQuestion(idx);
+    btn.addEventListener("click", () => jumpToQuestion(idx));
+    return btn;
+}
+
+function jumpToQuestion(idx) {
+    if (!currentQuiz) return;
+    currentQuiz.goToQuestion(idx);
+    setSubmitSummaryOpen(false);
+    renderQuestion();
+    updateTimerDisplay();
+    saveQuizSession();
+}
+
+function isSubmitSummaryOpen() {
+    return !submitSummary.classList.contains("hidden");
+}
+
+// The summary takes the place of the question while open; the clock keeps running
+function setSubmitSummaryOpen(open) {
+    submitSummary.classList.toggle("hidden", !open);
+    quizQuestionArea.classList.toggle("hidden", open);
+    questionNavigator.classList.toggle("hidden", open || currentQuiz instanceof AdaptiveQuiz);
+    if (open) renderSubmitSummary();
+}
+
+function renderSubmitSummary() {
+    const { unanswered, flagged } = currentQuiz.getSubmitSummary();
+    const total = currentQuiz.questions.length;
+    submitSummaryCounts.textContent = t("{answered} of {total} questions answered, {flagged} flagged for review.", { answered: total - unanswered.length, total, flagged: flagged.length });
+    fillSummaryJumpList(submitSummaryUnanswered, submitSummaryUnansweredBlock, unanswered);
+    fillSummaryJumpList(submitSummaryFlagged, submitSummaryFlaggedBlock, flagged);
+}
+
+function fillSummaryJumpList(list, block, indexes) {
+    list.innerHTML = "";
+    indexes.forEach(idx => list.appendChild(createQuestionJumpButton(idx)));
+    block.classList.toggle("hidden", indexes.length === 0);
+}
+
+// Adaptive quizzes use question difficulties calibrated from everyone's stored answers
+function loadPracticeQuiz(subjectKey, questionCount, timeLimit, adaptive, questionTimeLimit = null) {
+    let quiz;
+    if (adaptive) {
+        const difficulties = new DifficultyCalibrator(getStoredResults()).calibrate(quizService.questionsDb[subjectKey] || []);
+        quiz = quizService.loadAdaptiveQuiz(subjectKey, questionCount, timeLimit, difficulties);
+    } else {
+        quiz = quizService.loadQuiz(subjectKey, questionCount, timeLimit);
+    }
+    quiz.questionTimeLimitInSeconds = questionTimeLimit;
+    return quiz;
+}
+
+// "540 ± 60 (θ = 0.4, SE 0.6)"
+function formatAbility(ability) {
+    return `${ability.score} ± ${ability.margin} (θ = ${ability.theta}, SE ${ability.standardError})`;
+}
+
+// Warnings already given this quiz, keyed by clock and threshold, so each is announced once
+let announcedTimerWarnings = new Set();
+
+const COUNTDOWN_LABELS = { question: "Question", section: "Section", quiz: "Total" };
+const COUNTDOWN_PHRASES = { question: "for this question", section: "in this section", quiz: "in the quiz" };
+
+// 75 -> "1:15"
+function formatClock(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function announceTimer(message) {
+    timerAnnouncement.textContent = message;
+}
+
+// A threshold only applies to clocks that started above it, so a 10s
+// question does not warn at 30s
+function updateTimerDisplay() {
+    if (!(currentQuiz instanceof TimedQuiz)) return;
+    const countdowns = currentQuiz.getCountdowns();
+    timerDisplay.textContent = countdowns.length === 1
+        ? t("Time left: {clock}", { clock: formatClock(countdowns[0].remaining) })
+        : countdowns.map(c => `${t(COUNTDOWN_LABELS[c.scope])} ${formatClock(c.remaining)}`).join(" • ");
+
+    const thresholds = currentQuiz.warningThresholds;
+    const smallest = Math.min(...thresholds);
+    let warning = false;
+    let critical = false;
+    countdowns.forEach(c => {
+        const crossed = thresholds.filter(t => c.limit > t && c.remaining <= t);
+        if (crossed.length === 0) return;
+        warning = true;
+        if (crossed.includes(smallest)) critical = true;
+        const position = c.scope === "question" ? currentQuiz.getCurrentQuestion().id : c.scope === "section" ? currentQuiz.getSectionIndex() : "";
+        const key = `${c.scope}:${position}:${Math.min(...crossed)}`;
+        if (!announcedTimerWarnings.has(key)) {
+            announcedTimerWarnings.add(key);
+            announceTimer(t(c.remaining === 1 ? "{count} second left {where}." : "{count} seconds left {where}.", { count: c.remaining, where: t(COUNTDOWN_PHRASES[c.scope]) }));
+        }
+    });
+    timerDisplay.classList.toggle("timer-warning", warning && !critical);
+    timerDisplay.classList.toggle("timer-critical", critical);
+}
+
+function startTimer() {
+    if (timerInterval) clearInterval(timerInterval);
+    announcedTimerWarnings = new Set();
+    announceTimer("");
+    timerDisplay.classList.remove("timer-warning", "timer-critical");
+    if (currentQuiz.timeLimitInSeconds === null) {
+        timerDisplay.textContent = t("Untimed");
+        return;
+    }
+    updateTimerDisplay();
+    timerInterval = setInterval(tickTimer, 1000);
+}
+
+function tickTimer() {
+    updateTimerDisplay();
+    if (currentQuiz.getRemainingSeconds() <= 0) {
+        clearInterval(timerInterval);
+        autoSubmitQuiz(t("Time is over! Your quiz will be submitted automatically."), true);
+        return;
+    }
+    const expired = currentQuiz.getCountdowns().find(c => c.remaining <= 0);
+    if (!expired) return;
+    if (!currentQuiz.advanceAfterTimeout()) {
+        clearInterval(timerInterval);
+        autoSubmitQuiz(t("Time is up {where}, and it was the last one. Your quiz will be submitted automatically.", { where: t(COUNTDOWN_PHRASES[expired.scope]) }), true);
+        return;
+    }
+    announceTimer(expired.scope === "section"
+        ? t("Time is up for this section. Moving on to the next section.")
+        : t("Time is up for this question. Moving on."));
+    renderQuestion();
+    updateTimerDisplay();
+    saveQuizSession();
+}
+
+function stopTimer() {
+    if (timerInterval) clearInterval(timerInterval);
+    timerInterval = null;
+}
+
+function startIntegrityMonitor(resumed) {
+    stopIntegrityMonitor();
+    if (!currentQuiz.integritySettings) {
+        integrityBanner.classList.add("hidden");
+        return;
+    }
+    integrityMonitor = new IntegrityMonitor(currentQuiz, handleIntegrityEvent);
+    if (resumed) integrityMonitor.record("resumed");
+    integrityMonitor.start();
+    renderIntegrityBanner();
+    // Usually allowed because the student just clicked Start; otherwise the banner offers a button
+    integrityMonitor.requestFullscreen().then(() => {
+        if (integrityMonitor) renderIntegrityBanner();
+    });
+}
+
+function stopIntegrityMonitor() {
+    if (integrityMonitor) integrityMonitor.stop();
+    integrityMonitor = null;
+    integrityBanner.classList.add("hidden");
+}
+
+function renderIntegrityBanner(lastEvent = null) {
+    const { enforceFullscreen, maxViolations } = currentQuiz.integritySettings;
+    const count = integrityMonitor.getViolationCount();
+    let message = t("This assessment is monitored. Switching tabs or windows, copying, pasting and right-clicking are recorded.");
+    if (lastEvent) message = t("{event} – this has been recorded.", { event: t(INTEGRITY_EVENT_LABELS[lastEvent.type]) });
+    if (count > 0) {
+        message += " " + (maxViolations > 0
+            ? t("Violations: {count} of {max} allowed before automatic submission.", { count, max: maxViolations })
+            : t("Violations: {count}.", { count }));
+    }
+    if (integrityMonitor.isFullscreenMissing()) message += " " + t("This assessment must be taken in fullscreen.");
+    integrityStatus.textContent = message;
+    integrityFullscreenBtn.classList.toggle("hidden", !enforceFullscreen || !integrityMonitor.isFullscreenMissing());
+    integrityBanner.classList.toggle("integrity-alert", count > 0);
+    integrityBanner.classList.remove("hidden");
+}
+
+function handleIntegrityEvent(event) {
+    if (!INTEGRITY_VIOLATIONS.has(event.type)) {
+        saveQuizSession();
+        return;
+    }
+    const maxViolations = currentQuiz.integritySettings.maxViolations;
+    if (maxViolations > 0 && integrityMonitor.getViolationCount() >= maxViolations) {
+        integrityMonitor.record("auto-submitted");
+        stopIntegrityMonitor();
+        autoSubmitQuiz(t("{event}. You have reached {max} integrity violation(s), so your assessment will be submitted automatically.", { event: t(INTEGRITY_EVENT_LABELS[event.type]), max: maxViolations }), false);
+        return;
+    }
+    renderIntegrityBanner(event);
+    saveQuizSession();
+}
+
+function renderQuizHeader() {
+    const assessment = currentQuiz.assessmentId ? assessmentManager.get(currentQuiz.assessmentId) : null;
+    const isReview = currentQuiz instanceof ReviewQuiz;
+    if (assessment) {
+        quizSubjectTitle.textContent = `${assessment.title} (${currentQuiz.subjectLabel})`;
+    } else {
+        quizSubjectTitle.textContent = t(isReview ? "{subject} Review" : "{subject} Quiz", { subject: currentQuiz.subjectLabel });
+    }
+    let timing = isReview ? t("Untimed review") : t("Time limit: {seconds}s", { seconds: currentQuiz.timeLimitInSeconds });
+    if (!isReview && currentQuiz.questionTimeLimitInSeconds !== null) {
+        timing += `, ${t("{seconds}s per question", { seconds: currentQuiz.questionTimeLimitInSeconds })}`;
+    }
+    quizUsernameDisplay.textContent = `${t("Student: {name} ({id})", { name: currentUser.name, id: currentUser.id })} • ${timing}`;
+}
+
+function enterQuiz(resumed = false) {
+    renderQuizHeader();
+    showSection(quizSection);
+    setSubmitSummaryOpen(false);
+    renderedQuestionId = null;
+    renderQuestion();
+    startTimer();
+    startIntegrityMonitor(resumed);
+    saveQuizSession();
+}
+
+function saveQuizSession() {
+    if (currentQuiz && currentUser.role === "student") {
+        quizSessionStore.save(currentUser, currentQuiz);
+    }
+}
+
+// Called after student login. The timer keeps counting from the original
+// start, so time spent away still counts against the limit.
+async function offerQuizResume() {
+    const session = quizSessionStore.load(currentUser.id);
+    if (!session) return;
+    const quiz = session.quiz;
+    const answered = quiz.getAttemptedCount();
+    // The attempt is already counted, so an assessment is submitted rather than thrown away
+    const isAssessment = quiz.assessmentId !== null;
+    const isReview = quiz instanceof ReviewQuiz;
+    const kind = isAssessment ? t("assessment") : isReview ? t("review session") : t("quiz");
+    const timeLeft = isReview ? t("untimed") : t("{seconds}s left", { seconds: quiz.getRemainingSeconds() });
+    const message = quiz.isTimeOver()
+        ? t("Your unfinished {subject} quiz ran out of time while you were away. It will be submitted with the {count} answer(s) you gave.", { subject: quiz.subjectLabel, count: answered })
+        : t("You have an unfinished {subject} {kind} ({answered}/{total} answered, {timeLeft}). Resume it now?", { subject: quiz.subjectLabel, kind, answered, total: quiz.questions.length, timeLeft }) +
+          (isAssessment ? " " + t("Cancel submits it with the answers given so far.") : "");
+
+    if (quiz.isTimeOver()) {
+        currentQuiz = quiz;
+        autoSubmitQuiz(message, true);
+        return;
+    }
+    if (!await showConfirm(message)) {
+        if (isAssessment) {
+            currentQuiz = quiz;
+            finishQuiz(false);
+            return;
+        }
+        quizSessionStore.clear(currentUser.id);
+        return;
+    }
+    currentQuiz = quiz;
+    enterQuiz(true);
+}
+
+function showStudentHome() {
+    renderStudentAssessments();
+    renderReviewSubjects();
+    showSection(homeSection);
+}
+
+function renderReviewSubjects() {
+    reviewSubjectsList.innerHTML = "";
+    subjectManager.getAllSubjects().forEach(sub => {
+        const questions = quizService.questionsDb[sub.key] || [];
+        if (questions.length === 0) return;
+        const { due, fresh } = reviewScheduler.countDue(currentUser.id, questions);
+        const li = document.createElement("li");
+        const info = document.createElement("span");
+        info.textContent = `${sub.label} – ${t("{due} due, {fresh} new", { due, fresh })}`;
+        if (due + fresh === 0) {
+            info.textContent += ` • ${t("next review {time}", { time: translator.formatDateTime(reviewScheduler.getNextDueAt(currentUser.id, questions)) })}`;
+        }
+        const reviewBtn = document.createElement("button");
+        reviewBtn.classList.add("btn", "primary-btn", "icon-btn");
+        reviewBtn.textContent = t("Review");
+        reviewBtn.disabled = due + fresh === 0;
+        reviewBtn.addEventListener("click", () => startReviewSession(sub.key));
+        li.appendChild(info);
+        li.appendChild(reviewBtn);
+        reviewSubjectsList.appendChild(li);
+    });
+}
+
+function startReviewSession(subjectKey) {
+    const questions = quizService.questionsDb[subjectKey] || [];
+    try {
+        const picked = reviewScheduler.pickSessionQuestions(currentUser.id, questions, new SeededRandom(SeededRandom.generateSeed()));
+        currentQuiz = quizService.loadReviewQuiz(subjectKey, picked);
+    } catch (err) {
+        showAlert(err.message);
+        return;
+    }
+    enterQuiz();
+}
+
+// Review sessions are practice, so the explanation shows as soon as an answer is checked
+function renderReviewFeedback(q) {
+    const checked = currentQuiz instanceof ReviewQuiz && currentQuiz.isChecked(q.id);
+    const explanation = q.getExplanation(translator.locale);
+    const explained = checked && !!(explanation || q.reference || q.referenceUrl);
+    reviewFeedback.classList.toggle("hidden", !checked);
+    questionExplanation.classList.toggle("hidden", !explained);
+    if (explained) renderQuestionNote(questionExplanation, t("Explanation"), explanation, q.images, q.reference, q.referenceUrl);
+    if (!checked) return;
+    const correct = currentQuiz.checked[q.id];
+    reviewFeedback.classList.toggle("answer-correct", correct);
+    reviewFeedback.classList.toggle("answer-wrong", !correct);
+    if (correct) {
+        reviewFeedback.textContent = t("Correct!");
+    } else {
+        reviewFeedback.textContent = `${t("Not quite. Correct answer:")} `;
+        appendInlineRichText(reviewFeedback, q.getCorrectAnswerText(), q.images);
+    }
+}
+
+function getOwnResults() {
+    return getStoredResults().filter(r => r.studentId === currentUser.id);
+}
+
+function showHistory() {
+    const results = getOwnResults();
+    historyEmpty.classList.toggle("hidden", results.length > 0);
+    historyReviewCard.classList.add("hidden");
+    renderHistorySummary(results);
+
+    const previous = historySubjectFilter.value;
+    const labels = [...new Set(results.map(r => r.subjectLabel))].sort();
+    historySubjectFilter.innerHTML = "";
+    ["", ...labels].forEach(label => {
+        const opt = document.createElement("option");
+        opt.value = label;
+        opt.textContent = label || t("All subjects");
+        historySubjectFilter.appendChild(opt);
+    });
+    if (labels.includes(previous)) historySubjectFilter.value = previous;
+
+    renderHistoryAttempts();
+    showSection(historySection);
+}
+
+function renderHistorySummary(results) {
+    historySummaryTableBody.innerHTML = "";
+    const bySubject = new Map();
+    results.forEach(r => {
+        if (!bySubject.has(r.subjectLabel)) bySubject.set(r.subjectLabel, []);
+        bySubject.get(r.subjectLabel).push(r.percentage);
+    });
+    [...bySubject.entries()].sort((a, b) => a[0].localeCompare(b[0])).forEach(([label, percentages]) => {
+        const tr = document.createElement("tr");
+        const average = percentages.reduce((sum, p) => sum + p, 0) / percentages.length;
+        [label, percentages.length, `${Math.max(...percentages).toFixed(2)}%`, `${average.toFixed(2)}%`,
+            `${percentages[percentages.length - 1].toFixed(2)}%`].forEach(value => {
+            const td = document.createElement("td");
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        historySummaryTableBody.appendChild(tr);
+    });
+}
+
+// Chart and table follow the subject filter; attempts are numbered in the
+// order they were taken, and the table lists the newest first.
+function renderHistoryAttempts() {
+    const subjectLabel = historySubjectFilter.value;
+    const results = getOwnResults().filter(r => !subjectLabel || r.subjectLabel === subjectLabel);
+    renderTrendChart(historyChart, results);
+
+    historyTableBody.innerHTML = "";
+    results.map((r, idx) => ({ r, number: idx + 1 })).reverse().forEach(({ r, number }) => {
+        const tr = document.createElement("tr");
+        [number, formatResultSubject(r), `${r.score}/${r.maxScore ?? r.totalQuestions}`, `${r.percentage.toFixed(2)}%`,
+            r.grade, formatResultTime(r)].forEach(value => {
+            const td = document.createElement("td");
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        const actionTd = document.createElement("td");
+        const reviewBtn = document.createElement("button");
+        reviewBtn.classList.add("btn", "secondary-btn", "icon-btn");
+        reviewBtn.textContent = t("Review");
+        reviewBtn.addEventListener("click", () => openHistoryReview(r, number));
+        actionTd.appendChild(reviewBtn);
+        tr.appendChild(actionTd);
+        historyTableBody.appendChild(tr);
+    });
+}
+
+function openHistoryReview(r, number) {
+    historyReviewTitle.textContent = t("Answer Review – Attempt #{number} ({subject}, {time})", { number, subject: formatResultSubject(r), time: formatResultTime(r) });
+    const hasReview = Array.isArray(r.review) && r.review.length > 0;
+    historyReviewEmpty.classList.toggle("hidden", hasReview);
+    if (hasReview) {
+        renderAnswerReview(historyReview, r.review);
+    } else {
+        historyReview.innerHTML = "";
+    }
+    historyReviewCard.classList.remove("hidden");
+    historyReviewCard.scrollIntoView({ behavior: "smooth" });
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_COLORS = ["#2563eb", "#16a34a", "#dc2626", "#d97706", "#7c3aed", "#0891b2"];
+
+function createSvgElement(tag, attributes) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+}
+
+// Percentage per attempt, one line per subject, drawn as plain SVG so no
+// charting library is needed. Hovering a point shows its details.
+function renderTrendChart(container, results) {
+    container.innerHTML = "";
+    if (results.length === 0) {
+        const empty = document.createElement("p");
+        empty.classList.add("muted");
+        empty.textContent = t("No attempts to plot yet.");
+        container.appendChild(empty);
+        return;
+    }
+
+    const width = 600;
+    const height = 240;
+    const pad = { left: 40, right: 12, top: 12, bottom: 28 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+    const x = idx => pad.left + (results.length === 1 ? plotWidth / 2 : (idx * plotWidth) / (results.length - 1));
+    const y = percentage => pad.top + plotHeight - (percentage / 100) * plotHeight;
+
+    const svg = createSvgElement("svg", { viewBox: `0 0 ${width} ${height}`, role: "img", "aria-label": t("Percentage per attempt over time") });
+    [0, 25, 50, 75, 100].forEach(percentage => {
+        svg.appendChild(createSvgElement("line", { x1: pad.left, x2: width - pad.right, y1: y(percentage), y2: y(percentage), class: "chart-grid" }));
+        const label = createSvgElement("text", { x: pad.left - 6, y: y(percentage) + 4, "text-anchor": "end", class: "chart-label" });
+        label.textContent = `${percentage}%`;
+        svg.appendChild(label);
+    });
+    // Label at most about ten attempt numbers along the bottom
+    const labelStep = Math.ceil(results.length / 10);
+    results.forEach((r, idx) => {
+        if (idx % labelStep !== 0 && idx !== results.length - 1) return;
+        const label = createSvgElement("text", { x: x(idx), y: height - 8, "text-anchor": "middle", class: "chart-label" });
+        label.textContent = `#${idx + 1}`;
+        svg.appendChild(label);
+    });
+
+    const legend = document.createElement("div");
+    legend.classList.add("chart-legend");
+    [...new Set(results.map(r => r.subjectLabel))].forEach((subjectLabel, seriesIdx) => {
+        const color = CHART_COLORS[seriesIdx % CHART_COLORS.length];
+        const points = results.map((r, idx) => ({ r, idx })).filter(point => point.r.subjectLabel === subjectLabel);
+        if (points.length > 1) {
+            svg.appendChild(createSvgElement("polyline", {
+                points: points.map(({ r, idx }) => `${x(idx)},${y(r.percentage)}`).join(" "),
+                stroke: color,
+                class: "chart-line"
+            }));
+        }
+        points.forEach(({ r, idx }) => {
+            const dot = createSvgElement("circle", { cx: x(idx), cy: y(r.percentage), r: 4, fill: color });
+            const tooltip = createSvgElement("title", {});
+            tooltip.textContent = `#${idx + 1} ${formatResultSubject(r)}: ${r.percentage.toFixed(2)}% (${r.grade}) – ${formatResultTime(r)}`;
+            dot.appendChild(tooltip);
+            svg.appendChild(dot);
+        });
+
+        const item = document.createElement("span");
+        const swatch = document.createElement("span");
+        swatch.classList.add("chart-legend-swatch");
+        swatch.style.background = color;
+        item.appendChild(swatch);
+        item.appendChild(document.createTextNode(subjectLabel));
+        legend.appendChild(item);
+    });
+
+    container.appendChild(svg);
+    container.appendChild(legend);
+}
+
+// "2024-05-01T09:30" from a datetime-local input, in the browser's time zone
+function parseDateTimeLocal(value) {
+    return value ? new Date(value).getTime() : null;
+}
+
+function toDateTimeLocalValue(ms) {
+    if (ms === null) return "";
+    const date = new Date(ms);
+    const pad = n => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function describeAssessmentWindow(assessment) {
+    const opens = assessment.opensAt !== null ? translator.formatDateTime(assessment.opensAt) : null;
+    const closes = assessment.closesAt !== null ? translator.formatDateTime(assessment.closesAt) : null;
+    switch (assessment.getStatus()) {
+        case "upcoming":
+            return t("Opens {time}", { time: opens });
+        case "closed":
+            return t("Closed {time}", { time: closes });
+        default:
+            return closes ? t("Open until {time}", { time: closes }) : t("Open");
+    }
+}
+
+function describeAssessmentTiming(assessment) {
+    let text = `${assessment.timeLimitInSeconds}s`;
+    if (assessment.questionTimeLimitInSeconds !== null) text += `, ${t("{seconds}s per question", { seconds: assessment.questionTimeLimitInSeconds })}`;
+    if (assessment.sectionPlan) text += `, ${t("{count} timed section(s)", { count: assessment.sectionPlan.sections.length })}`;
+    return text;
+}
+
+function describeAssessmentIntegrity(assessment) {
+    let text = assessment.enforceFullscreen ? t("Monitored, fullscreen") : t("Monitored");
+    if (assessment.maxViolations > 0) text += `, ${t("auto-submits after {count} violation(s)", { count: assessment.maxViolations })}`;
+    return text;
+}
+
+function describeAttemptLimit(assessment) {
+    return assessment.maxAttempts === 0 ? t("unlimited attempts") : t("{count} attempt(s)", { count: assessment.maxAttempts });
+}
+
+function renderStudentAssessments() {
+    const ownResults = getStoredResults().filter(r => r.studentId === currentUser.id);
+    const assessments = assessmentManager.getForStudent(currentUser.id);
+    studentAssessmentsList.innerHTML = "";
+    studentAssessmentsEmpty.classList.toggle("hidden", assessments.length > 0);
+
+    assessments.forEach(a => {
+        const li = document.createElement("li");
+        const used = assessmentManager.getAttemptCount(a.id, currentUser.id);
+        const remaining = assessmentManager.getRemainingAttempts(a, currentUser.id);
+        const counted = assessmentManager.getCountedResult(a, ownResults.filter(r => r.assessmentId === a.id));
+
+        const info = document.createElement("span");
+        let text = `${a.title} – ${subjectManager.getSubjectLabel(a.subjectKey)} • ${describeAssessmentTiming(a)} • ` +
+            `${describeAssessmentIntegrity(a)} • ${describeAssessmentWindow(a)} • ${t("Attempts used: {used}", { used })}${a.maxAttempts === 0 ? "" : `/${a.maxAttempts}`}`;
+        if (counted) {
+            text += ` • ${t("Counted ({policy})", { policy: t(ASSESSMENT_ATTEMPT_POLICIES[a.attemptPolicy]).toLowerCase() })}: ${counted.percentage.toFixed(2)}% (${counted.grade})`;
+        }
+        info.textContent = text;
+
+        const startBtn = document.createElement("button");
+        startBtn.classList.add("btn", "primary-btn", "icon-btn");
+        startBtn.textContent = remaining === 0 ? t("No attempts left") : t("Start");
+        startBtn.disabled = a.getStatus() !== "open" || remaining === 0;
+        startBtn.addEventListener("click", () => startAssessment(a.id));
+
+        li.appendChild(info);
+        li.appendChild(startBtn);
+        studentAssessmentsList.appendChild(li);
+    });
+}
+
+function startAssessment(assessmentId) {
+    const assessment = assessmentManager.get(assessmentId);
+    if (!assessment) {
+        showAlert(t("This assessment no longer exists."));
+        showStudentHome();
+        return;
+    }
+    try {
+        assessmentManager.checkCanStart(assessment, currentUser.id);
+        currentQuiz = quizService.loadAssessmentQuiz(assessment);
+    } catch (err) {
+        showAlert(err.message);
+        return;
+    }
+    assessmentManager.recordAttempt(assessment.id, currentUser.id, currentQuiz.id);
+    enterQuiz();
+}
+
+// Practice quizzes can always be retried; an assessment only while it is
+// open and the student has attempts left.
+function updateRetryButton() {
+    if (currentQuiz instanceof ReviewQuiz) {
+        retryBtn.disabled = false;
+        retryBtn.textContent = t("Review Again");
+        return;
+    }
+    const assessment = currentQuiz && currentQuiz.assessmentId ? assessmentManager.get(currentQuiz.assessmentId) : null;
+    if (!assessment) {
+        retryBtn.disabled = false;
+        retryBtn.textContent = t("Retry Same Subject");
+        return;
+    }
+    const remaining = assessmentManager.getRemainingAttempts(assessment, currentUser.id);
+    const isOpen = assessment.getStatus() === "open";
+    retryBtn.disabled = !isOpen || remaining === 0;
+    if (!isOpen) {
+        retryBtn.textContent = t("Assessment Closed");
+    } else if (remaining === 0) {
+        retryBtn.textContent = t("No Attempts Left");
+    } else {
+        retryBtn.textContent = remaining === Infinity ? t("Start Another Attempt") : t("Start Another Attempt ({count} left)", { count: remaining });
+    }
+}
+
+function updateAssessmentQuestionFields() {
+    const mode = assessmentQuestionModeSelect.value;
+    assessmentRandomFields.classList.toggle("hidden", mode !== "random");
+    assessmentFixedFields.classList.toggle("hidden", mode !== "fixed");
+    assessmentBlueprintFields.classList.toggle("hidden", mode !== "blueprint");
+}
+
+// What a blueprint can draw on, e.g. "easy 3, medium 8, hard 2 • Tags: arrays (2), loops (4)"
+function describeQuestionPool(subjectKey) {
+    const questions = quizService.questionsDb[subjectKey] || [];
+    if (questions.length === 0) return t("This subject has no questions yet.");
+    const difficulties = QUESTION_DIFFICULTIES
+        .map(level => `${t(level)} ${questions.filter(q => q.difficulty === level).length}`)
+        .join(", ");
+    const tagCounts = {};
+    questions.forEach(q => q.tags.forEach(tag => {
+        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    }));
+    const tags = Object.keys(tagCounts).sort().map(tag => `${tag} (${tagCounts[tag]})`).join(", ");
+    return `${t("Pool: {difficulties}", { difficulties })} • ${t("Tags: {tags}", { tags: tags || t("none yet") })}`;
+}
+
+function renderAssessmentQuestionPicker(selectedIds = []) {
+    assessmentPoolSummary.textContent = describeQuestionPool(assessmentSubjectSelect.value);
+    assessmentQuestionPicker.innerHTML = "";
+    const questions = quizService.questionsDb[assessmentSubjectSelect.value] || [];
+    if (questions.length === 0) {
+        const li = document.createElement("li");
+        li.classList.add("muted");
+        li.textContent = t("This subject has no questions yet.");
+        assessmentQuestionPicker.appendChild(li);
+        return;
+    }
+    questions.forEach(q => {
+        const li = document.createElement("li");
+        const label = document.createElement("label");
+        label.classList.add("checkbox-label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.value = q.id;
+        checkbox.checked = selectedIds.includes(q.id);
+        label.appendChild(checkbox);
+        const tags = q.tags.length ? ` [${q.tags.join(", ")}]` : "";
+        label.appendChild(document.createTextNode(`#${q.id} (${t(q.difficulty)}) ${q.getText(translator.locale)}${tags}`));
+        li.appendChild(label);
+        assessmentQuestionPicker.appendChild(li);
+    });
+}
+
+function renderAssessmentFormTitle() {
+    assessmentFormTitle.textContent = editingAssessmentId ? t("Edit {id}", { id: editingAssessmentId }) : t("New Assessment");
+    saveAssessmentBtn.textContent = editingAssessmentId ? t("Save Changes") : t("Publish Assessment");
+}
+
+function resetAssessmentForm() {
+    editingAssessmentId = null;
+    renderAssessmentFormTitle();
+    cancelAssessmentEditBtn.classList.add("hidden");
+    assessmentTitleInput.value = "";
+    assessmentQuestionModeSelect.value = "random";
+    assessmentQuestionCountInput.value = "";
+    assessmentTimeLimitInput.value = "600";
+    assessmentQuestionTimeLimitInput.value = "";
+    assessmentSectionsInput.value = "";
+    assessmentWarningsInput.value = TIMER_WARNING_THRESHOLDS.join(", ");
+    assessmentEnforceFullscreenInput.checked = false;
+    assessmentMaxViolationsInput.value = "0";
+    assessmentOpensAtInput.value = "";
+    assessmentClosesAtInput.value = "";
+    assessmentMaxAttemptsInput.value = "1";
+    assessmentAttemptPolicySelect.value = "best";
+    assessmentStudentIdsInput.value = "";
+    assessmentBlueprintInput.value = "";
+    loadAssessmentPolicyFields(null);
+    updateAssessmentQuestionFields();
+    renderAssessmentQuestionPicker();
+}
+
+// Starts from the subject's policy, so ticking the box only changes what the teacher edits
+function loadAssessmentPolicyFields(policy) {
+    const shown = policy || quizService.getScoringPolicy(assessmentSubjectSelect.value);
+    assessmentCustomPolicyInput.checked = !!policy;
+    assessmentPolicyFields.classList.toggle("hidden", !policy);
+    assessmentPolicyPointsInput.value = shown.pointsPerQuestion ?? "";
+    assessmentPolicyWrongPenaltyInput.value = shown.wrongPenalty;
+    assessmentPolicyHintPenaltyInput.value = shown.hintPenalty;
+    assessmentPolicyPartialCreditInput.checked = shown.partialCredit;
+    assessmentPolicyGradeScaleInput.value = ScoringPolicy.formatGradeScale(shown.gradeScale);
+}
+
+function readAssessmentPolicyFields() {
+    if (!assessmentCustomPolicyInput.checked) return null;
+    return new ScoringPolicy(
+        assessmentPolicyPointsInput.value === "" ? null : Number(assessmentPolicyPointsInput.value),
+        assessmentPolicyWrongPenaltyInput.value === "" ? 0 : Number(assessmentPolicyWrongPenaltyInput.value),
+        assessmentPolicyPartialCreditInput.checked,
+        ScoringPolicy.parseGradeScale(assessmentPolicyGradeScaleInput.value),
+        assessmentPolicyHintPenaltyInput.value === "" ? 0 : Number(assessmentPolicyHintPenaltyInput.value)
+    );
+}
+
+function loadAssessmentIntoForm(assessment) {
+    editingAssessmentId = assessment.id;
+    renderAssessmentFormTitle();
+    cancelAssessmentEditBtn.classList.remove("hidden");
+    assessmentTitleInput.value = assessment.title;
+    assessmentSubjectSelect.value = assessment.subjectKey;
+    if (assessment.usesBlueprint) {
+        assessmentQuestionModeSelect.value = "blueprint";
+    } else {
+        assessmentQuestionModeSelect.value = assessment.usesFixedQuestions ? "fixed" : "random";
+    }
+    assessmentBlueprintInput.value = assessment.usesBlueprint ? assessment.blueprint.rules.map(rule => QuizBlueprint.describeRule(rule)).join("\n") : "";
+    assessmentQuestionCountInput.value = assessment.questionCount === "all" ? "" : assessment.questionCount;
+    assessmentTimeLimitInput.value = assessment.timeLimitInSeconds;
+    assessmentQuestionTimeLimitInput.value = assessment.questionTimeLimitInSeconds ?? "";
+    assessmentSectionsInput.value = assessment.sectionPlan ? assessment.sectionPlan.sections.map(section => QuizSectionPlan.describeSection(section)).join("\n") : "";
+    assessmentWarningsInput.value = assessment.warningThresholds.join(", ");
+    assessmentEnforceFullscreenInput.checked = assessment.enforceFullscreen;
+    assessmentMaxViolationsInput.value = assessment.maxViolations;
+    assessmentOpensAtInput.value = toDateTimeLocalValue(assessment.opensAt);
+    assessmentClosesAtInput.value = toDateTimeLocalValue(assessment.closesAt);
+    assessmentMaxAttemptsInput.value = assessment.maxAttempts;
+    assessmentAttemptPolicySelect.value = assessment.attemptPolicy;
+    assessmentStudentIdsInput.value = assessment.studentIds.join("\n");
+    loadAssessmentPolicyFields(assessment.scoringPolicy);
+    updateAssessmentQuestionFields();
+    renderAssessmentQuestionPicker(assessment.questionIds);
+}
+
+// Checkbox values are strings; map them back to the bank's question ids
+function getPickedAssessmentQuestionIds() {
+    const questions = quizService.questionsDb[assessmentSubjectSelect.value] || [];
+    const checked = [...assessmentQuestionPicker.querySelectorAll("input:checked")].map(input => input.value);
+    return questions.filter(q => checked.includes(String(q.id))).map(q => q.id);
+}
+
+function readAssessmentForm(ownerId) {
+    const questionIds = assessmentQuestionModeSelect.value === "fixed" ? getPickedAssessmentQuestionIds() : [];
+    if (assessmentQuestionModeSelect.value === "fixed" && questionIds.length === 0) {
+        throw new Error(t("Tick at least one question for a fixed question set."));
     }
+    const countValue = assessmentQuestionCountInput.value.trim();
+    const studentIds = assessmentStudentIdsInput.value.split(/[\n,]/).map(id => id.trim()).filter(Boolean);
+    const blueprint = assessmentQuestionModeSelect.value === "blueprint" ? QuizBlueprint.parse(assessmentBlueprintInput.value) : null;
+    const sectionPlan = assessmentSectionsInput.value.trim() ? QuizSectionPlan.parse(assessmentSectionsInput.value) : null;
+    const questionTimeLimit = assessmentQuestionTimeLimitInput.value.trim();
+    const warnings = assessmentWarningsInput.value.split(",").map(t => t.trim()).filter(Boolean).map(Number);
+    return new Assessment(
+        editingAssessmentId,
+        assessmentTitleInput.value.trim(),
+        assessmentSubjectSelect.value,
+        ownerId,
+        Number(assessmentTimeLimitInput.value),
+        questionIds,
+        countValue === "" ? "all" : Number(countValue),
+        parseDateTimeLocal(assessmentOpensAtInput.value),
+        parseDateTimeLocal(assessmentClosesAtInput.value),
+        assessmentMaxAttemptsInput.value === "" ? 0 : Number(assessmentMaxAttemptsInput.value),
+        assessmentAttemptPolicySelect.value,
+        [...new Set(studentIds)],
+        blueprint,
+        questionTimeLimit === "" ? null : Number(questionTimeLimit),
+        sectionPlan,
+        [...new Set(warnings)].sort((a, b) => b - a),
+        assessmentEnforceFullscreenInput.checked,
+        assessmentMaxViolationsInput.value === "" ? 0 : Number(assessmentMaxViolationsInput.value),
+        readAssessmentPolicyFields()
+    );
+}
 
-    loadQuiz(subjectKey, questionCount, timeLimitInSeconds) {
-        const allQuestions = this.questionsDb[subjectKey];
-        if (!allQuestions || allQuestions.length === 0) {
-            throw new Error("No questions available for this subject.");
-        }
-        const shuffled = [...allQuestions].sort(() => Math.random() - 0.5);
-        let selected;
-        if (questionCount === "all" || questionCount >= shuffled.length) {
-            selected = shuffled;
+function renderAssessmentsList(account) {
+    const results = getStoredResults();
+    const assessments = assessmentManager.getAll().filter(a => canEditSubject(account, a.subjectKey));
+    assessmentsList.innerHTML = "";
+    assessmentsEmpty.classList.toggle("hidden", assessments.length > 0);
+
+    assessments.forEach(a => {
+        const li = document.createElement("li");
+        const submitted = new Set(results.filter(r => r.assessmentId === a.id).map(r => r.studentId)).size;
+        let questionsText;
+        if (a.usesBlueprint) {
+            questionsText = t("blueprint: {rules}", { rules: a.blueprint });
+        } else if (a.usesFixedQuestions) {
+            questionsText = t("{count} fixed question(s)", { count: a.questionIds.length });
         } else {
-            selected = shuffled.slice(0, questionCount);
+            questionsText = t("{count} random question(s)", { count: a.questionCount === "all" ? t("all") : a.questionCount });
         }
+        const info = document.createElement("span");
+        info.textContent = `${a.id}: ${a.title} – ${subjectManager.getSubjectLabel(a.subjectKey)} • ${questionsText} • ` +
+            `${describeAssessmentTiming(a)} • ${describeAssessmentIntegrity(a).toLowerCase()} • ${describeAssessmentWindow(a)} • ${describeAttemptLimit(a)}, ` +
+            `${t("{policy} counts", { policy: t(ASSESSMENT_ATTEMPT_POLICIES[a.attemptPolicy]).toLowerCase() })} • ` +
+            `${a.scoringPolicy ? `${t("own scoring policy")} • ` : ""}` +
+            `${a.studentIds.length ? t("{count} assigned student(s)", { count: a.studentIds.length }) : t("all students")} • ${t("{count} submitted", { count: submitted })}`;
 
-        selected.forEach(q => {
-            const zipped = q.options.map((opt, idx) => ({ opt, idx }));
-            zipped.sort(() => Math.random() - 0.5);
-            q.options = zipped.map(z => z.opt);
-            q.correctOptionIndex = zipped.findIndex(z => z.idx === q.correctOptionIndex);
+        const actions = document.createElement("span");
+        actions.classList.add("assessment-actions");
+        const editBtn = document.createElement("button");
+        editBtn.classList.add("btn", "secondary-btn", "icon-btn");
+        editBtn.textContent = t("Edit");
+        editBtn.addEventListener("click", () => loadAssessmentIntoForm(a));
+        const deleteBtn = document.createElement("button");
+        deleteBtn.classList.add("btn", "secondary-btn", "icon-btn");
+        deleteBtn.textContent = t("Delete");
+        deleteBtn.addEventListener("click", async () => {
+            if (!requireTeacher(t("Only teachers can delete assessments."))) return;
+            if (!await showConfirm(t("Delete \"{title}\"? Stored results are kept, but students can no longer start it.", { title: a.title }))) return;
+            try {
+                assessmentManager.remove(a.id);
+            } catch (err) {
+                showAlert(err.message);
+                return;
+            }
+            if (editingAssessmentId === a.id) resetAssessmentForm();
+            renderAssessmentsList(account);
         });
+        actions.appendChild(editBtn);
+        actions.appendChild(deleteBtn);
 
-        const subjectLabel = this.subjectManager.getSubjectLabel(subjectKey);
-        const quiz = new TimedQuiz(1, subjectKey, subjectLabel, selected, timeLimitInSeconds);
-        quiz.start();
-        return quiz;
-    }
+        li.appendChild(info);
+        li.appendChild(actions);
+        assessmentsList.appendChild(li);
+    });
+}
 
-    calculateScore(quiz) {
-        let score = 0;
-        quiz.questions.forEach(q => {
-            const chosen = quiz.userAnswers[q.id];
-            if (chosen !== undefined && q.isCorrect(chosen)) {
-                score++;
-            }
+function renderImportPreview(preview) {
+    bankImportTableBody.innerHTML = "";
+    preview.entries.forEach(entry => {
+        const tr = document.createElement("tr");
+        const cells = [
+            entry.row,
+            entry.subjectLabel || entry.subjectKey || "–",
+            entry.data ? entry.data.type : "–",
+            entry.data ? entry.data.text : "–",
+            entry.error || t("OK")
+        ];
+        cells.forEach(value => {
+            const td = document.createElement("td");
+            td.textContent = value;
+            tr.appendChild(td);
         });
-        return score;
-    }
+        if (entry.error) tr.classList.add("row-error");
+        bankImportTableBody.appendChild(tr);
+    });
+    bankImportSummary.textContent = t("{valid} question(s) ready to import, {errors} row(s) with errors will be skipped.", { valid: preview.validCount, errors: preview.errorCount });
+    bankImportConfirmBtn.disabled = preview.validCount === 0;
+    bankImportPreview.classList.remove("hidden");
+}
+
+function clearImportPreview() {
+    pendingImport = null;
+    bankImportTableBody.innerHTML = "";
+    bankImportPreview.classList.add("hidden");
+}
 
-    addSubject(key, label) {
-        this.subjectManager.addSubject(key, label);
-        if (!this.questionsDb[key]) {
-            this.questionsDb[key] = [];
+// Plain-text snapshot of the review so it can be stored with the result
+// and shown again later, independent of the question bank.
+function buildAnswerReview(quiz) {
+    return quiz.questions.map(q => {
+        const chosen = quiz.userAnswers[q.id];
+        let status = "unanswered";
+        if (chosen !== undefined) {
+            status = q.isCorrect(chosen) ? "correct" : "wrong";
         }
-    }
+        return {
+            text: q.getText(translator.locale),
+            yourAnswer: chosen === undefined ? null : q.formatAnswer(chosen),
+            correctAnswer: q.getCorrectAnswerText(),
+            status,
+            timeSpentSeconds: quiz.getTimeSpentSeconds(q.id),
+            timedOut: quiz instanceof TimedQuiz && quiz.timedOutQuestionIds.includes(q.id),
+            hintUsed: quiz.hasUsedHint(q.id),
+            explanation: q.getExplanation(translator.locale),
+            reference: q.reference,
+            referenceUrl: q.referenceUrl
+        };
+    });
+}
 
-    addQuestion(subjectKey, text, options, correctIndex) {
-        if (!this.questionsDb[subjectKey]) {
-            this.questionsDb[subjectKey] = [];
+// Images are not copied into the snapshot, so they show as their alt text here
+function renderAnswerReview(listEl, review) {
+    listEl.innerHTML = "";
+    review.forEach((item, idx) => {
+        const li = document.createElement("li");
+        const question = document.createElement("div");
+        renderRichText(question, item.text);
+        // The number joins the first paragraph unless the question opens with a code block
+        const number = document.createTextNode(`${idx + 1}. `);
+        if (question.firstChild && question.firstChild.tagName === "P") {
+            question.firstChild.prepend(number);
+        } else {
+            question.prepend(number);
         }
-        const q = new Question(this.nextQuestionId++, text, options, correctIndex, subjectKey);
-        this.questionsDb[subjectKey].push(q);
-    }
+        const answer = document.createElement("p");
+        if (item.status === "unanswered") {
+            answer.appendChild(document.createTextNode(`${t("You did not answer.")} `));
+        } else {
+            answer.appendChild(document.createTextNode(`${t("Your answer:")} `));
+            appendInlineRichText(answer, item.yourAnswer);
+            answer.appendChild(document.createTextNode(item.status === "correct" ? " ✅" : " ❌"));
+        }
+        answer.appendChild(document.createTextNode(` | ${t("Correct answer:")} `));
+        appendInlineRichText(answer, item.correctAnswer);
+        // Reviews stored before time was tracked per question have no timing
+        if (item.timeSpentSeconds !== undefined) {
+            answer.appendChild(document.createTextNode(` | ${t("Time: {seconds}s", { seconds: item.timeSpentSeconds })}${item.timedOut ? ` ${t("(time ran out)")}` : ""}`));
+        }
+        if (item.hintUsed) answer.appendChild(document.createTextNode(` | ${t("Hint used")}`));
+        li.append(question, answer);
+        if (item.explanation || item.reference || item.referenceUrl) {
+            const note = document.createElement("div");
+            note.classList.add("question-note");
+            renderQuestionNote(note, t("Explanation"), item.explanation, {}, item.reference, item.referenceUrl);
+            li.appendChild(note);
+        }
+        if (item.status === "correct") {
+            li.classList.add("answer-correct");
+        } else if (item.status === "wrong") {
+            li.classList.add("answer-wrong");
+        }
+        listEl.appendChild(li);
+    });
 }
 
-// =======================
-// Questions Database
-// =======================
+function getStoredResults() {
+    return storageAdapter.readList(RESULTS_STORAGE_KEY);
+}
 
-const QUESTIONS_DB = {
-    c_programming: [
-        new Question(1, "Which of the following is a valid C data type?", ["number", "integer", "float", "real"], 2, "c_programming"),
-        new Question(2, "Which symbol is used to terminate a statement in C?", [".", ":", ";", ","], 2, "c_programming"),
-        new Question(3, "Which function is used to print output in C?", ["print()", "printf()", "cout<<", "System.out.println()"], 1, "c_programming"),
-        new Question(4, "Which of the following is a loop structure in C?", ["repeat-until", "for", "foreach", "loop"], 1, "c_programming"),
-        new Question(5, "Which header file is needed for printf()?", ["<stdlib.h>", "<stdio.h>", "<conio.h>", "<math.h>"], 1, "c_programming"),
-        new Question(16, "What is the index of the first element in a C array?", ["0", "1", "-1", "Depends on compiler"], 0, "c_programming"),
-        new Question(17, "Which operator is used to access value at an address?", ["&", "*", "->", "."], 1, "c_programming")
-    ],
-    oop: [
-        new Question(6, "Which is NOT an OOP concept?", ["Encapsulation", "Polymorphism", "Compilation", "Inheritance"], 2, "oop"),
-        new Question(7, "Which keyword is commonly used to create an object?", ["create", "object", "new", "class"], 2, "oop"),
-        new Question(8, "Hiding internal details and showing only functionality is called:", ["Abstraction", "Encapsulation", "Polymorphism", "Inheritance"], 0, "oop"),
-        new Question(9, "Which OOP concept allows using the same method name with different parameters?", ["Inheritance", "Overloading", "Overriding", "Abstraction"], 1, "oop"),
-        new Question(10, "A class is a:", ["Variable", "Function", "Blueprint", "Object"], 2, "oop"),
-        new Question(18, "Which of these lets a subclass provide specific implementation of a method in its superclass?", ["Overloading", "Overriding", "Hiding", "Inlining"], 1, "oop")
-    ],
-    dbms: [
-        new Question(11, "What does DBMS stand for?", ["Data Backup Management System", "Database Management System", "Data Business Management System", "DataBase Managing Storage"], 1, "dbms"),
-        new Question(12, "Which language is used to query data from a database?", ["HTML", "CSS", "SQL", "XML"], 2, "dbms"),
-        new Question(13, "Which of the following is a DBMS?", ["MySQL", "PHP", "JavaScript", "HTML"], 0, "dbms"),
-        new Question(14, "Which SQL command is used to insert data?", ["ADD", "INSERT", "APPEND", "UPDATE"], 1, "dbms"),
-        new Question(15, "Primary key is:", ["A key that can be null", "A key that uniquely identifies a record", "A key that is always 0", "A duplicate key"], 1, "dbms")
-    ],
-    java_basics: [
-        new Question(19, "Which keyword is used to inherit a class in Java?", ["implement", "extends", "inherits", "super"], 1, "java_basics"),
-        new Question(20, "Which method is the entry point of a Java program?", ["init()", "start()", "main()", "run()"], 2, "java_basics"),
-        new Question(21, "Which of these is not a Java primitive type?", ["int", "String", "double", "char"], 1, "java_basics")
-    ]
-};
+function saveResultToStorage(result) {
+    storageAdapter.addToList(RESULTS_STORAGE_KEY, result);
+}
 
-// =======================
-// Initialization
-// =======================
+function updateStoredResult(attemptId, changes) {
+    return storageAdapter.updateInList(RESULTS_STORAGE_KEY, attemptId, changes);
+}
 
-const subjectManager = new SubjectManager();
-subjectManager.addSubject("c_programming", "C Programming");
-subjectManager.addSubject("oop", "Object Oriented Programming");
-subjectManager.addSubject("dbms", "Database Management System");
-subjectManager.addSubject("java_basics", "Java Basics");
+function deleteStoredResult(attemptId) {
+    return storageAdapter.removeFromList(RESULTS_STORAGE_KEY, attemptId);
+}
 
-const quizService = new QuizService(QUESTIONS_DB, subjectManager);
+// Results saved before attempt IDs existed get one, so each row can be edited or deleted
+function assignMissingResultIds() {
+    const results = getStoredResults();
+    if (results.every(r => r.attemptId)) return;
+    results.forEach(r => {
+        if (!r.attemptId) r.attemptId = generateAttemptId();
+    });
+    // Only this browser's copy: results without an ID never reached a quiz
+    // server, and the first sync with one uploads them
+    localStorage.setItem(RESULTS_STORAGE_KEY, JSON.stringify(results));
+}
 
-let currentQuiz = null;
-let timerInterval = null;
+function renderStorageStatus() {
+    storageStatus.textContent = storageAdapter.describeStatus();
+    resultsStorageNote.textContent = storageAdapter.mode === "server"
+        ? t("Results from every device connected to the quiz server are collected here. Only teachers can see them.")
+        : t("These results are stored locally in this browser (demo mode). Only teachers can see them.");
+}
 
-let currentUser = {
-    role: null, // "student" or "teacher"
-    name: null,
-    id: null
-};
+// Re-reads everything shared after a refresh brought in changes from other
+// devices. A quiz in progress keeps its own copies of the questions.
+function reloadSharedData() {
+    let bank = null;
+    try {
+        bank = bankStorage.load();
+    } catch (err) {
+        showAlert(`${err.message} ${t("The questions already loaded are kept.")}`);
+    }
+    if (bank) quizService.replaceBank(bank);
+    populateSubjectSelects();
+    if (currentUser.role === "teacher" && !teacherSection.classList.contains("hidden")) {
+        const account = teacherAuth.getSessionAccount();
+        if (!account) return;
+        renderResultsTable();
+        renderItemAnalysis();
+        renderAssessmentsList(account);
+    } else if (currentUser.role === "student" && !homeSection.classList.contains("hidden")) {
+        renderStudentAssessments();
+        renderReviewSubjects();
+    }
+}
 
-// DOM elements
-const authSection = document.getElementById("auth-section");
-const homeSection = document.getElementById("home-section");
-const quizSection = document.getElementById("quiz-section");
-const resultSection = document.getElementById("result-section");
-const teacherSection = document.getElementById("teacher-section");
+// Rejects when the sync failed. The sync status shows the error as well, so
+// a refresh nobody is waiting on can ignore it.
+function refreshSharedData() {
+    return storageAdapter.refresh()
+        .then(changed => {
+            if (changed) reloadSharedData();
+        })
+        .finally(renderStorageStatus);
+}
 
-const headerUserInfo = document.getElementById("header-user-info");
-const logoutBtn = document.getElementById("logout-btn");
+function useStorageAdapter(adapter) {
+    storageAdapter = adapter;
+    adapter.onStatusChange = renderSyncStatus;
+    bankStorage.storage = adapter;
+    assessmentManager.storage = adapter;
+    renderSyncStatus();
+    return refreshSharedData();
+}
 
-const studentNameInput = document.getElementById("student-name");
-const studentIdInput = document.getElementById("student-id");
-const studentLoginBtn = document.getElementById("student-login-btn");
+const SYNC_STATUS_TEXT = {
+    syncing: "Syncing…",
+    offline: "Offline",
+    error: "Sync problem",
+    pending: "Waiting to sync",
+    synced: "Synced"
+};
 
-const teacherUsernameInput = document.getElementById("teacher-username");
-const teacherPasswordInput = document.getElementById("teacher-password");
-const teacherLoginBtn = document.getElementById("teacher-login-btn");
+// Header badge; hidden while this browser is the only store and online
+function renderSyncStatus() {
+    const { state, pending } = storageAdapter.getSyncStatus();
+    const offline = navigator.onLine === false || state === "offline";
+    syncStatus.className = "sync-status";
+    if (state === "local") {
+        syncStatus.classList.toggle("hidden", !offline);
+        syncStatus.classList.add("sync-offline");
+        syncStatus.textContent = t("Offline");
+        syncStatus.title = t("Quizzes keep working; everything is saved in this browser.");
+        return;
+    }
+    const shownState = offline && state !== "syncing" ? "offline" : state;
+    syncStatus.classList.add(`sync-${shownState}`);
+    const label = t(SYNC_STATUS_TEXT[shownState]);
+    syncStatus.textContent = pending ? `${label} • ${t("{count} queued", { count: pending })}` : label;
+    syncStatus.title = storageAdapter.describeStatus();
+    if (!teacherSection.classList.contains("hidden")) storageStatus.textContent = storageAdapter.describeStatus();
+}
 
-const subjectSelect = document.getElementById("subject");
-const startForm = document.getElementById("start-form");
-const questionCountSelect = document.getElementById("question-count");
-const customTimeInput = document.getElementById("custom-time");
+// Pages served by server/server.js share through it without any setup
+function detectStorageServer() {
+    if (localStorage.getItem(STORAGE_SERVER_URL_KEY) !== null || !location.protocol.startsWith("http")) return;
+    const adapter = new ServerStorageAdapter(location.origin, STORAGE_SYNC_STATE_KEY, localStorage.getItem(STORAGE_SERVER_TOKEN_KEY));
+    adapter.checkConnection()
+        .then(() => useStorageAdapter(adapter))
+        .catch(() => {});
+}
 
-const quizSubjectTitle = document.getElementById("quiz-subject-title");
-const quizUsernameDisplay = document.getElementById("quiz-username-display");
-const questionCounter = document.getElementById("question-counter");
-const timerDisplay = document.getElementById("timer");
-const questionText = document.getElementById("question-text");
-const optionsList = document.getElementById("options-list");
+// Older results only have the locale string; it parses in most browsers but not all
+function getResultTime(r) {
+    if (typeof r.takenAtMs === "number") return r.takenAtMs;
+    const parsed = Date.parse(r.takenAt);
+    return Number.isNaN(parsed) ? null : parsed;
+}
 
-const prevBtn = document.getElementById("prev-btn");
-const nextBtn = document.getElementById("next-btn");
-const submitBtn = document.getElementById("submit-btn");
+// Shown in the UI language; a stored string we cannot parse is shown as it was saved
+function formatResultTime(r) {
+    const time = getResultTime(r);
+    return time === null ? r.takenAt : translator.formatDateTime(time);
+}
 
-const resultUsername = document.getElementById("result-username");
-const resultSubject = document.getElementById("result-subject");
-const resultScore = document.getElementById("result-score");
-const resultPercentage = document.getElementById("result-percentage");
-const resultGrade = document.getElementById("result-grade");
-const resultTimeUsed = document.getElementById("result-time-used");
-const resultTimeStatus = document.getElementById("result-time-status");
-const resultAttempted = document.getElementById("result-attempted");
-const answersReview = document.getElementById("answers-review");
+function populateResultsSubjectFilter() {
+    const previous = resultsSubjectFilter.value;
+    const labels = [...new Set(getStoredResults().map(r => r.subjectLabel))].sort();
+    resultsSubjectFilter.innerHTML = "";
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = t("All subjects");
+    resultsSubjectFilter.appendChild(all);
+    labels.forEach(label => {
+        const opt = document.createElement("option");
+        opt.value = label;
+        opt.textContent = label;
+        resultsSubjectFilter.appendChild(opt);
+    });
+    if (labels.includes(previous)) resultsSubjectFilter.value = previous;
+}
 
-const retryBtn = document.getElementById("retry-btn");
-const changeConfigBtn = document.getElementById("change-config-btn");
+// Start of the "from" day and end of the "to" day, in local time
+function getResultsDateRange() {
+    const from = resultsDateFrom.value ? new Date(`${resultsDateFrom.value}T00:00`).getTime() : null;
+    const to = resultsDateTo.value ? new Date(`${resultsDateTo.value}T00:00`).getTime() + DAY_MS : null;
+    return { from, to };
+}
 
-const newSubjectKeyInput = document.getElementById("new-subject-key");
-const newSubjectLabelInput = document.getElementById("new-subject-label");
-const addSubjectBtn = document.getElementById("add-subject-btn");
-const adminSubjectSelect = document.getElementById("admin-subject-select");
-const adminQuestionText = document.getElementById("admin-question-text");
-const adminCorrectIndexInput = document.getElementById("admin-correct-index");
-const addQuestionBtn = document.getElementById("add-question-btn");
-const adminOptionInputs = [
-    document.getElementById("admin-option-0"),
-    document.getElementById("admin-option-1"),
-    document.getElementById("admin-option-2"),
-    document.getElementById("admin-option-3")
-];
+// Results matching the teacher's filters, in the order they were taken
+function getFilteredResults() {
+    const search = resultsSearchInput.value.trim().toLowerCase();
+    const subjectLabel = resultsSubjectFilter.value;
+    const { from, to } = getResultsDateRange();
+    return getStoredResults().filter(r => {
+        if (subjectLabel && r.subjectLabel !== subjectLabel) return false;
+        if (resultsFlaggedOnly.checked && !(r.integrityViolations > 0)) return false;
+        if (search && !`${r.studentName} ${r.studentId}`.toLowerCase().includes(search)) return false;
+        if (from !== null || to !== null) {
+            const time = getResultTime(r);
+            if (time === null) return false;
+            if (from !== null && time < from) return false;
+            if (to !== null && time >= to) return false;
+        }
+        return true;
+    });
+}
 
-const resultsTableBody = document.querySelector("#results-table tbody");
+function formatResultSubject(r) {
+    return r.assessmentTitle ? `${r.subjectLabel} – ${r.assessmentTitle}` : r.subjectLabel;
+}
 
-// Helpers
-function showSection(section) {
-    [authSection, homeSection, quizSection, resultSection, teacherSection].forEach(sec => sec.classList.add("hidden"));
-    section.classList.remove("hidden");
+// Leading =, +, - or @ would make spreadsheets evaluate a name as a formula
+function csvSafeText(value) {
+    const str = String(value ?? "");
+    return /^[=+\-@]/.test(str) ? `'${str}` : str;
 }
 
-function populateSubjectSelects() {
-    subjectSelect.innerHTML = "";
-    adminSubjectSelect.innerHTML = "";
-    subjectManager.getAllSubjects().forEach(sub => {
-        const opt1 = document.createElement("option");
-        opt1.value = sub.key;
-        opt1.textContent = sub.label;
-        subjectSelect.appendChild(opt1);
+function exportResultsCsv(results) {
+    const lines = [toCsvLine([
+        "Student Name", "Student ID", "Subject", "Assessment", "Score", "Max Score", "Total Questions", "Percentage",
+        "Grade", "Attempted", "Time Used (s)", "Time Limit (s)", "Time Status", "Taken At", "Integrity Violations", "Note"
+    ].map(header => t(header)))];
+    results.forEach(r => {
+        lines.push(toCsvLine([
+            csvSafeText(r.studentName),
+            csvSafeText(r.studentId),
+            csvSafeText(r.subjectLabel),
+            csvSafeText(r.assessmentTitle || ""),
+            r.score,
+            r.maxScore ?? r.totalQuestions,
+            r.totalQuestions,
+            r.percentage.toFixed(2),
+            r.grade,
+            r.attemptedCount,
+            r.timeUsedSeconds,
+            r.timeLimitSeconds,
+            Result.fromStored(r).getTimeStatus(),
+            formatResultTime(r),
+            r.integrityViolations ?? "",
+            csvSafeText(r.note || "")
+        ]));
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    // BOM so Excel opens UTF-8 names correctly
+    downloadTextFile(`quiz_results_${date}.csv`, "\uFEFF" + lines.join("\r\n") + "\r\n", "text/csv;charset=utf-8");
+}
 
-        const opt2 = document.createElement("option");
-        opt2.value = sub.key;
-        opt2.textContent = sub.label;
-        adminSubjectSelect.appendChild(opt2);
+function exportGradebookCsv(gradebook) {
+    const lines = [toCsvLine([t("Student Name"), t("Student ID"), ...gradebook.subjects.map(csvSafeText), t("Average (%)")])];
+    gradebook.rows.forEach(row => {
+        lines.push(toCsvLine([
+            csvSafeText(row.studentName),
+            csvSafeText(row.studentId),
+            ...gradebook.subjects.map(label => row.cells[label] ? row.cells[label].percentage.toFixed(2) : ""),
+            row.average.toFixed(2)
+        ]));
     });
+    const date = new Date().toISOString().slice(0, 10);
+    downloadTextFile(`gradebook_${date}.csv`, "\uFEFF" + lines.join("\r\n") + "\r\n", "text/csv;charset=utf-8");
 }
 
-function getSelectedTimeLimit() {
-    const timeRadios = document.querySelectorAll('input[name="time"]');
-    let selectedValue = "60";
-    timeRadios.forEach(r => {
-        if (r.checked) selectedValue = r.value;
+function openResultReport(r) {
+    const resultObj = Result.fromStored(r);
+    reportStudent.textContent = t("{name} (ID: {id})", { name: r.studentName, id: r.studentId });
+    reportSubject.textContent = formatResultSubject(r);
+    reportScore.textContent = `${r.score} / ${resultObj.maxScore}`;
+    reportPercentage.textContent = `${r.percentage.toFixed(2)}%`;
+    reportGrade.textContent = r.grade;
+    reportAttempted.textContent = `${r.attemptedCount} / ${r.totalQuestions}`;
+    reportAbilityRow.classList.toggle("hidden", !r.ability);
+    reportAbility.textContent = r.ability ? formatAbility(r.ability) : "";
+    // Results saved before hints existed do not record their use
+    reportHintsRow.classList.toggle("hidden", !Array.isArray(r.hintsUsed));
+    reportHints.textContent = Array.isArray(r.hintsUsed) ? String(r.hintsUsed.length) : "";
+    reportTimeUsed.textContent = t("{used} seconds (limit: {limit}s)", { used: r.timeUsedSeconds, limit: r.timeLimitSeconds });
+    reportTimeStatus.textContent = resultObj.getTimeStatus();
+    reportTakenAt.textContent = formatResultTime(r);
+    const monitored = Array.isArray(r.integrityEvents);
+    reportIntegrity.textContent = monitored ? t("{count} violation(s)", { count: r.integrityViolations }) : t("Not monitored");
+    reportIntegritySection.classList.toggle("hidden", !monitored || r.integrityEvents.length === 0);
+    reportIntegrityLog.innerHTML = "";
+    if (monitored) {
+        r.integrityEvents.forEach(event => {
+            const li = document.createElement("li");
+            li.textContent = formatIntegrityEvent(event);
+            li.classList.toggle("integrity-violation", INTEGRITY_VIOLATIONS.has(event.type));
+            reportIntegrityLog.appendChild(li);
+        });
+    }
+    reportGeneratedAt.textContent = t("Report generated {time}", { time: translator.formatDateTime(Date.now()) });
+
+    if (r.review && r.review.length) {
+        renderAnswerReview(reportReview, r.review);
+        reportNoReview.classList.add("hidden");
+    } else {
+        reportReview.innerHTML = "";
+        reportNoReview.classList.remove("hidden");
+    }
+
+    const presented = quizService.reconstructAttempt(r);
+    reportPresentedSection.classList.toggle("hidden", !presented);
+    if (presented) {
+        renderPresentedQuestions(reportPresented, presented, r.answers || {}, r.questionIds);
+    }
+
+    printReport.classList.remove("hidden");
+    document.body.classList.add("printing-report");
+    window.print();
+}
+
+function renderPresentedQuestions(listEl, questions, answers, questionIds) {
+    listEl.innerHTML = "";
+    questions.forEach((q, idx) => {
+        const li = document.createElement("li");
+        if (!q) {
+            li.textContent = t("Question #{id} is no longer in the question bank.", { id: questionIds[idx] });
+            li.classList.add("muted");
+            listEl.appendChild(li);
+            return;
+        }
+        li.appendChild(document.createTextNode(q.getText(translator.locale)));
+        const answer = answers[q.id];
+        const optionList = document.createElement("ul");
+        if (q.options.length) {
+            q.getOptions(translator.locale).forEach((opt, optIdx) => {
+                const chosen = Array.isArray(answer) ? answer.includes(optIdx) : answer === optIdx;
+                const correct = q.type === "multi" ? q.correctOptionIndexes.includes(optIdx) : q.correctOptionIndex === optIdx;
+                const item = document.createElement("li");
+                item.textContent = `${chosen ? "●" : "○"} ${String.fromCharCode(65 + optIdx)}. ${opt}${correct ? " ✓" : ""}`;
+                optionList.appendChild(item);
+            });
+        } else {
+            const item = document.createElement("li");
+            item.textContent = answer === undefined ? t("No answer given.") : t("Typed answer: {answer}", { answer: q.formatAnswer(answer) });
+            optionList.appendChild(item);
+        }
+        li.appendChild(optionList);
+        listEl.appendChild(li);
     });
+}
 
-    if (selectedValue === "custom") {
-        const custom = parseInt(customTimeInput.value, 10);
-        if (isNaN(custom) || custom < 10) {
-            alert("Please enter a valid custom time (minimum 10 seconds).");
-            return null;
+function renderItemAnalysis() {
+    const analyzer = new ItemAnalyzer(getStoredResults(),
+        (id, revision) => quizService.getQuestionRevision(id, revision),
+        (result, id) => quizService.getResultRevision(result, id));
+    const items = analyzer.analyze(analysisSubjectSelect.value || null);
+    analysisTableBody.innerHTML = "";
+    const flagged = items.filter(item => item.flags.length).length;
+    analysisSummary.textContent = items.length
+        ? t("{count} question(s) analysed from {attempts} attempt(s) with recorded responses; {flagged} flagged.", { count: items.length, attempts: analyzer.results.length, flagged })
+        : t("No attempts with recorded responses yet.");
+
+    items.forEach(item => {
+        const tr = document.createElement("tr");
+        const addCell = content => {
+            const td = document.createElement("td");
+            if (content instanceof Node) td.appendChild(content);
+            else td.textContent = content;
+            tr.appendChild(td);
+        };
+
+        const distribution = document.createElement("ul");
+        distribution.classList.add("cell-list");
+        if (item.optionCounts) {
+            item.optionCounts.forEach((count, idx) => {
+                const li = document.createElement("li");
+                const isKey = item.keyIndexes.includes(idx);
+                li.textContent = `${item.question.getOptions(translator.locale)[idx]}: ${count}${isKey ? ` ${t("(key)")}` : ""}`;
+                if (isKey) li.classList.add("is-key");
+                distribution.appendChild(li);
+            });
+        } else if (item.wrongAnswers.length) {
+            item.wrongAnswers.forEach(w => {
+                const li = document.createElement("li");
+                li.textContent = `"${w.answer}": ${w.count}`;
+                distribution.appendChild(li);
+            });
         }
-        return custom;
+
+        // Questions never edited keep the plain ID
+        const revised = item.revision > 1 || quizService.getRevisionNumber(item.questionId) > 1;
+        addCell(revised ? `${item.questionId} (${t("rev. {number}", { number: item.revision })})` : item.questionId);
+        addCell(item.question ? item.question.getText(translator.locale) : t("(no longer in the bank)"));
+        addCell(`${item.answeredCount} / ${item.responseCount}`);
+        addCell(item.pCorrect === null ? "–" : `${(item.pCorrect * 100).toFixed(0)}%`);
+        addCell(item.discrimination === null ? "–" : item.discrimination.toFixed(2));
+        addCell(item.avgTimeSeconds === null ? "–" : `${item.avgTimeSeconds.toFixed(1)}s`);
+        addCell(distribution);
+        addCell(item.flags.join("; ") || "–");
+        if (item.flags.length) tr.classList.add("row-flagged");
+        analysisTableBody.appendChild(tr);
+    });
+}
+
+function closeResultReport() {
+    document.body.classList.remove("printing-report");
+    printReport.classList.add("hidden");
+}
+
+// How each results column sorts; grade follows the percentage behind it
+const RESULT_SORT_VALUES = {
+    studentName: r => r.studentName.toLowerCase(),
+    studentId: r => String(r.studentId).toLowerCase(),
+    subject: r => formatResultSubject(r).toLowerCase(),
+    score: r => r.score,
+    percentage: r => r.percentage,
+    grade: r => r.percentage,
+    attemptedCount: r => r.attemptedCount,
+    timeUsedSeconds: r => r.timeUsedSeconds,
+    takenAt: r => getResultTime(r) ?? -Infinity,
+    integrity: r => r.integrityViolations ?? -1,
+    note: r => (r.note || "").toLowerCase()
+};
+
+function compareSortValues(a, b) {
+    if (typeof a === "string" && typeof b === "string") return a.localeCompare(b);
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function sortItems(items, valueOf, direction) {
+    const factor = direction === "asc" ? 1 : -1;
+    return [...items].sort((a, b) => factor * compareSortValues(valueOf(a), valueOf(b)));
+}
+
+function toggleSort(sort, key) {
+    if (sort.key === key) {
+        sort.direction = sort.direction === "asc" ? "desc" : "asc";
+    } else {
+        sort.key = key;
+        sort.direction = "asc";
     }
-    return parseInt(selectedValue, 10);
+    resultsPage = 1;
+    renderResultsTable();
 }
 
-function renderQuestion() {
-    const q = currentQuiz.getCurrentQuestion();
-    if (!q) return;
-    questionText.textContent = q.text;
-    optionsList.innerHTML = "";
+function updateSortIndicators(thead, sort) {
+    thead.querySelectorAll("th[data-sort]").forEach(th => {
+        const direction = th.dataset.sort === sort.key ? `${sort.direction}ending` : "none";
+        th.setAttribute("aria-sort", direction);
+    });
+}
 
-    q.options.forEach((opt, index) => {
-        const li = document.createElement("li");
-        li.textContent = opt;
-        li.classList.add("option-item");
+function getSortedResults() {
+    const valueOf = RESULT_SORT_VALUES[resultsSort.key] || RESULT_SORT_VALUES.takenAt;
+    return sortItems(getFilteredResults(), valueOf, resultsSort.direction);
+}
 
-        const savedAnswer = currentQuiz.userAnswers[q.id];
-        if (savedAnswer === index) {
-            li.classList.add("selected");
+// One row per student and one cell per subject; results arrive oldest first,
+// so in "latest" mode each later attempt simply replaces the earlier one
+function buildGradebook(results, mode) {
+    const subjects = [...new Set(results.map(r => r.subjectLabel))].sort((a, b) => a.localeCompare(b));
+    const students = new Map();
+    results.forEach(r => {
+        if (!students.has(r.studentId)) {
+            students.set(r.studentId, { studentId: r.studentId, studentName: r.studentName, cells: {}, average: 0 });
+        }
+        const row = students.get(r.studentId);
+        row.studentName = r.studentName;
+        const current = row.cells[r.subjectLabel];
+        if (!current || mode === "latest" || r.percentage > current.percentage) {
+            row.cells[r.subjectLabel] = r;
         }
+    });
+    const rows = [...students.values()];
+    rows.forEach(row => {
+        const scores = Object.values(row.cells).map(r => r.percentage);
+        row.average = scores.reduce((sum, p) => sum + p, 0) / scores.length;
+    });
+    return { subjects, rows };
+}
 
-        li.addEventListener("click", () => {
-            const all = optionsList.querySelectorAll(".option-item");
-            all.forEach(o => o.classList.remove("selected"));
-            li.classList.add("selected");
-            currentQuiz.saveAnswer(q.id, index);
-        });
+function getSortedGradebook() {
+    const gradebook = buildGradebook(getFilteredResults(), gradebookModeSelect.value);
+    // A subject filtered away since the last render cannot stay the sort column
+    const sortLabel = gradebookSort.key.startsWith("subject:") ? gradebookSort.key.slice("subject:".length) : null;
+    if (sortLabel !== null && !gradebook.subjects.includes(sortLabel)) {
+        gradebookSort = { key: "studentName", direction: "asc" };
+    }
+    let valueOf;
+    if (gradebookSort.key.startsWith("subject:")) {
+        valueOf = row => row.cells[sortLabel] ? row.cells[sortLabel].percentage : -Infinity;
+    } else if (gradebookSort.key === "average") {
+        valueOf = row => row.average;
+    } else if (gradebookSort.key === "studentId") {
+        valueOf = row => String(row.studentId).toLowerCase();
+    } else {
+        valueOf = row => row.studentName.toLowerCase();
+    }
+    gradebook.rows = sortItems(gradebook.rows, valueOf, gradebookSort.direction);
+    return gradebook;
+}
 
-        optionsList.appendChild(li);
-    });
+// Clamps the current page and returns the slice to show
+function paginate(items) {
+    const pageSize = Number(resultsPageSizeSelect.value);
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+    resultsPage = Math.min(Math.max(1, resultsPage), pageCount);
+    resultsPageInfo.textContent = t("Page {page} of {count}", { page: resultsPage, count: pageCount });
+    resultsPrevPageBtn.disabled = resultsPage <= 1;
+    resultsNextPageBtn.disabled = resultsPage >= pageCount;
+    const start = (resultsPage - 1) * pageSize;
+    return items.slice(start, start + pageSize);
+}
 
-    questionCounter.textContent = `Question ${currentQuiz.currentQuestionIndex + 1}/${currentQuiz.questions.length}`;
+function appendTextCell(tr, text) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    tr.appendChild(td);
+    return td;
 }
 
-function startTimer() {
-    if (timerInterval) clearInterval(timerInterval);
-    timerInterval = setInterval(() => {
-        const remaining = currentQuiz.getRemainingSeconds();
-        timerDisplay.textContent = `Time left: ${remaining}s`;
-        if (remaining <= 0) {
-            clearInterval(timerInterval);
-            alert("Time is over! Your quiz will be submitted automatically.");
-            finishQuiz(true);
+// Subject owners manage their own subjects' results; results without a
+// subject key (saved before it was recorded) are left to admins
+function canManageResult(account, r) {
+    if (account.isAdmin) return true;
+    return Boolean(r.subjectKey) && canEditSubject(account, r.subjectKey);
+}
+
+async function annotateResult(r) {
+    const account = requireTeacher(t("Only teachers can annotate results."));
+    if (!account) return;
+    if (!canManageResult(account, r)) {
+        showAlert(t("You can only annotate results for subjects you own."));
+        return;
+    }
+    const note = await showPrompt(t("Note for {name}'s {subject} result (leave empty to remove):", { name: r.studentName, subject: formatResultSubject(r) }), r.note || "");
+    if (note === null) return;
+    try {
+        updateStoredResult(r.attemptId, { note: note.trim() });
+    } catch (err) {
+        showAlert(err.message);
+        return;
+    }
+    renderResultsTable();
+}
+
+async function deleteResult(r) {
+    const account = requireTeacher(t("Only teachers can delete results."));
+    if (!account) return;
+    if (!canManageResult(account, r)) {
+        showAlert(t("You can only delete results for subjects you own."));
+        return;
+    }
+    if (!await showConfirm(t("Delete {name}'s {subject} result from {time}? This cannot be undone.", { name: r.studentName, subject: formatResultSubject(r), time: formatResultTime(r) }))) return;
+    try {
+        deleteStoredResult(r.attemptId);
+    } catch (err) {
+        showAlert(err.message);
+        return;
+    }
+    renderResultsTable();
+    renderItemAnalysis();
+}
+
+function createResultActionButton(label, title, onClick) {
+    const btn = document.createElement("button");
+    btn.classList.add("btn", "secondary-btn", "icon-btn");
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener("click", onClick);
+    return btn;
+}
+
+function formatIntegrityEvent(event) {
+    const label = INTEGRITY_EVENT_LABELS[event.type] ? t(INTEGRITY_EVENT_LABELS[event.type]) : event.type;
+    let text = `${translator.formatTime(event.at)} – ${label} (${t("question {number}", { number: event.question })})`;
+    if (event.detail) text += `, ${event.detail}`;
+    return text;
+}
+
+function appendIntegrityCell(tr, r) {
+    if (!Array.isArray(r.integrityEvents)) {
+        appendTextCell(tr, t("Not monitored"));
+        return;
+    }
+    if (r.integrityViolations === 0) {
+        appendTextCell(tr, "–");
+        return;
+    }
+    const td = document.createElement("td");
+    const flag = document.createElement("span");
+    flag.classList.add("integrity-flag");
+    flag.textContent = `⚠ ${r.integrityViolations}`;
+    flag.title = r.integrityEvents.filter(event => INTEGRITY_VIOLATIONS.has(event.type)).map(formatIntegrityEvent).join("\n");
+    td.appendChild(flag);
+    tr.appendChild(td);
+}
+
+function renderResultRows(account) {
+    const results = getSortedResults();
+    resultsCount.textContent = t("Showing {count} of {total} result(s)", { count: results.length, total: getStoredResults().length });
+    updateSortIndicators(document.querySelector("#results-table thead"), resultsSort);
+    resultsTableBody.innerHTML = "";
+    paginate(results).forEach(r => {
+        const tr = document.createElement("tr");
+        appendTextCell(tr, r.studentName);
+        appendTextCell(tr, r.studentId);
+        appendTextCell(tr, formatResultSubject(r));
+        appendTextCell(tr, `${r.score}/${r.maxScore ?? r.totalQuestions}`);
+        appendTextCell(tr, `${r.percentage.toFixed(2)}%`);
+        appendTextCell(tr, r.grade);
+        appendTextCell(tr, r.attemptedCount);
+        appendTextCell(tr, r.timeLimitSeconds === null ? `${r.timeUsedSeconds}s` : `${r.timeUsedSeconds}s / ${r.timeLimitSeconds}s`);
+        appendTextCell(tr, formatResultTime(r));
+        appendIntegrityCell(tr, r);
+        appendTextCell(tr, r.note || "");
+
+        const actionTd = document.createElement("td");
+        const actions = document.createElement("div");
+        actions.classList.add("result-actions");
+        actions.appendChild(createResultActionButton(t("Report"), t("Printable report (use \"Save as PDF\" in the print dialog)"), () => openResultReport(r)));
+        if (account && canManageResult(account, r)) {
+            actions.appendChild(createResultActionButton(t("Note"), t("Add or edit a note on this result"), () => annotateResult(r)));
+            actions.appendChild(createResultActionButton(t("Delete"), t("Delete this result"), () => deleteResult(r)));
         }
-    }, 1000);
+        actionTd.appendChild(actions);
+        tr.appendChild(actionTd);
+        resultsTableBody.appendChild(tr);
+    });
 }
 
-function getStoredResults() {
-    const raw = localStorage.getItem("quizResults");
-    if (!raw) return [];
-    try {
-        return JSON.parse(raw);
-    } catch {
-        return [];
-    }
+function createSortableHeader(text, key) {
+    const th = document.createElement("th");
+    th.textContent = text;
+    th.dataset.sort = key;
+    th.addEventListener("click", () => toggleSort(gradebookSort, key));
+    return th;
 }
 
-function saveResultToStorage(result) {
-    const results = getStoredResults();
-    results.push(result);
-    localStorage.setItem("quizResults", JSON.stringify(results));
-}
+function renderGradebook() {
+    const gradebook = getSortedGradebook();
+    const mode = gradebookModeSelect.value;
+    resultsCount.textContent = `${t("{students} student(s) across {subjects} subject(s)", { students: gradebook.rows.length, subjects: gradebook.subjects.length })} • ` +
+        t(mode === "latest" ? "latest score per subject" : "best score per subject");
 
-function renderResultsTable() {
-    const results = getStoredResults();
-    resultsTableBody.innerHTML = "";
-    results.forEach(r => {
+    gradebookTableHead.innerHTML = "";
+    const headRow = document.createElement("tr");
+    headRow.appendChild(createSortableHeader(t("Student Name"), "studentName"));
+    headRow.appendChild(createSortableHeader(t("Student ID"), "studentId"));
+    gradebook.subjects.forEach(label => headRow.appendChild(createSortableHeader(label, `subject:${label}`)));
+    headRow.appendChild(createSortableHeader(t("Average"), "average"));
+    gradebookTableHead.appendChild(headRow);
+    updateSortIndicators(gradebookTableHead, gradebookSort);
+
+    gradebookTableBody.innerHTML = "";
+    paginate(gradebook.rows).forEach(row => {
         const tr = document.createElement("tr");
-        tr.innerHTML = `
-            <td>${r.studentName}</td>
-            <td>${r.studentId}</td>
-            <td>${r.subjectLabel}</td>
-            <td>${r.score}/${r.totalQuestions}</td>
-            <td>${r.percentage.toFixed(2)}%</td>
-            <td>${r.grade}</td>
-            <td>${r.attemptedCount}</td>
-            <td>${r.timeUsedSeconds}s / ${r.timeLimitSeconds}s</td>
-            <td>${r.takenAt}</td>
-        `;
-        resultsTableBody.appendChild(tr);
+        appendTextCell(tr, row.studentName);
+        appendTextCell(tr, row.studentId);
+        gradebook.subjects.forEach(label => {
+            const r = row.cells[label];
+            if (!r) {
+                appendTextCell(tr, "–").classList.add("gradebook-empty");
+                return;
+            }
+            const td = appendTextCell(tr, `${r.percentage.toFixed(1)}% (${r.grade})`);
+            td.title = `${formatResultSubject(r)} – ${formatResultTime(r)}`;
+        });
+        appendTextCell(tr, `${row.average.toFixed(1)}%`);
+        gradebookTableBody.appendChild(tr);
     });
 }
 
+function renderResultsTable() {
+    populateResultsSubjectFilter();
+    const isGradebook = resultsViewSelect.value === "gradebook";
+    resultsRowsWrapper.classList.toggle("hidden", isGradebook);
+    gradebookWrapper.classList.toggle("hidden", !isGradebook);
+    gradebookModeSelect.classList.toggle("hidden", !isGradebook);
+    if (isGradebook) {
+        renderGradebook();
+    } else {
+        renderResultRows(teacherAuth.getSessionAccount());
+    }
+}
+
 function finishQuiz(timeOver = false) {
-    if (timerInterval) clearInterval(timerInterval);
+    stopTimer();
+    stopIntegrityMonitor();
     currentQuiz.finish();
+    quizSessionStore.clear(currentUser.id);
+
+    // Answers the student did not check still count toward their schedule
+    const isReview = currentQuiz instanceof ReviewQuiz;
+    if (isReview) {
+        currentQuiz.questions
+            .filter(q => currentQuiz.userAnswers[q.id] !== undefined && !currentQuiz.isChecked(q.id))
+            .forEach(q => reviewScheduler.recordReview(currentUser.id, q.id, currentQuiz.checkAnswer(q.id)));
+    }
 
     const score = quizService.calculateScore(currentQuiz);
+    const maxScore = currentQuiz.scoringPolicy.getMaxScore(currentQuiz.questions);
     const totalQuestions = currentQuiz.questions.length;
     const timeUsed = currentQuiz.getTimeUsedSeconds();
     const timeLimit = currentQuiz.timeLimitInSeconds;
     const attempted = currentQuiz.getAttemptedCount();
 
-    const takenAt = new Date().toLocaleString();
+    // Stored as ISO 8601 so it sorts and parses the same in every locale
+    const takenAtMs = Date.now();
+    const takenAt = new Date(takenAtMs).toISOString();
+    const assessment = currentQuiz.assessmentId ? assessmentManager.get(currentQuiz.assessmentId) : null;
     const resultObj = new Result(
         currentUser.name,
         currentUser.id,
@@ -482,45 +7781,37 @@ function finishQuiz(timeOver = false) {
         timeUsed,
         timeLimit,
         attempted,
-        takenAt
+        takenAt,
+        maxScore,
+        currentQuiz.scoringPolicy
     );
 
     // Update UI for student
-    resultUsername.textContent = `Name: ${resultObj.studentName} (ID: ${resultObj.studentId})`;
-    resultSubject.textContent = resultObj.subjectLabel;
-    resultScore.textContent = `${resultObj.score} / ${resultObj.totalQuestions}`;
+    resultUsername.textContent = t("Name: {name} (ID: {id})", { name: resultObj.studentName, id: resultObj.studentId });
+    resultSubject.textContent = assessment ? `${resultObj.subjectLabel} – ${assessment.title}` : resultObj.subjectLabel;
+    resultScore.textContent = `${resultObj.score} / ${resultObj.maxScore}`;
     const percent = resultObj.getPercentage();
     resultPercentage.textContent = percent.toFixed(2);
     resultGrade.textContent = resultObj.getGrade();
-    resultTimeUsed.textContent = `${resultObj.timeUsedSeconds} seconds (limit: ${resultObj.timeLimitSeconds}s)`;
+    resultTimeUsed.textContent = isReview
+        ? t("{used} seconds (untimed)", { used: resultObj.timeUsedSeconds })
+        : t("{used} seconds (limit: {limit}s)", { used: resultObj.timeUsedSeconds, limit: resultObj.timeLimitSeconds });
     resultTimeStatus.textContent = resultObj.getTimeStatus();
     resultAttempted.textContent = `${resultObj.attemptedCount} / ${resultObj.totalQuestions}`;
+    const ability = currentQuiz instanceof AdaptiveQuiz ? currentQuiz.getAbilityScore() : null;
+    resultAbilityRow.classList.toggle("hidden", !ability);
+    resultAbility.textContent = ability ? formatAbility(ability) : "";
+    resultNotice.classList.add("hidden");
 
     // Answer review
-    answersReview.innerHTML = "";
-    currentQuiz.questions.forEach((q, idx) => {
-        const li = document.createElement("li");
-        const chosen = currentQuiz.userAnswers[q.id];
-        const correctIndex = q.correctOptionIndex;
-        let text = `${idx + 1}. ${q.text} – `;
-        if (chosen === undefined) {
-            text += "You did not answer. ";
-        } else if (q.isCorrect(chosen)) {
-            text += `Your answer: ${q.options[chosen]} ✅`;
-        } else {
-            text += `Your answer: ${q.options[chosen]} ❌`;
-        }
-        text += ` | Correct answer: ${q.options[correctIndex]}`;
-        li.textContent = text;
-        if (chosen === undefined) {
-            // no class
-        } else if (q.isCorrect(chosen)) {
-            li.classList.add("answer-correct");
-        } else {
-            li.classList.add("answer-wrong");
-        }
-        answersReview.appendChild(li);
-    });
+    const review = buildAnswerReview(currentQuiz);
+    renderAnswerReview(answersReview, review);
+
+    updateRetryButton();
+    showSection(resultSection);
+    resultHeading.focus();
+    // Review sessions are the student's own revision, not marks for the teacher
+    if (isReview) return;
 
     // Save result for teacher (marks backend)
     const storedResult = {
@@ -528,17 +7819,48 @@ function finishQuiz(timeOver = false) {
         studentId: resultObj.studentId,
         subjectLabel: resultObj.subjectLabel,
         score: resultObj.score,
+        maxScore: resultObj.maxScore,
         totalQuestions: resultObj.totalQuestions,
         percentage: percent,
         grade: resultObj.getGrade(),
         timeUsedSeconds: resultObj.timeUsedSeconds,
         timeLimitSeconds: resultObj.timeLimitSeconds,
         attemptedCount: resultObj.attemptedCount,
-        takenAt: resultObj.takenAt
+        takenAt: resultObj.takenAt,
+        takenAtMs,
+        // Language the questions were shown in, which is also the language of the review
+        locale: translator.locale,
+        review,
+        attemptId: currentQuiz.id,
+        subjectKey: currentQuiz.subjectKey,
+        seed: currentQuiz.seed,
+        questionIds: currentQuiz.questions.map(q => q.id),
+        // The versions the student saw, even if a teacher edited them mid-attempt
+        questionRevisions: Object.fromEntries(currentQuiz.questions.map(q => [q.id, quizService.getRevisionAt(q.id, currentQuiz.startTime)])),
+        optionOrders: currentQuiz.optionOrders,
+        answers: { ...currentQuiz.userAnswers },
+        responses: currentQuiz.getResponses(),
+        scoringPolicy: currentQuiz.scoringPolicy.toJSON(),
+        assessmentId: currentQuiz.assessmentId,
+        assessmentTitle: assessment ? assessment.title : null,
+        ability,
+        questionTimeLimitSeconds: currentQuiz.questionTimeLimitInSeconds,
+        sections: currentQuiz.sections.map(section => ({ ...section })),
+        timedOutQuestionIds: [...currentQuiz.timedOutQuestionIds],
+        hintsUsed: [...currentQuiz.hintsUsed],
+        // null means the attempt was not monitored (practice quizzes)
+        integrityEvents: currentQuiz.integritySettings ? currentQuiz.integrityEvents.map(event => ({ ...event })) : null,
+        integrityViolations: currentQuiz.integritySettings ? IntegrityMonitor.countViolations(currentQuiz.integrityEvents) : null
     };
     saveResultToStorage(storedResult);
+}
 
-    showSection(resultSection);
+// Automatic submissions are read out and explained at the top of the result
+function autoSubmitQuiz(message, timeOver) {
+    announce(message);
+    finishQuiz(timeOver);
+    resultNotice.textContent = message;
+    resultNotice.classList.remove("hidden");
 }
 
 // =======================
@@ -561,52 +7883,140 @@ studentLoginBtn.addEventListener("click", () => {
     const name = studentNameInput.value.trim();
     const id = studentIdInput.value.trim();
     if (!name || !id) {
-        alert("Please enter both name and student ID.");
+        showAlert(t("Please enter both name and student ID."));
         return;
     }
+    // A student taking over this device ends any teacher session on it
+    teacherAuth.logout();
     currentUser = {
         role: "student",
         name,
         id
     };
-    headerUserInfo.textContent = `Logged in as Student: ${name} (${id})`;
+    renderHeaderUserInfo();
     logoutBtn.classList.remove("hidden");
-    showSection(homeSection);
+    showStudentHome();
+    offerQuizResume();
+    refreshSharedData().catch(() => {});
 });
 
 // Teacher login
-teacherLoginBtn.addEventListener("click", () => {
+teacherLoginBtn.addEventListener("click", async () => {
     const username = teacherUsernameInput.value.trim();
-    const password = teacherPasswordInput.value.trim();
-    if (username === "teacher" && password === "teacher123") {
-        currentUser = {
-            role: "teacher",
-            name: "Teacher",
-            id: "T-001"
-        };
-        headerUserInfo.textContent = "Logged in as Teacher";
-        logoutBtn.classList.remove("hidden");
-        renderResultsTable();
-        populateSubjectSelects();
-        showSection(teacherSection);
-    } else {
-        alert("Invalid teacher credentials.");
+    const password = teacherPasswordInput.value;
+    if (!username || !password) {
+        showAlert(t("Please enter your username and password."));
+        return;
+    }
+    teacherLoginBtn.disabled = true;
+    try {
+        const account = await teacherAuth.login(username, password);
+        teacherPasswordInput.value = "";
+        enterTeacherDashboard(account);
+        refreshSharedData().catch(() => {});
+    } catch (err) {
+        showAlert(err.message);
+    } finally {
+        teacherLoginBtn.disabled = false;
     }
 });
 
-// Logout
-logoutBtn.addEventListener("click", () => {
-    currentUser = { role: null, name: null, id: null };
-    headerUserInfo.textContent = "Not logged in";
-    logoutBtn.classList.add("hidden");
-    showSection(authSection);
+// Shared storage
+storageConnectBtn.addEventListener("click", async () => {
+    const url = storageServerUrlInput.value.trim();
+    if (!/^https?:\/\/\S+$/i.test(url)) {
+        showAlert(t("Enter the quiz server address, e.g. http://192.168.1.10:3000."));
+        return;
+    }
+    // Left blank on student devices, which only need to hand in results
+    const token = storageServerTokenInput.value.trim();
+    const adapter = new ServerStorageAdapter(url, STORAGE_SYNC_STATE_KEY, token);
+    storageConnectBtn.disabled = true;
+    try {
+        const health = await adapter.checkConnection();
+        if (token && !health.teacher) throw new Error(t("The quiz server did not accept this teacher token."));
+        localStorage.setItem(STORAGE_SERVER_URL_KEY, adapter.baseUrl);
+        if (token) {
+            localStorage.setItem(STORAGE_SERVER_TOKEN_KEY, token);
+        } else {
+            localStorage.removeItem(STORAGE_SERVER_TOKEN_KEY);
+        }
+        await useStorageAdapter(adapter);
+        storageServerUrlInput.value = adapter.baseUrl;
+        showAlert(t("Connected to the quiz server at {url}.", { url: adapter.baseUrl }));
+    } catch (err) {
+        showAlert(t("Could not connect: {error}", { error: err.message }));
+    } finally {
+        storageConnectBtn.disabled = false;
+    }
+});
+
+storageSyncBtn.addEventListener("click", async () => {
+    if (storageAdapter.mode !== "server") {
+        showAlert(t("This browser is not connected to a quiz server."));
+        return;
+    }
+    storageSyncBtn.disabled = true;
+    try {
+        await refreshSharedData();
+    } catch (err) {
+        showAlert(t("Could not sync: {error}", { error: err.message }));
+    } finally {
+        storageSyncBtn.disabled = false;
+    }
 });
 
+storageLocalBtn.addEventListener("click", async () => {
+    if (storageAdapter.mode === "server" &&
+        !await showConfirm(t("Stop using the quiz server on this device? Everything synced so far stays in this browser, but new results will no longer be shared."))) {
+        return;
+    }
+    // Saved as empty so a page served by the quiz server does not reconnect by itself
+    localStorage.setItem(STORAGE_SERVER_URL_KEY, "");
+    // Reconnecting later merges again, so results saved in the meantime are uploaded
+    localStorage.removeItem(STORAGE_SYNC_STATE_KEY);
+    storageServerUrlInput.value = "";
+    useStorageAdapter(new LocalStorageAdapter());
+});
+
+window.addEventListener("online", () => {
+    renderSyncStatus();
+    if (storageAdapter.mode === "server") refreshSharedData().catch(() => {});
+});
+window.addEventListener("offline", renderSyncStatus);
+
+// Teacher - first-time admin setup
+setupAdminBtn.addEventListener("click", async () => {
+    const username = setupUsernameInput.value.trim();
+    const displayName = setupDisplayNameInput.value.trim();
+    const password = setupPasswordInput.value;
+    if (password !== setupPasswordConfirmInput.value) {
+        showAlert(t("Passwords do not match."));
+        return;
+    }
+    setupAdminBtn.disabled = true;
+    try {
+        const account = await teacherAuth.setupAdmin(username, displayName, password);
+        quizService.assignUnownedSubjects(account.id);
+        await teacherAuth.login(username, password);
+        [setupUsernameInput, setupDisplayNameInput, setupPasswordInput, setupPasswordConfirmInput].forEach(input => input.value = "");
+        updateTeacherAuthCards();
+        enterTeacherDashboard(account);
+    } catch (err) {
+        showAlert(err.message);
+    } finally {
+        setupAdminBtn.disabled = false;
+    }
+});
+
+// Logout
+logoutBtn.addEventListener("click", logout);
+
 // Start form (student quiz)
 startForm.addEventListener("submit", (e) => {
     e.preventDefault();
     if (currentUser.role !== "student") {
-        alert("Please login as a student first.");
+        showAlert(t("Please login as a student first."));
         showSection(authSection);
         return;
     }
@@ -617,14 +8027,11 @@ startForm.addEventListener("submit", (e) => {
     if (!timeLimit) return;
 
     try {
-        currentQuiz = quizService.loadQuiz(subjectKey, questionCount, timeLimit);
-        quizSubjectTitle.textContent = `${subjectManager.getSubjectLabel(subjectKey)} Quiz`;
-        quizUsernameDisplay.textContent = `Student: ${currentUser.name} (${currentUser.id}) • Time limit: ${timeLimit}s`;
-        showSection(quizSection);
-        renderQuestion();
-        startTimer();
+        const questionTimeLimit = questionTimeLimitSelect.value === "" ? null : Number(questionTimeLimitSelect.value);
+        currentQuiz = loadPracticeQuiz(subjectKey, questionCount, timeLimit, quizModeSelect.value === "adaptive", questionTimeLimit);
+        enterQuiz();
     } catch (err) {
-        alert(err.message);
+        showAlert(err.message);
     }
 });
 
@@ -632,23 +8039,153 @@ prevBtn.addEventListener("click", () => {
     if (!currentQuiz) return;
     currentQuiz.goToPrevQuestion();
     renderQuestion();
+    saveQuizSession();
 });
 
-nextBtn.addEventListener("click", () => {
+nextBtn.addEventListener("click", async () => {
     if (!currentQuiz) return;
+    if (currentQuiz instanceof AdaptiveQuiz) {
+        const q = currentQuiz.getCurrentQuestion();
+        if (currentQuiz.userAnswers[q.id] === undefined) {
+            showAlert(t("Please answer this question first. Adaptive quizzes choose the next question from your answer."));
+            return;
+        }
+        if (!currentQuiz.goToNextQuestion()) {
+            autoSubmitQuiz(t("That is enough questions to estimate your level. Your quiz will now be submitted."), false);
+            return;
+        }
+        renderQuestion();
+        updateTimerDisplay();
+        saveQuizSession();
+        return;
+    }
+    if (currentQuiz instanceof TimedQuiz && currentQuiz.isLastQuestionOfSection()) {
+        const quiz = currentQuiz;
+        const index = quiz.currentQuestionIndex;
+        if (!await showConfirm(t("Move on to the next section? \"{title}\" will be closed and you cannot come back to it.", { title: quiz.getCurrentSection().title }))) {
+            return;
+        }
+        // The clock keeps running while the dialog is open and may have moved on already
+        if (currentQuiz !== quiz || quiz.endTime !== null || quiz.currentQuestionIndex !== index) return;
+    }
     currentQuiz.goToNextQuestion();
     renderQuestion();
+    updateTimerDisplay();
+    saveQuizSession();
+});
+
+checkAnswerBtn.addEventListener("click", () => {
+    if (!(currentQuiz instanceof ReviewQuiz)) return;
+    const q = currentQuiz.getCurrentQuestion();
+    if (currentQuiz.userAnswers[q.id] === undefined) {
+        showAlert(t("Please answer the question first."));
+        return;
+    }
+    reviewScheduler.recordReview(currentUser.id, q.id, currentQuiz.checkAnswer(q.id));
+    renderQuestion();
+    saveQuizSession();
+});
+
+flagBtn.addEventListener("click", () => {
+    if (!currentQuiz) return;
+    const q = currentQuiz.getCurrentQuestion();
+    currentQuiz.toggleFlag(q.id);
+    updateQuestionTools(q);
+    renderNavigator();
+    saveQuizSession();
+});
+
+// The hint is shown once confirmed and counts as used for the rest of the attempt
+hintBtn.addEventListener("click", async () => {
+    if (!currentQuiz) return;
+    const quiz = currentQuiz;
+    const q = quiz.getCurrentQuestion();
+    const penalty = quiz.scoringPolicy.hintPenalty;
+    if (penalty > 0) {
+        const confirmed = await showConfirm(t("Using the hint takes {percent}% off the points you earn for this question. Show it?", { percent: roundScore(penalty * 100) }));
+        if (!confirmed || currentQuiz !== quiz || quiz.getCurrentQuestion() !== q) return;
+    }
+    quiz.revealHint(q.id);
+    updateQuestionTools(q);
+    saveQuizSession();
+    questionHint.focus();
+});
+
+clearAnswerBtn.addEventListener("click", () => {
+    if (!currentQuiz) return;
+    const q = currentQuiz.getCurrentQuestion();
+    if (currentQuiz instanceof ReviewQuiz && currentQuiz.isChecked(q.id)) return;
+    currentQuiz.clearAnswer(q.id);
+    renderQuestion();
+    saveQuizSession();
+    // The button is now disabled, so focus goes back to the answer
+    const answerControl = optionsList.querySelector(".option-item[tabindex='0'], input");
+    if (answerControl) answerControl.focus();
 });
 
+// Submitting goes through a summary of unanswered and flagged questions first
 submitBtn.addEventListener("click", () => {
     if (!currentQuiz) return;
-    if (!confirm("Are you sure you want to submit the quiz?")) return;
+    setSubmitSummaryOpen(true);
+});
+
+summaryBackBtn.addEventListener("click", () => {
+    if (!currentQuiz) return;
+    setSubmitSummaryOpen(false);
+});
+
+summarySubmitBtn.addEventListener("click", () => {
+    if (!currentQuiz) return;
     finishQuiz(false);
 });
 
+// Quiz shortcuts: 1–9 pick an option, Left and Right change question and
+// Ctrl+Enter (Cmd+Enter on a Mac) opens the submit summary. Fields keep
+// their own keys, so typed answers are not affected.
+document.addEventListener("keydown", event => {
+    if (!currentQuiz || quizSection.classList.contains("hidden") || isDialogOpen() || isSubmitSummaryOpen()) return;
+    if (event.defaultPrevented || event.altKey) return;
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        submitBtn.click();
+        return;
+    }
+    if (event.ctrlKey || event.metaKey || event.target.closest("input, textarea, select")) return;
+    if (/^[1-9]$/.test(event.key)) {
+        const option = optionsList.querySelectorAll(".option-item")[Number(event.key) - 1];
+        if (!option || optionsList.classList.contains("locked")) return;
+        event.preventDefault();
+        option.click();
+        option.focus();
+    } else if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+        const btn = event.key === "ArrowLeft" ? prevBtn : nextBtn;
+        if (btn.disabled) return;
+        event.preventDefault();
+        btn.click();
+    }
+});
+
+dialogOkBtn.addEventListener("click", () => {
+    if (isDialogOpen()) closeOpenDialog(true);
+});
+
+dialogCancelBtn.addEventListener("click", () => {
+    if (isDialogOpen()) closeOpenDialog(false);
+});
+
+appDialog.addEventListener("keydown", handleDialogKeydown);
+
 retryBtn.addEventListener("click", () => {
     if (!currentQuiz) {
-        showSection(homeSection);
+        showStudentHome();
+        return;
+    }
+    if (currentQuiz.assessmentId) {
+        startAssessment(currentQuiz.assessmentId);
+        return;
+    }
+    if (currentQuiz instanceof ReviewQuiz) {
+        startReviewSession(currentQuiz.subjectKey);
         return;
     }
     const subjectKey = currentQuiz.subjectKey;
@@ -656,68 +8193,438 @@ retryBtn.addEventListener("click", () => {
     let questionCount = qCountValue === "all" ? "all" : parseInt(qCountValue, 10);
     const timeLimit = currentQuiz.timeLimitInSeconds;
 
-    currentQuiz = quizService.loadQuiz(subjectKey, questionCount, timeLimit);
-    quizSubjectTitle.textContent = `${subjectManager.getSubjectLabel(subjectKey)} Quiz`;
-    quizUsernameDisplay.textContent = `Student: ${currentUser.name} (${currentUser.id}) • Time limit: ${timeLimit}s`;
-    showSection(quizSection);
-    renderQuestion();
-    startTimer();
+    try {
+        currentQuiz = loadPracticeQuiz(subjectKey, questionCount, timeLimit, currentQuiz instanceof AdaptiveQuiz, currentQuiz.questionTimeLimitInSeconds);
+        enterQuiz();
+    } catch (err) {
+        showAlert(err.message);
+    }
 });
 
 changeConfigBtn.addEventListener("click", () => {
-    showSection(homeSection);
+    showStudentHome();
 });
 
+myAttemptsBtn.addEventListener("click", showHistory);
+historyBackBtn.addEventListener("click", showStudentHome);
+historySubjectFilter.addEventListener("change", renderHistoryAttempts);
+
 // Teacher - add subject
 addSubjectBtn.addEventListener("click", () => {
-    if (currentUser.role !== "teacher") {
-        alert("Only teachers can add subjects.");
-        return;
-    }
+    const account = requireTeacher(t("Only teachers can add subjects."));
+    if (!account) return;
     const key = newSubjectKeyInput.value.trim();
     const label = newSubjectLabelInput.value.trim();
     if (!key || !label) {
-        alert("Please enter both subject key and label.");
+        showAlert(t("Please enter both subject key and label."));
         return;
     }
     try {
-        quizService.addSubject(key, label);
+        quizService.addSubject(key, label, account.id);
         populateSubjectSelects();
         newSubjectKeyInput.value = "";
         newSubjectLabelInput.value = "";
-        alert("Subject added successfully.");
+        showAlert(t("Subject added successfully."));
     } catch (err) {
-        alert(err.message);
+        showAlert(err.message);
     }
 });
 
-// Teacher - add question
+// Teacher - add question, or save the one being edited as a new revision
 addQuestionBtn.addEventListener("click", () => {
-    if (currentUser.role !== "teacher") {
-        alert("Only teachers can add questions.");
+    const account = requireTeacher(t("Only teachers can add questions."));
+    if (!account) return;
+    const subjectKey = adminSubjectSelect.value;
+    if (!subjectKey) {
+        showAlert(t("Please select a subject."));
         return;
     }
-    const subjectKey = adminSubjectSelect.value;
-    const text = adminQuestionText.value.trim();
-    const options = adminOptionInputs.map(input => input.value.trim());
-    const correctIndex = parseInt(adminCorrectIndexInput.value, 10);
+    if (!canEditSubject(account, subjectKey)) {
+        showAlert(t("You can only add questions to your own subjects."));
+        return;
+    }
+    const { type, fields } = readAdminQuestionFields();
+    const editing = editingQuestionId;
 
-    if (!subjectKey || !text || options.some(o => !o)) {
-        alert("Please fill in all question and options fields.");
+    try {
+        if (editing) {
+            quizService.updateQuestion(editing, subjectKey, type, fields);
+        } else {
+            quizService.addQuestionOfType(subjectKey, type, fields);
+        }
+    } catch (err) {
+        showAlert(err.message);
         return;
     }
-    if (isNaN(correctIndex) || correctIndex < 0 || correctIndex > 3) {
-        alert("Correct option index must be between 0 and 3.");
+    resetAdminQuestionForm();
+    renderQuestionBank();
+    showAlert(editing ? t("Question #{id} saved.", { id: editing }) : t("Question added successfully."));
+});
+
+cancelQuestionEditBtn.addEventListener("click", resetAdminQuestionForm);
+
+// Teacher - question bank browser
+bankBrowserSubjectSelect.addEventListener("change", renderQuestionBank);
+bankBrowserSearchInput.addEventListener("input", renderQuestionBank);
+
+renameSubjectBtn.addEventListener("click", async () => {
+    const account = requireTeacher(t("Only teachers can rename subjects."));
+    if (!account) return;
+    const key = bankBrowserSubjectSelect.value;
+    if (!key || !canEditSubject(account, key)) return;
+    const current = subjectManager.getSubjectLabel(key);
+    const label = await showPrompt(t("New name for \"{label}\" (the key \"{key}\" stays the same):", { label: current, key }), current);
+    if (label === null || !label.trim() || label.trim() === current) return;
+    try {
+        quizService.renameSubject(key, label);
+    } catch (err) {
+        showAlert(err.message);
         return;
     }
+    populateSubjectSelects();
+    renderAssessmentsList(account);
+    announce(t("Subject renamed to \"{label}\".", { label: label.trim() }));
+});
 
-    quizService.addQuestion(subjectKey, text, options, correctIndex);
-    adminQuestionText.value = "";
-    adminOptionInputs.forEach(input => input.value = "");
-    adminCorrectIndexInput.value = "0";
-    alert("Question added successfully.");
+// Subjects with assessments cannot go, and the key must be typed back as a safety check
+deleteSubjectBtn.addEventListener("click", async () => {
+    const account = requireTeacher(t("Only teachers can delete subjects."));
+    if (!account) return;
+    const key = bankBrowserSubjectSelect.value;
+    if (!key || !canEditSubject(account, key)) return;
+    const label = subjectManager.getSubjectLabel(key);
+    const assessments = assessmentManager.getAll().filter(a => a.subjectKey === key).length;
+    if (assessments) {
+        showAlert(t("\"{label}\" still has {count} assessment(s). Delete them first.", { label, count: assessments }));
+        return;
+    }
+    // Fixed question sets filed under another subject may still use its questions
+    const broken = quizService.findAssessmentsBrokenByRemoving(assessmentManager.getAll(), q => q.subjectKey === key);
+    if (broken.length) {
+        showAlert(t("\"{label}\" cannot be deleted because these assessments could no longer be started: {details}", { label, details: describeBrokenAssessments(broken) }));
+        return;
+    }
+    const count = (quizService.questionsDb[key] || []).length;
+    const typed = await showPrompt(t("Delete \"{label}\" with its {count} question(s) and scoring policy? Stored results are kept. Type the subject key \"{key}\" to confirm.", { label, count, key }));
+    if (typed === null) return;
+    if (typed.trim() !== key) {
+        showAlert(t("The subject key did not match, so nothing was deleted."));
+        return;
+    }
+    try {
+        quizService.deleteSubject(key);
+    } catch (err) {
+        showAlert(err.message);
+        return;
+    }
+    if (editingQuestionId && !quizService.findQuestion(editingQuestionId)) resetAdminQuestionForm();
+    populateSubjectSelects();
+    showAlert(t("Subject \"{label}\" deleted.", { label }));
+});
+
+adminQuestionTypeSelect.addEventListener("change", updateAdminQuestionTypeFields);
+
+languageSelect.addEventListener("change", () => changeLanguage(languageSelect.value));
+
+// Teacher - question bank export
+bankExportBtn.addEventListener("click", () => {
+    if (!requireTeacher(t("Only teachers can export questions."))) return;
+    const subjectKey = bankExportSubjectSelect.value || null;
+    const format = bankExportFormatSelect.value;
+    const { content, skipped } = bankTransfer.export(format, subjectKey);
+    const baseName = subjectKey || "all_subjects";
+    const mimeTypes = { json: "application/json", csv: "text/csv", gift: "text/plain" };
+    downloadTextFile(`${baseName}_questions.${format}`, content, `${mimeTypes[format]};charset=utf-8`);
+    if (skipped.length > 0) {
+        showAlert(t("{count} question(s) with images were left out because GIFT cannot hold images: {ids}.", { count: skipped.length, ids: skipped.map(id => `Q${id}`).join(", ") }));
+    }
+});
+
+// Teacher - question bank import (preview first, merge on confirm)
+bankImportPreviewBtn.addEventListener("click", async () => {
+    const account = requireTeacher(t("Only teachers can import questions."));
+    if (!account) return;
+    const file = bankImportFileInput.files[0];
+    if (!file) {
+        showAlert(t("Please choose a file to import."));
+        return;
+    }
+    try {
+        const text = await file.text();
+        const format = bankImportFormatSelect.value === "auto"
+            ? QuestionBankTransfer.detectFormat(file.name, text)
+            : bankImportFormatSelect.value;
+        pendingImport = bankTransfer.parse(format, text, bankImportTargetSelect.value || null, key => canEditSubject(account, key));
+        renderImportPreview(pendingImport);
+    } catch (err) {
+        clearImportPreview();
+        showAlert(err.message);
+    }
+});
+
+bankImportConfirmBtn.addEventListener("click", () => {
+    if (!pendingImport) return;
+    const account = requireTeacher(t("Only teachers can import questions."));
+    if (!account) return;
+    let added;
+    try {
+        ({ added } = quizService.importQuestions(pendingImport, account.id));
+    } catch (err) {
+        showAlert(err.message);
+        return;
+    }
+    clearImportPreview();
+    bankImportFileInput.value = "";
+    populateSubjectSelects();
+    showAlert(t("{count} question(s) imported successfully.", { count: added }));
+});
+
+bankImportCancelBtn.addEventListener("click", clearImportPreview);
+
+// Teacher - results filters, sorting, paging and export
+function resetResultsPage() {
+    resultsPage = 1;
+    renderResultsTable();
+}
+
+resultsSearchInput.addEventListener("input", resetResultsPage);
+resultsSubjectFilter.addEventListener("change", resetResultsPage);
+resultsDateFrom.addEventListener("change", resetResultsPage);
+resultsDateTo.addEventListener("change", resetResultsPage);
+resultsFlaggedOnly.addEventListener("change", resetResultsPage);
+
+integrityFullscreenBtn.addEventListener("click", () => {
+    if (!integrityMonitor) return;
+    integrityMonitor.requestFullscreen().then(() => {
+        if (integrityMonitor) renderIntegrityBanner();
+    });
+});
+resultsViewSelect.addEventListener("change", resetResultsPage);
+gradebookModeSelect.addEventListener("change", resetResultsPage);
+resultsPageSizeSelect.addEventListener("change", resetResultsPage);
+analysisSubjectSelect.addEventListener("change", renderItemAnalysis);
+
+document.querySelectorAll("#results-table th[data-sort]").forEach(th => {
+    th.addEventListener("click", () => toggleSort(resultsSort, th.dataset.sort));
+});
+
+resultsPrevPageBtn.addEventListener("click", () => {
+    resultsPage--;
+    renderResultsTable();
+});
+
+resultsNextPageBtn.addEventListener("click", () => {
+    resultsPage++;
+    renderResultsTable();
+});
+
+// Exports every filtered row (not just the current page) in the current view
+exportResultsCsvBtn.addEventListener("click", () => {
+    if (!requireTeacher(t("Only teachers can export results."))) return;
+    if (resultsViewSelect.value === "gradebook") {
+        const gradebook = getSortedGradebook();
+        if (gradebook.rows.length === 0) {
+            showAlert(t("There are no results to export."));
+            return;
+        }
+        exportGradebookCsv(gradebook);
+        return;
+    }
+    const results = getSortedResults();
+    if (results.length === 0) {
+        showAlert(t("There are no results to export."));
+        return;
+    }
+    exportResultsCsv(results);
+});
+
+// Teacher - change own password
+changePasswordBtn.addEventListener("click", async () => {
+    const account = requireTeacher(t("Please log in as a teacher first."));
+    if (!account) return;
+    if (newPasswordInput.value !== newPasswordConfirmInput.value) {
+        showAlert(t("New passwords do not match."));
+        return;
+    }
+    changePasswordBtn.disabled = true;
+    try {
+        await teacherAuth.changePassword(account.id, currentPasswordInput.value, newPasswordInput.value);
+        [currentPasswordInput, newPasswordInput, newPasswordConfirmInput].forEach(input => input.value = "");
+        showAlert(t("Password changed successfully."));
+    } catch (err) {
+        showAlert(err.message);
+    } finally {
+        changePasswordBtn.disabled = false;
+    }
+});
+
+// Teacher - admin creates another teacher account
+createTeacherBtn.addEventListener("click", async () => {
+    const account = requireTeacher(t("Please log in as a teacher first."));
+    if (!account) return;
+    createTeacherBtn.disabled = true;
+    try {
+        const created = await teacherAuth.createTeacher(
+            account,
+            newTeacherUsernameInput.value.trim(),
+            newTeacherDisplayNameInput.value.trim(),
+            newTeacherPasswordInput.value,
+            newTeacherIsAdminInput.checked
+        );
+        [newTeacherUsernameInput, newTeacherDisplayNameInput, newTeacherPasswordInput].forEach(input => input.value = "");
+        newTeacherIsAdminInput.checked = false;
+        renderTeacherAccounts(account);
+        showAlert(t("Account \"{username}\" created.", { username: created.username }));
+    } catch (err) {
+        showAlert(err.message);
+    } finally {
+        createTeacherBtn.disabled = false;
+    }
+});
+
+// Teacher - scoring policy per subject
+policySubjectSelect.addEventListener("change", loadScoringPolicyForm);
+
+savePolicyBtn.addEventListener("click", () => {
+    const account = requireTeacher(t("Only teachers can change scoring."));
+    if (!account) return;
+    const subjectKey = policySubjectSelect.value;
+    if (!subjectKey || !canEditSubject(account, subjectKey)) {
+        showAlert(t("Please select one of your subjects."));
+        return;
+    }
+    try {
+        quizService.setScoringPolicy(subjectKey, readScoringPolicyForm());
+        loadScoringPolicyForm();
+        showAlert(t("Scoring policy saved. It applies to quizzes started from now on."));
+    } catch (err) {
+        showAlert(err.message);
+    }
+});
+
+resetPolicyBtn.addEventListener("click", () => {
+    const account = requireTeacher(t("Only teachers can change scoring."));
+    if (!account) return;
+    const subjectKey = policySubjectSelect.value;
+    if (!subjectKey || !canEditSubject(account, subjectKey)) {
+        showAlert(t("Please select one of your subjects."));
+        return;
+    }
+    try {
+        quizService.setScoringPolicy(subjectKey, null);
+    } catch (err) {
+        showAlert(err.message);
+        return;
+    }
+    loadScoringPolicyForm();
+    showAlert(t("Scoring policy reset to the default."));
+});
+
+assessmentQuestionModeSelect.addEventListener("change", updateAssessmentQuestionFields);
+assessmentCustomPolicyInput.addEventListener("change", () => {
+    if (assessmentCustomPolicyInput.checked) {
+        loadAssessmentPolicyFields(quizService.getScoringPolicy(assessmentSubjectSelect.value));
+    } else {
+        assessmentPolicyFields.classList.add("hidden");
+    }
+});
+assessmentSubjectSelect.addEventListener("change", () => renderAssessmentQuestionPicker());
+
+saveAssessmentBtn.addEventListener("click", async () => {
+    const account = requireTeacher(t("Only teachers can schedule assessments."));
+    if (!account) return;
+    const subjectKey = assessmentSubjectSelect.value;
+    if (!subjectKey || !canEditSubject(account, subjectKey)) {
+        showAlert(t("Please select one of your subjects."));
+        return;
+    }
+    const existing = editingAssessmentId ? assessmentManager.get(editingAssessmentId) : null;
+    saveAssessmentBtn.disabled = true;
+    try {
+        const draft = readAssessmentForm(existing ? existing.ownerId : account.id);
+        // Checked against the latest bank, unless the teacher chooses to go on from this device's copy
+        try {
+            await refreshSharedData();
+        } catch (err) {
+            if (!await showConfirm(t("Could not load the latest changes from the quiz server ({error}). Save from this device's copy anyway?", { error: err.message }))) return;
+        }
+        quizService.checkAssessment(draft);
+        const assessment = assessmentManager.save(draft);
+        showAlert(t(existing ? "Assessment {id} updated." : "Assessment {id} published.", { id: assessment.id }));
+        resetAssessmentForm();
+        renderAssessmentsList(account);
+    } catch (err) {
+        showAlert(err.message);
+    } finally {
+        saveAssessmentBtn.disabled = false;
+    }
 });
 
+cancelAssessmentEditBtn.addEventListener("click", resetAssessmentForm);
+
+closeReportBtn.addEventListener("click", closeResultReport);
+window.addEventListener("afterprint", closeResultReport);
+
+adminAddOptionBtn.addEventListener("click", () => {
+    addAdminOptionRow();
+    renderAdminQuestionPreview();
+});
+
+adminQuestionForm.addEventListener("input", renderAdminQuestionPreview);
+adminQuestionForm.addEventListener("change", renderAdminQuestionPreview);
+
+adminQuestionImageInput.addEventListener("change", () => {
+    const file = adminQuestionImageInput.files[0];
+    if (file) attachAdminQuestionImage(file);
+});
+
+// Sign the teacher out when the session runs out while the dashboard is open
+setInterval(() => {
+    if (currentUser.role === "teacher" && !teacherAuth.getSessionAccount()) {
+        showAlert(t("Your teacher session has expired. Please log in again."));
+        logout();
+    }
+}, 30000);
+
 // Initialize
+Object.entries(ASSESSMENT_ATTEMPT_POLICIES).forEach(([value, label]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.dataset.i18n = label;
+    assessmentAttemptPolicySelect.appendChild(opt);
+});
+Object.entries(SUPPORTED_LOCALES).forEach(([locale, { label }]) => {
+    const opt = document.createElement("option");
+    opt.value = locale;
+    opt.textContent = label;
+    languageSelect.appendChild(opt);
+});
+languageSelect.value = translator.locale;
+applyTranslations();
+renderHeaderUserInfo();
 populateSubjectSelects();
-showSection(authSection);
+resetAdminQuestionForm();
+resetAssessmentForm();
+assignMissingResultIds();
+updateTeacherAuthCards();
+storageAdapter.onStatusChange = renderSyncStatus;
+renderSyncStatus();
+if (storageAdapter.mode === "server") {
+    refreshSharedData().catch(() => {});
+} else {
+    detectStorageServer();
+}
+// Only over http(s): browsers refuse service workers for pages opened from disk
+if ("serviceWorker" in navigator && location.protocol.startsWith("http")) {
+    // Without it the app simply needs a connection to load
+    navigator.serviceWorker.register("sw.js").catch(() => {});
+}
+const restoredTeacher = teacherAuth.getSessionAccount();
+if (restoredTeacher) {
+    enterTeacherDashboard(restoredTeacher);
+} else {
+    showSection(authSection);
+}
+if (bankLoadError) {
+    showAlert(`${bankLoadError.message} ${t("The built-in questions are loaded instead and changes will not be saved.")}`);
+}
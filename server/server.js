@@ -0,0 +1,393 @@
+// Shared store for the quiz app, so marks from every device end up in one
+// place. No dependencies: run `node server/server.js` and open
+// http://localhost:3000 on each device. Data is kept in one JSON file
+// (server/data/quiz-data.json, or QUIZ_DATA_FILE); PORT changes the port.
+//
+// Students can read the bank and assessments and hand in new results without
+// logging in. Everything else (changing the bank or assessments, reading or
+// editing results) needs the teacher token, sent as "Authorization: Bearer
+// <token>". Set it with QUIZ_TEACHER_TOKEN, or one is made on first start,
+// kept in the data file and printed to the console.
+//
+// POST only adds records; a teacher replaces one with PUT /api/<list>/<id>.
+// The bank is uploaded whole, so every upload must send the revision it was
+// based on (the ETag of GET /api/bank) as If-Match, and is refused with 409
+// when another device uploaded a newer one in the meantime.
+//
+// Pages served by this server need no CORS. A page opened from elsewhere
+// (another port, a file) is only let in when its origin is listed in
+// QUIZ_ALLOWED_ORIGINS, comma separated.
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.PORT) || 3000;
+const APP_DIR = path.resolve(__dirname, "..");
+const DATA_FILE = process.env.QUIZ_DATA_FILE || path.join(__dirname, "data", "quiz-data.json");
+// Question images are embedded as data URLs, so a bank upload can be large
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const ALLOWED_ORIGINS = (process.env.QUIZ_ALLOWED_ORIGINS || "").split(",").map(origin => origin.trim()).filter(Boolean);
+
+const STATIC_FILES = {
+    "/": ["index.html", "text/html; charset=utf-8"],
+    "/index.html": ["index.html", "text/html; charset=utf-8"],
+    "/script.js": ["script.js", "text/javascript; charset=utf-8"],
+    "/style.css": ["style.css", "text/css; charset=utf-8"],
+    "/sw.js": ["sw.js", "text/javascript; charset=utf-8"],
+    "/manifest.webmanifest": ["manifest.webmanifest", "application/manifest+json"],
+    "/icons/icon-192.png": ["icons/icon-192.png", "image/png"],
+    "/icons/icon-512.png": ["icons/icon-512.png", "image/png"]
+};
+
+// Lists of records, matched on idField. check() vets records students can
+// send without a token, which the teachers' pages later show.
+const LIST_COLLECTIONS = {
+    assessments: { name: "assessments", idField: "id" },
+    "assessment-attempts": { name: "assessmentAttempts", idField: "attemptId", check: requireAttempt },
+    results: { name: "results", idField: "attemptId", check: requireResult }
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class FileStore {
+    constructor(file) {
+        this.file = file;
+        this.data = this._load();
+    }
+
+    _load() {
+        const empty = { bank: null, bankRevision: 0, assessments: [], assessmentAttempts: [], results: [] };
+        let raw;
+        try {
+            raw = fs.readFileSync(this.file, "utf8");
+        } catch (err) {
+            if (err.code === "ENOENT") return empty;
+            throw err;
+        }
+        // A file we cannot parse is left alone rather than overwritten with an empty store
+        return { ...empty, ...JSON.parse(raw) };
+    }
+
+    // Written to a temporary file first so a crash never leaves half a file behind
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data));
+        fs.renameSync(tmp, this.file);
+    }
+
+    upsert(collection, record, idField = "attemptId") {
+        const list = this.data[collection];
+        const index = list.findIndex(item => item[idField] === record[idField]);
+        if (index === -1) {
+            list.push(record);
+        } else {
+            list[index] = record;
+        }
+        this.save();
+        return index === -1;
+    }
+
+    update(collection, id, changes, idField = "attemptId") {
+        const record = this.data[collection].find(item => item[idField] === id);
+        if (!record) return null;
+        Object.assign(record, changes, { [idField]: id });
+        this.save();
+        return record;
+    }
+
+    remove(collection, id, idField = "attemptId") {
+        const list = this.data[collection];
+        const remaining = list.filter(item => item[idField] !== id);
+        if (remaining.length === list.length) return false;
+        this.data[collection] = remaining;
+        // Attempts only count toward an assessment that still exists
+        if (collection === "assessments") {
+            this.data.assessmentAttempts = this.data.assessmentAttempts.filter(item => item.assessmentId !== id);
+        }
+        this.save();
+        return true;
+    }
+
+    replace(collection, value) {
+        this.data[collection] = value;
+        this.save();
+    }
+
+    replaceBank(bank) {
+        this.data.bank = bank;
+        this.data.bankRevision++;
+        this.save();
+    }
+
+    getTeacherToken() {
+        if (!this.data.teacherToken) {
+            this.data.teacherToken = crypto.randomBytes(18).toString("base64url");
+            this.save();
+        }
+        return this.data.teacherToken;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "no-store"
+    });
+    res.end(JSON.stringify(body));
+}
+
+// A body over the limit is not read any further; the 413 goes out with
+// "Connection: close" so the rest of it is dropped with the connection
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                req.off("data", onData);
+                req.pause();
+                reject(new HttpError(413, "Request body is too large."));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) {
+            reject(new HttpError(413, "Request body is too large."));
+            return;
+        }
+        req.on("data", onData);
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+            } catch {
+                reject(new HttpError(400, "Request body must be JSON."));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+function requireArray(body) {
+    if (!Array.isArray(body)) throw new HttpError(400, "Expected a JSON array.");
+    return body;
+}
+
+function requireRecord(body, idField) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        throw new HttpError(400, "Expected a JSON object.");
+    }
+    if (typeof body[idField] !== "string" || !body[idField]) throw new HttpError(400, `Records need an ${idField}.`);
+    return body;
+}
+
+function requireStrings(record, fields) {
+    const missing = fields.find(field => typeof record[field] !== "string");
+    if (missing) throw new HttpError(400, `Records need ${missing} as text.`);
+}
+
+function requireAttempt(record) {
+    requireStrings(record, ["attemptId", "assessmentId", "studentId"]);
+}
+
+// Results saved before scoring policies have no maxScore; theirs is totalQuestions
+function requireResult(record) {
+    requireStrings(record, ["attemptId", "studentId", "studentName", "subjectLabel"]);
+    if (![record.score, record.maxScore ?? record.totalQuestions, record.percentage].every(Number.isFinite)) {
+        throw new HttpError(400, "Results need a numeric score, maxScore and percentage.");
+    }
+    if (record.assessmentId != null && typeof record.assessmentId !== "string") {
+        throw new HttpError(400, "Records need assessmentId as text.");
+    }
+    if (record.review !== undefined && (!Array.isArray(record.review) || record.review.some(item => !item || typeof item !== "object"))) {
+        throw new HttpError(400, "A result's review must be a list of answers.");
+    }
+}
+
+function requireBank(body) {
+    if (!body || !Array.isArray(body.subjects) || !Array.isArray(body.questions) || !Number.isInteger(body.version)) {
+        throw new HttpError(400, "A question bank needs a version, subjects and questions.");
+    }
+    return body;
+}
+
+// Compared in constant time so the token cannot be guessed byte by byte
+function isTeacher(req, teacherToken) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+    if (!match) return false;
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(teacherToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function requireTeacher(req, teacherToken) {
+    if (!isTeacher(req, teacherToken)) {
+        throw new HttpError(401, "This needs the teacher token of the quiz server.");
+    }
+}
+
+async function handleApi(req, res, store, url, teacherToken) {
+    let parts;
+    try {
+        parts = url.pathname.split("/").map(decodeURIComponent);
+    } catch {
+        throw new HttpError(400, "Malformed URL.");
+    }
+    const [, , resource, id] = parts;
+    const method = req.method;
+
+    if (resource === "health" && method === "GET") {
+        return sendJson(res, 200, { ok: true, time: Date.now(), teacher: isTeacher(req, teacherToken) });
+    }
+
+    // Students only read and hand in new records; see the note at the top
+    const teacherOnly = (method !== "GET" && method !== "POST") ||
+        ((resource === "bank" || resource === "assessments") && method !== "GET") ||
+        (resource === "results" && method === "GET");
+    if (teacherOnly) requireTeacher(req, teacherToken);
+
+    if (resource === "bank" && !id) {
+        const etag = () => `"${store.data.bankRevision}"`;
+        if (method === "GET") {
+            res.setHeader("ETag", etag());
+            return sendJson(res, 200, store.data.bank);
+        }
+        if (method === "PUT") {
+            const ifMatch = req.headers["if-match"];
+            if (!ifMatch) throw new HttpError(428, "Send the bank's ETag as If-Match.");
+            if (ifMatch !== etag()) throw new HttpError(409, "The question bank was changed on another device.");
+            store.replaceBank(requireBank(await readJsonBody(req)));
+            res.setHeader("ETag", etag());
+            return sendJson(res, 200, { ok: true });
+        }
+    }
+
+    if (resource === "subjects" && !id && method === "GET") {
+        return sendJson(res, 200, store.data.bank ? store.data.bank.subjects : []);
+    }
+
+    if (resource === "questions" && !id && method === "GET") {
+        const questions = store.data.bank ? store.data.bank.questions : [];
+        const subject = url.searchParams.get("subject");
+        return sendJson(res, 200, subject ? questions.filter(q => q.subjectKey === subject) : questions);
+    }
+
+    const collection = Object.hasOwn(LIST_COLLECTIONS, resource) ? LIST_COLLECTIONS[resource] : null;
+    const check = (collection && collection.check) || (() => {});
+    if (collection && !id) {
+        const { name, idField } = collection;
+        if (method === "GET") {
+            const studentId = url.searchParams.get("studentId");
+            const list = store.data[name];
+            return sendJson(res, 200, studentId ? list.filter(item => item.studentId === studentId) : list);
+        }
+        if (method === "POST") {
+            const record = requireRecord(await readJsonBody(req), idField);
+            check(record);
+            // Sending the same record again (a retried upload) is fine
+            const existing = store.data[name].find(item => item[idField] === record[idField]);
+            if (existing && JSON.stringify(existing) !== JSON.stringify(record)) {
+                throw new HttpError(409, `A record with ${idField} ${record[idField]} is already stored.`);
+            }
+            if (!existing) store.upsert(name, record, idField);
+            return sendJson(res, existing ? 200 : 201, { ok: true });
+        }
+        if (method === "PUT") {
+            const list = requireArray(await readJsonBody(req));
+            list.forEach(record => check(requireRecord(record, idField)));
+            store.replace(name, list);
+            return sendJson(res, 200, { ok: true });
+        }
+    }
+    if (collection && id) {
+        const { name, idField } = collection;
+        if (method === "PUT") {
+            const record = requireRecord(await readJsonBody(req), idField);
+            if (record[idField] !== id) throw new HttpError(400, `The ${idField} in the body must match the URL.`);
+            check(record);
+            const created = store.upsert(name, record, idField);
+            return sendJson(res, created ? 201 : 200, { ok: true });
+        }
+        if (method === "PATCH") {
+            const body = await readJsonBody(req);
+            if (!body || typeof body !== "object" || Array.isArray(body)) throw new HttpError(400, "Expected a JSON object.");
+            const current = store.data[name].find(item => item[idField] === id);
+            if (!current) throw new HttpError(404, `No record with ${idField} ${id}.`);
+            check({ ...current, ...body, [idField]: id });
+            return sendJson(res, 200, store.update(name, id, body, idField));
+        }
+        if (method === "DELETE") {
+            if (!store.remove(name, id, idField)) throw new HttpError(404, `No record with ${idField} ${id}.`);
+            return sendJson(res, 200, { ok: true });
+        }
+    }
+
+    throw new HttpError(404, `No API route for ${method} ${url.pathname}.`);
+}
+
+function serveStatic(res, pathname) {
+    const entry = STATIC_FILES[pathname];
+    if (!entry) {
+        res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+        res.end("Not found");
+        return;
+    }
+    const [file, contentType] = entry;
+    fs.readFile(path.join(APP_DIR, file), (err, content) => {
+        if (err) {
+            res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+            res.end("Could not read file");
+            return;
+        }
+        res.writeHead(200, { "Content-Type": contentType });
+        res.end(content);
+    });
+}
+
+function createServer(store, teacherToken = store.getTeacherToken(), allowedOrigins = ALLOWED_ORIGINS) {
+    return http.createServer((req, res) => {
+        const origin = req.headers.origin;
+        if (origin && allowedOrigins.includes(origin)) {
+            res.setHeader("Access-Control-Allow-Origin", origin);
+            res.setHeader("Vary", "Origin");
+            res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
+            res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, If-Match");
+            res.setHeader("Access-Control-Expose-Headers", "ETag");
+        }
+        if (req.method === "OPTIONS") {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, "http://localhost");
+        if (!url.pathname.startsWith("/api/")) {
+            serveStatic(res, url.pathname);
+            return;
+        }
+        handleApi(req, res, store, url, teacherToken).catch(err => {
+            if (!(err instanceof HttpError)) console.error(err);
+            if (err.status === 413) res.setHeader("Connection", "close");
+            sendJson(res, err.status || 500, { error: err instanceof HttpError ? err.message : "Internal server error." });
+        });
+    });
+}
+
+if (require.main === module) {
+    const store = new FileStore(DATA_FILE);
+    const teacherToken = process.env.QUIZ_TEACHER_TOKEN || store.getTeacherToken();
+    createServer(store, teacherToken).listen(PORT, () => {
+        console.log(`Quiz server on http://localhost:${PORT} (data: ${DATA_FILE})`);
+        if (!process.env.QUIZ_TEACHER_TOKEN) console.log(`Teacher token: ${teacherToken}`);
+    });
+}
+
+module.exports = { createServer, FileStore };
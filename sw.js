@@ -0,0 +1,58 @@
+// Service worker: keeps the app shell and the last question bank fetched from
+// the quiz server in a cache, so quizzes still open with no connection.
+// Results are not handled here; the page queues them (see ServerStorageAdapter)
+// because only the page can read localStorage.
+
+const CACHE_NAME = "quiz-app-v1";
+const APP_SHELL = [
+    "./",
+    "./index.html",
+    "./script.js",
+    "./style.css",
+    "./manifest.webmanifest",
+    "./icons/icon-192.png",
+    "./icons/icon-512.png"
+];
+// Read-only quiz server routes worth keeping for offline use
+const CACHED_API_PATHS = ["/api/bank", "/api/subjects", "/api/questions"];
+
+self.addEventListener("install", event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first, so a new version is picked up whenever there is a
+// connection, falling back to the cached copy when there is not
+function networkFirst(request) {
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request).then(cached => {
+            if (cached) return cached;
+            if (request.mode === "navigate") return caches.match("./index.html");
+            throw new Error(`${request.url} is not available offline.`);
+        }));
+}
+
+self.addEventListener("fetch", event => {
+    const request = event.request;
+    if (request.method !== "GET") return;
+    const url = new URL(request.url);
+    if (url.pathname.includes("/api/")) {
+        if (CACHED_API_PATHS.some(path => url.pathname.endsWith(path))) event.respondWith(networkFirst(request));
+        return;
+    }
+    if (url.origin === self.location.origin) event.respondWith(networkFirst(request));
+});